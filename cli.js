@@ -0,0 +1,648 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import { parseArgs } from 'util';
+import fetch from 'node-fetch';
+import { CursorUsageTracker } from './src/app.js';
+import { Account } from './src/accounts/account.js';
+import { DEFAULT_ACCOUNT_ID, loadAccountConfigs, loadAccountCookies } from './src/accounts/account_config.js';
+import { BackfillState, parseBackfillOptions, summarizeBackfillPlan } from './src/collectors/backfill_state.js';
+import { HttpApiClient } from './src/collectors/http_api_client.js';
+import { getSessionExpiry } from './src/cookies/cookie_import.js';
+import { CONFIG, PATHS } from './src/config/constants.js';
+import { parseEventFilter } from './src/storage/event_filter.js';
+import { parseVerifyQuery } from './src/storage/event_integrity.js';
+import { EXPORT_FORMATS, writeEvents } from './src/export/event_export.js';
+import { getBillingCycle, getCycleAnchor } from './src/billing/billing_cycle.js';
+import { REPORT_GROUPS, buildUsageReport } from './src/cli/usage_report.js';
+import { formatMoney, formatNumber, formatTable } from './src/cli/table.js';
+import { WebServer } from './src/web/web_server.js';
+import { Logger } from './src/utils/logger.js';
+
+const FILTER_OPTIONS = {
+    since: { type: 'string' },
+    until: { type: 'string' },
+    model: { type: 'string' },
+    kind: { type: 'string' },
+    user: { type: 'string' }
+};
+
+const COMMON_OPTIONS = {
+    account: { type: 'string' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = {
+    sync: {
+        usage: 'sync [--full]',
+        description: 'Collect new events once and exit (--full reloads the whole history)',
+        options: { full: { type: 'boolean' } },
+        run: runSync
+    },
+    backfill: {
+        usage: 'backfill [--from DATE] [--to DATE] [--window-days N] [--status]',
+        description: 'Load event history for a period window by window; rerun to resume, --status shows progress',
+        options: { from: { type: 'string' }, to: { type: 'string' }, 'window-days': { type: 'string' }, status: { type: 'boolean' } },
+        run: runBackfill
+    },
+    report: {
+        usage: 'report [--since DATE] [--until DATE] [--group-by model|kind|day]',
+        description: 'Usage summary, by default for the current billing cycle',
+        options: { ...FILTER_OPTIONS, 'group-by': { type: 'string', default: 'model' } },
+        run: runReport
+    },
+    export: {
+        usage: `export [--format ${Object.keys(EXPORT_FORMATS).join('|')}] [--output FILE] [--since DATE] [--until DATE]`,
+        description: 'Write events to stdout or a file',
+        options: { ...FILTER_OPTIONS, format: { type: 'string', default: 'csv' }, output: { type: 'string', short: 'o' } },
+        run: runExport
+    },
+    verify: {
+        usage: 'verify [--since DATE] [--until DATE] [--gap-days N] [--repair]',
+        description: 'Check stored events for duplicates, bad dates, token and cost mismatches and gaps (--repair re-fetches affected windows)',
+        options: { ...FILTER_OPTIONS, 'gap-days': { type: 'string' }, repair: { type: 'boolean' } },
+        run: runVerify
+    },
+    retention: {
+        usage: 'retention [--days N] [--archive] [--dry-run]',
+        description: 'Roll events older than N days (RETENTION_DAYS) up into daily aggregates and remove them (--archive keeps them in gzipped monthly files)',
+        options: { days: { type: 'string' }, archive: { type: 'boolean' }, 'dry-run': { type: 'boolean' } },
+        run: runRetention
+    },
+    status: {
+        usage: 'status [--offline]',
+        description: 'Last sync, event count and session validity of every account',
+        options: { offline: { type: 'boolean' } },
+        run: runStatus
+    },
+    cookies: {
+        usage: 'cookies [file] [--format netscape|json|header] [--url URL]',
+        description: 'Upload fresh cookies to the running tracker, sync resumes without a restart',
+        options: { format: { type: 'string' }, url: { type: 'string' } },
+        positionals: true,
+        run: runCookies
+    },
+    serve: {
+        usage: 'serve [--web-only]',
+        description: 'Run the tracker with the dashboard (--web-only serves stored data without collecting)',
+        options: { 'web-only': { type: 'boolean' } },
+        run: runServe
+    }
+};
+
+function printUsage() {
+    console.log('Usage: cursor-usage <command> [options]');
+    console.log('');
+    console.log('Commands:');
+    for (const command of Object.values(COMMANDS)) {
+        console.log(`  ${command.usage}`);
+        console.log(`      ${command.description}`);
+    }
+    console.log('');
+    console.log('Common options:');
+    console.log('  --account ID   account from accounts.json (report/export: first account by default)');
+    console.log('  --json         print JSON instead of tables');
+    console.log('  --verbose      show tracker logs (written to stderr)');
+    console.log('');
+    console.log('Filters for report, export and verify: --model, --kind, --user (comma-separated)');
+}
+
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-';
+}
+
+// Аккаунт из accounts.json (по умолчанию - первый) только с хранилищем, без клиента API.
+// Миграции событий не запускаются: хранилище в это время может писать трекер.
+// write - команда пишет в хранилище и берет блокировку аккаунта (не запускается рядом с трекером)
+async function openAccount(accountId, { write = false } = {}) {
+    const configs = await loadAccountConfigs();
+    const config = accountId ? configs.find(item => item.id === accountId) : configs[0];
+    if (!config) {
+        throw new Error(`Unknown account: ${accountId}`);
+    }
+
+    const account = new Account(config);
+    if (write) {
+        await account.lock.acquire();
+    }
+    await account.openStorage();
+    return account;
+}
+
+async function loadDefaultCookies() {
+    try {
+        const parsed = JSON.parse(await fsp.readFile(PATHS.COOKIES_FILE, 'utf8'));
+        return parsed.cookies || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function loadCookies(config) {
+    return config.id === DEFAULT_ACCOUNT_ID ? loadDefaultCookies() : loadAccountCookies(config);
+}
+
+function parseFilter(values) {
+    return parseEventFilter({
+        from: values.since,
+        to: values.until,
+        model: values.model,
+        kind: values.kind,
+        user: values.user
+    });
+}
+
+async function runSync(values) {
+    const tracker = new CursorUsageTracker();
+    global.tracker = tracker;
+
+    const results = await tracker.runOnce({
+        cookies: await loadDefaultCookies(),
+        accountId: values.account,
+        full: values.full
+    });
+
+    if (values.json) {
+        printJson(results);
+    } else {
+        console.log(formatTable([
+            { title: 'Account', value: result => result.name },
+            { title: 'Collected', value: result => formatNumber(result.collected), align: 'right' },
+            { title: 'Status', value: result => result.error ? `failed: ${result.error}` : 'ok' }
+        ], results));
+    }
+
+    return results.some(result => result.error) ? 1 : 0;
+}
+
+// Загрузка истории за период (по умолчанию BACKFILL_DAYS дней) окнами по --window-days дней.
+// Без --from продолжает незавершенную загрузку, --status - ее состояние из backfill_state.json без запросов к API
+async function runBackfill(values) {
+    if (values.status) {
+        return printBackfillStatus(values);
+    }
+
+    const backfill = parseBackfillOptions({ from: values.from, to: values.to, windowDays: values['window-days'] });
+    const tracker = new CursorUsageTracker();
+    global.tracker = tracker;
+
+    const results = await tracker.runOnce({
+        cookies: await loadDefaultCookies(),
+        accountId: values.account,
+        backfill
+    });
+
+    if (values.json) {
+        printJson(results);
+    } else {
+        console.log(formatTable([
+            { title: 'Account', value: result => result.name },
+            { title: 'Fetched', value: result => formatNumber(result.collected), align: 'right' },
+            { title: 'Status', value: result => result.error ? `failed: ${result.error}` : 'ok' }
+        ], results));
+    }
+
+    return results.some(result => result.error) ? 1 : 0;
+}
+
+async function printBackfillStatus(values) {
+    const account = await openAccount(values.account);
+    const plan = summarizeBackfillPlan(await new BackfillState(account.storage.paths.BACKFILL_STATE_FILE).load());
+
+    if (values.json) {
+        printJson({ account: account.id, backfill: plan });
+        return 0;
+    }
+    if (!plan) {
+        console.log(`${account.name}: no backfill yet`);
+        return 0;
+    }
+
+    const state = plan.completedAt ? `completed ${formatDate(plan.completedAt)}` : `${plan.doneWindows} of ${plan.totalWindows} windows done`;
+    console.log(`${account.name}: ${formatDate(plan.from)} - ${formatDate(plan.to)}, ${plan.windowDays}-day windows, ${state}`);
+    console.log('');
+    console.log(formatTable([
+        { title: 'From', value: window => formatDate(window.startDate) },
+        { title: 'To', value: window => formatDate(window.endDate) },
+        { title: 'Status', value: window => window.status },
+        { title: 'Pages', value: window => formatNumber(window.pages), align: 'right' },
+        { title: 'Events', value: window => formatNumber(window.events), align: 'right' },
+        { title: 'Added', value: window => formatNumber(window.added), align: 'right' },
+        { title: 'Updated', value: window => formatNumber(window.updated), align: 'right' },
+        { title: 'Error', value: window => window.error || '' }
+    ], plan.windows));
+    return 0;
+}
+
+async function runReport(values) {
+    const groupBy = values['group-by'];
+    if (!REPORT_GROUPS[groupBy]) {
+        throw new Error(`Unknown --group-by value: ${groupBy} (expected ${Object.keys(REPORT_GROUPS).join(', ')})`);
+    }
+
+    const account = await openAccount(values.account);
+    const filter = parseFilter(values);
+
+    // Без --since отчет начинается с текущего расчетного периода
+    if (!values.since) {
+        const userInfo = await account.storage.loadUserInfo();
+        const anchor = getCycleAnchor(userInfo, account.config.billingCycleStart);
+        filter.from = getBillingCycle(anchor.date).start;
+    }
+
+    const retention = await account.storage.getRetentionState();
+    const report = await buildUsageReport(
+        account.storage.iterateEvents(filter),
+        groupBy,
+        event => account.storage.getChargedCost(event),
+        retention ? { rows: await account.storage.loadRollups(filter), state: retention } : null
+    );
+    const range = {
+        from: filter.from ? filter.from.toISOString() : null,
+        to: filter.to ? filter.to.toISOString() : null
+    };
+
+    if (values.json) {
+        printJson({ account: account.id, ...range, ...report });
+        return 0;
+    }
+
+    console.log(`${account.name}: ${formatDate(range.from)} - ${range.to ? formatDate(range.to) : 'now'}`);
+    console.log('');
+    if (report.rows.length === 0) {
+        console.log('No events in this range');
+        return 0;
+    }
+
+    console.log(formatTable([
+        { title: groupBy[0].toUpperCase() + groupBy.slice(1), value: row => row.key },
+        { title: 'Events', value: row => formatNumber(row.events), align: 'right' },
+        { title: 'Tokens', value: row => formatNumber(row.tokens), align: 'right' },
+        { title: 'Cost', value: row => formatMoney(row.cost), align: 'right' },
+        { title: 'Included', value: row => formatMoney(row.includedCost), align: 'right' },
+        { title: 'Charged', value: row => formatMoney(row.chargedCost), align: 'right' }
+    ], report.rows, { ...report.total, key: 'Total' }));
+    return 0;
+}
+
+async function runExport(values) {
+    const format = values.format;
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown --format value: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+
+    const account = await openAccount(values.account);
+    const filter = parseFilter(values);
+    const stream = values.output ? fs.createWriteStream(values.output) : process.stdout;
+
+    const count = await writeEvents(stream, account.storage.iterateEvents(filter), format);
+
+    if (values.output) {
+        await new Promise((resolve, reject) => {
+            stream.once('error', reject);
+            stream.end(resolve);
+        });
+        console.error(`Exported ${count} events to ${values.output}`);
+    }
+    return 0;
+}
+
+const VERIFY_CHECKS = [
+    { key: 'duplicateIds', title: 'Duplicate IDs', example: issue => `${issue.id} x${issue.count}` },
+    { key: 'duplicateTimestamps', title: 'Duplicate timestamps', example: issue => `${formatDate(issue.date)}: ${issue.count} events` },
+    { key: 'malformedDates', title: 'Malformed dates', example: issue => `${issue.id}: ${issue.reason}` },
+    { key: 'tokenMismatches', title: 'Token mismatches', example: issue => `${issue.id}: ${issue.tokens} vs ${issue.tokenUsageTotal}` },
+    { key: 'costIssues', title: 'Cost issues', example: issue => `${issue.id}: ${issue.reason}` }
+];
+
+// Проверка сохраненных событий без запросов к API (аккаунт по умолчанию - первый, как у report).
+// --repair подключается к API, загружает окна с проблемами заново и сверяет их с сохраненными
+async function runVerify(values) {
+    const options = parseVerifyQuery({
+        from: values.since,
+        to: values.until,
+        model: values.model,
+        kind: values.kind,
+        user: values.user,
+        gapDays: values['gap-days']
+    });
+
+    let account;
+    let report;
+    if (values.repair) {
+        const accountId = values.account || (await loadAccountConfigs())[0].id;
+        const tracker = new CursorUsageTracker();
+        global.tracker = tracker;
+        try {
+            await tracker.initialize(await loadDefaultCookies(), accountId);
+            account = tracker.accounts[0];
+            report = await account.verifyData({ ...options, repair: true, trigger: 'cli' });
+        } finally {
+            for (const item of tracker.accounts) {
+                await item.close();
+            }
+        }
+    } else {
+        account = await openAccount(values.account);
+        report = await account.verifyData(options);
+    }
+
+    const ok = report.repair ? report.repair.summary.ok && !report.repair.error : report.summary.ok;
+    if (values.json) {
+        printJson({ account: account.id, ...report });
+        return ok ? 0 : 1;
+    }
+
+    const { summary } = report;
+    console.log(`${account.name}: ${formatNumber(summary.totalEvents)} events, ${formatDate(summary.from)} - ${formatDate(summary.to)}`);
+    console.log('');
+    console.log(formatTable([
+        { title: 'Check', value: row => row.title },
+        { title: 'Issues', value: row => row.count, align: 'right' },
+        { title: 'Example', value: row => row.example }
+    ], [
+        ...VERIFY_CHECKS.map(check => ({
+            title: check.title,
+            count: formatNumber(summary[check.key]),
+            example: report.issues[check.key].length > 0 ? check.example(report.issues[check.key][0]) : ''
+        })),
+        { title: `Gaps over ${summary.gapDays} days`, count: formatNumber(summary.gaps), example: summary.gaps > 0 ? `${summary.suspiciousGaps} suspicious` : '' }
+    ]));
+
+    if (report.gaps.length > 0) {
+        console.log('');
+        console.log(formatTable([
+            { title: 'Gap from', value: gap => formatDate(gap.from) },
+            { title: 'To', value: gap => gap.open ? 'now' : formatDate(gap.to) },
+            { title: 'Days', value: gap => gap.days, align: 'right' },
+            { title: 'Syncs', value: gap => gap.runs, align: 'right' },
+            { title: 'Failed', value: gap => gap.failedRuns, align: 'right' },
+            { title: 'With changes', value: gap => gap.runsWithChanges, align: 'right' },
+            { title: 'Suspicious', value: gap => gap.suspicious ? 'yes' : '' }
+        ], report.gaps));
+    }
+
+    if (report.repair) {
+        console.log('');
+        if (report.repair.windows.length === 0) {
+            console.log('Nothing to repair');
+        } else {
+            console.log(formatTable([
+                { title: 'Window from', value: window => formatDate(window.startDate) },
+                { title: 'To', value: window => formatDate(window.endDate) },
+                { title: 'Reasons', value: window => window.reasons.join(', ') },
+                { title: 'Status', value: window => window.error ? `failed: ${window.error}` : (window.status || 'skipped') },
+                { title: 'Fetched', value: window => window.fetched ?? '', align: 'right' },
+                { title: 'Added', value: window => window.added ?? '', align: 'right' },
+                { title: 'Updated', value: window => window.updated ?? '', align: 'right' },
+                { title: 'Removed', value: window => window.removed ?? '', align: 'right' },
+                { title: 'Stale', value: window => window.stale ?? '', align: 'right' }
+            ], report.repair.windows));
+        }
+        const after = report.repair.summary;
+        console.log('');
+        console.log(`After repair: ${formatNumber(after.totalEvents)} events, ${formatNumber(VERIFY_CHECKS.reduce((sum, check) => sum + after[check.key], 0))} issues, ${after.suspiciousGaps} suspicious gaps`);
+    }
+
+    return ok ? 0 : 1;
+}
+
+// Политика хранения вручную: те же действия, что трекер выполняет после синхронизации при заданном RETENTION_DAYS
+async function runRetention(values) {
+    const account = await openAccount(values.account, { write: !values['dry-run'] });
+    const result = await account.storage.applyRetention({
+        days: values.days === undefined ? CONFIG.RETENTION_DAYS : Number(values.days),
+        archive: values.archive || CONFIG.RETENTION_ARCHIVE,
+        dryRun: values['dry-run']
+    });
+    const state = await account.storage.getRetentionState();
+    const rollups = state ? await account.storage.loadRollups() : [];
+
+    if (values.json) {
+        printJson({ account: account.id, ...result, state, rollupRows: rollups.length });
+        return 0;
+    }
+
+    console.log(`${account.name}: events before ${formatDate(result.cutoff)}${result.dryRun ? ' (dry run)' : ''}`);
+    console.log('');
+    console.log(formatTable([
+        { title: 'Step', value: row => row.title },
+        { title: 'Events', value: row => formatNumber(row.count), align: 'right' }
+    ], [
+        { title: 'Older than the limit', count: result.expiredEvents },
+        { title: 'Rolled up', count: result.rolledUpEvents },
+        { title: 'Already in rollups', count: result.skippedEvents },
+        { title: result.dryRun ? 'Would be removed' : 'Removed', count: result.dryRun ? result.expiredEvents : result.removedEvents },
+        ...(result.archived ? [{ title: `Archived to ${result.archived.files.join(', ')}`, count: result.archived.events }] : [])
+    ]));
+
+    if (state?.rolledUpFrom) {
+        const events = rollups.reduce((sum, row) => sum + row.count, 0);
+        console.log('');
+        console.log(`Rollups: ${formatNumber(events)} events in ${formatNumber(rollups.length)} daily rows, ${formatDate(state.rolledUpFrom)} - ${formatDate(state.rolledUpUntil)}`);
+    }
+    return 0;
+}
+
+// Сессия по cookie WorkosCursorSessionToken: срок из cookie (или JWT) и (без --offline) запрос к /api/auth/me
+async function checkSession(cookies, offline) {
+    if (!cookies) {
+        return { state: 'unknown', detail: 'no cookies file, browser profile is used' };
+    }
+
+    const cookie = cookies.find(item => item.name === CONFIG.SESSION_COOKIE_NAME);
+    if (!cookie) {
+        return { state: 'missing', detail: `no ${CONFIG.SESSION_COOKIE_NAME} cookie` };
+    }
+
+    const expiresAt = getSessionExpiry(cookies);
+    const expires = expiresAt ? expiresAt.toISOString() : null;
+    if (expires && new Date(expires) < new Date()) {
+        return { state: 'expired', expires, detail: 'cookie expired' };
+    }
+    if (offline) {
+        return { state: 'present', expires, detail: 'not verified (--offline)' };
+    }
+
+    const client = new HttpApiClient(cookies);
+    try {
+        await client.initialize();
+        await client.getJson(CONFIG.CURSOR_AUTH_ME_API);
+        return { state: 'valid', expires, detail: null };
+    } catch (error) {
+        // Редирект на страницу входа или 401/403 - сессия недействительна, прочее - проверить не удалось
+        const rejected = error.status === 401 || error.status === 403 || (error.status >= 300 && error.status < 400);
+        return { state: rejected ? 'invalid' : 'unverified', expires, detail: error.message };
+    } finally {
+        await client.close();
+    }
+}
+
+async function runStatus(values) {
+    const configs = (await loadAccountConfigs())
+        .filter(config => !values.account || config.id === values.account);
+    if (configs.length === 0) {
+        throw new Error(`Unknown account: ${values.account}`);
+    }
+
+    const statuses = [];
+    for (const config of configs) {
+        const account = new Account(config);
+        await account.openStorage();
+
+        const [syncMetadata, stats] = await Promise.all([
+            account.storage.getSyncMetadata(),
+            account.storage.loadStats()
+        ]);
+        let lastEvent = null;
+        for await (const event of account.storage.iterateEvents({}, 'desc')) {
+            lastEvent = event;
+            break;
+        }
+
+        statuses.push({
+            id: account.id,
+            name: account.name,
+            backend: CONFIG.STORAGE_BACKEND,
+            dataDir: config.dataDir,
+            events: stats?.totalEvents ?? 0,
+            lastSync: syncMetadata?.lastSuccessfulSync || null,
+            syncStrategy: syncMetadata?.lastSuccessfulSync ? syncMetadata.syncStrategy : null,
+            lastEventDate: lastEvent ? new Date(lastEvent.date).toISOString() : null,
+            session: await checkSession(await loadCookies(config), values.offline)
+        });
+    }
+
+    if (values.json) {
+        printJson(statuses);
+    } else {
+        console.log(formatTable([
+            { title: 'Account', value: status => status.name },
+            { title: 'Events', value: status => formatNumber(status.events), align: 'right' },
+            { title: 'Last sync', value: status => formatDate(status.lastSync) },
+            { title: 'Last event', value: status => formatDate(status.lastEventDate) },
+            { title: 'Session', value: status => status.session.state },
+            { title: 'Details', value: status => status.session.detail || (status.session.expires ? `expires ${formatDate(status.session.expires)}` : '') }
+        ], statuses));
+    }
+
+    return statuses.some(status => ['missing', 'expired', 'invalid'].includes(status.session.state)) ? 1 : 0;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Выгрузка cookies (файл или stdin) отправляется в POST /session/cookies работающего трекера
+async function runCookies(values, [input]) {
+    if (!input && process.stdin.isTTY) {
+        throw new Error('Pass a cookies export file or pipe it to stdin');
+    }
+
+    const text = input && input !== '-' ? await fsp.readFile(input, 'utf8') : await readStdin();
+    const baseUrl = (values.url || `http://localhost:${CONFIG.WEB_PORT}`).replace(/\/+$/, '');
+    const accountPath = values.account ? `/api/accounts/${encodeURIComponent(values.account)}` : '/api';
+    const query = values.format ? `?format=${encodeURIComponent(values.format)}` : '';
+
+    let response;
+    try {
+        response = await fetch(`${baseUrl}${accountPath}/session/cookies${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: text
+        });
+    } catch (error) {
+        throw new Error(`tracker is not reachable at ${baseUrl} (${error.message}); to only save the file use npm run extract:cookies`);
+    }
+
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+
+    if (values.json) {
+        printJson(body);
+    } else {
+        const { session } = body;
+        console.log(`Uploaded ${body.cookies} cookies (${body.format}, skipped ${body.skipped})`);
+        console.log(`Session: ${session.status}${session.expiresAt ? `, expires ${formatDate(session.expiresAt)}` : ''}`);
+    }
+    return 0;
+}
+
+async function runServe(values) {
+    if (values['web-only']) {
+        await new WebServer().startStandalone();
+    } else {
+        const tracker = new CursorUsageTracker();
+        global.tracker = tracker;
+
+        await tracker.initialize(await loadDefaultCookies(), values.account);
+        await tracker.start();
+    }
+
+    console.log('Press Ctrl+C to stop');
+    return null;
+}
+
+async function main() {
+    const name = process.argv[2];
+    const command = COMMANDS[name];
+
+    if (!command) {
+        printUsage();
+        process.exit(name && name !== '--help' && name !== '-h' ? 1 : 0);
+    }
+
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            args: process.argv.slice(3),
+            options: { ...COMMON_OPTIONS, ...command.options },
+            allowPositionals: Boolean(command.positionals)
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(`Usage: cursor-usage ${command.usage}`);
+        process.exit(1);
+    }
+
+    if (values.help) {
+        console.log(`Usage: cursor-usage ${command.usage}`);
+        console.log(command.description);
+        process.exit(0);
+    }
+
+    // Сервер пишет логи как обычно, остальные команды - только предупреждения и в stderr
+    if (name !== 'serve') {
+        Logger.configure({ level: values.verbose ? 'info' : 'warn', stderr: true });
+    }
+
+    try {
+        const exitCode = await command.run(values, positionals);
+        // serve продолжает работать; exitCode вместо exit(), чтобы stdout успел дописаться в pipe
+        if (exitCode !== null) {
+            process.exitCode = exitCode;
+        }
+    } catch (error) {
+        // Читатель закрыл pipe раньше времени (cursor-usage export | head) - это не ошибка
+        if (error.code === 'EPIPE') return;
+
+        console.error(`${name} failed:`, error.message);
+        process.exit(1);
+    }
+}
+
+main();
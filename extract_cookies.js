@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { DEFAULT_ACCOUNT_ID, loadAccountConfigs } from './src/accounts/account_config.js';
+import { PATHS } from './src/config/constants.js';
+import { COOKIE_FORMATS, importCookies, writeCookiesFile } from './src/cookies/cookie_import.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function printUsage() {
+    console.log('Usage: npm run extract:cookies -- [file] [--format netscape|json|header] [--output FILE] [--account ID]');
+    console.log('');
+    console.log('Reads cookies exported from the browser and writes them in the cookies.json format:');
+    console.log('  - cookies.txt in the Netscape format (browser extensions, curl, yt-dlp)');
+    console.log('  - JSON export of Cookie-Editor / EditThisCookie or a Playwright storage state');
+    console.log('  - the Cookie request header copied from the Network tab of devtools');
+    console.log('Without a file the export is read from stdin, the format is detected automatically.');
+    console.log('');
+    console.log(`--output   target file (default: ${PATHS.COOKIES_FILE})`);
+    console.log('--account  write to cookiesFile of the account from accounts.json');
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function resolveOutputFile(values) {
+    if (values.output) return values.output;
+    if (!values.account) return PATHS.COOKIES_FILE;
+
+    const account = (await loadAccountConfigs()).find(item => item.id === values.account);
+    if (!account) {
+        throw new Error(`Unknown account: ${values.account}`);
+    }
+    return account.id === DEFAULT_ACCOUNT_ID ? PATHS.COOKIES_FILE : account.cookiesFile;
+}
+
+async function main() {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            options: {
+                format: { type: 'string' },
+                output: { type: 'string', short: 'o' },
+                account: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            },
+            allowPositionals: true
+        }));
+    } catch (error) {
+        console.error(error.message);
+        printUsage();
+        process.exit(1);
+    }
+
+    const input = positionals[0];
+    if (values.help || (!input && process.stdin.isTTY)) {
+        printUsage();
+        process.exit(values.help ? 0 : 1);
+    }
+    if (values.format && !COOKIE_FORMATS.includes(values.format)) {
+        console.error(`Unknown format: ${values.format} (expected ${COOKIE_FORMATS.join(', ')})`);
+        process.exit(1);
+    }
+
+    try {
+        const text = input && input !== '-' ? await fs.readFile(input, 'utf8') : await readStdin();
+        const result = importCookies(text, values.format);
+
+        console.log(`Detected format: ${result.format}`);
+        console.log(`Dashboard cookies: ${result.cookies.length} (skipped ${result.skipped} from other sites)`);
+
+        if (result.expiresAt) {
+            const days = Math.floor((result.expiresAt - Date.now()) / DAY_MS);
+            if (days < 0) {
+                console.error(`Session token expired on ${result.expiresAt.toISOString()}, log in again and re-export cookies`);
+                process.exit(1);
+            }
+            console.log(`Session token expires on ${result.expiresAt.toISOString()} (in ${days} days)`);
+        } else {
+            console.log('Session token expiry is unknown');
+        }
+
+        const outputFile = await resolveOutputFile(values);
+        await writeCookiesFile(outputFile, result.cookies);
+        console.log(`Cookies saved to: ${outputFile}`);
+    } catch (error) {
+        console.error('Cookie import failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+import { loadAccountConfigs } from './src/accounts/account_config.js';
+import { AccountLock } from './src/accounts/account_lock.js';
+import { CONFIG, getDataPaths } from './src/config/constants.js';
+import { SqliteStorage } from './src/storage/sqlite_storage.js';
+import { DataStorage } from './src/storage/data_storage.js';
+import { createStorage } from './src/storage/storage_factory.js';
+import { migrateJsonToSqlite } from './src/storage/migrations/json_to_sqlite.js';
+import { migrateEventIds } from './src/storage/migrations/event_ids.js';
+import { migrateEventRecords } from './src/storage/migrations/event_records.js';
+import { migrateListPrices } from './src/storage/migrations/list_prices.js';
+import { PriceTable } from './src/pricing/price_table.js';
+
+const MIGRATIONS = {
+    'json-to-sqlite': async dataDir => {
+        const storage = new SqliteStorage(dataDir);
+        try {
+            await storage.initialize();
+            return await migrateJsonToSqlite(storage, new DataStorage(dataDir));
+        } finally {
+            storage.close();
+        }
+    },
+    'event-ids': async dataDir => {
+        const storage = createStorage(CONFIG.STORAGE_BACKEND, dataDir);
+        await storage.initialize();
+        return migrateEventIds(storage);
+    },
+    'event-records': async dataDir => {
+        const storage = createStorage(CONFIG.STORAGE_BACKEND, dataDir);
+        await storage.initialize();
+        return migrateEventRecords(storage);
+    },
+    'list-prices': async dataDir => {
+        const storage = createStorage(CONFIG.STORAGE_BACKEND, dataDir);
+        await storage.initialize();
+        return migrateListPrices(storage, await PriceTable.load());
+    }
+};
+
+// Аккаунт из accounts.json (по умолчанию - первый аккаунт)
+async function resolveAccount(accountId) {
+    const accounts = await loadAccountConfigs();
+    const account = accountId ? accounts.find(item => item.id === accountId) : accounts[0];
+    if (!account) {
+        throw new Error(`Unknown account: ${accountId}`);
+    }
+    return account;
+}
+
+async function main() {
+    const name = process.argv[2];
+    const migration = MIGRATIONS[name];
+
+    if (!migration) {
+        console.log('Usage: npm run migrate -- <migration> [accountId]');
+        console.log(`Available migrations: ${Object.keys(MIGRATIONS).join(', ')}`);
+        process.exit(name ? 1 : 0);
+    }
+
+    try {
+        const { name: accountName, dataDir } = await resolveAccount(process.argv[3]);
+        // Миграция переписывает хранилище - не рядом с трекером (см. AccountLock)
+        const lock = new AccountLock(getDataPaths(dataDir).LOCK_FILE, accountName);
+        await lock.acquire();
+
+        console.log(`Running migration: ${name} (${dataDir})`);
+        const result = await migration(dataDir);
+        await lock.release();
+        console.log('Migration completed:', result);
+    } catch (error) {
+        console.error('Migration failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
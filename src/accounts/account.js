@@ -0,0 +1,361 @@
+import { createApiClient } from '../collectors/api_client_factory.js';
+import { DataCollector } from '../collectors/data_collector.js';
+import { SessionState, createAuthError, isAuthError } from '../collectors/session_state.js';
+import { SyncJournal, createSyncRun } from '../collectors/sync_journal.js';
+import { writeCookiesFile } from '../cookies/cookie_import.js';
+import { createStorage } from '../storage/storage_factory.js';
+import { migrateEventIds, needsEventIdMigration } from '../storage/migrations/event_ids.js';
+import { migrateEventRecords, needsEventRecordMigration } from '../storage/migrations/event_records.js';
+import { migrateListPrices, needsListPriceUpdate } from '../storage/migrations/list_prices.js';
+import { PriceTable } from '../pricing/price_table.js';
+import { AlertEngine } from '../alerts/alert_engine.js';
+import { SyncScheduler } from '../scheduler/sync_scheduler.js';
+import { verifyEvents } from '../storage/event_integrity.js';
+import { isRetentionDue } from '../storage/retention.js';
+import { CONFIG, PATHS } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+import { DEFAULT_ACCOUNT_ID, loadAccountCookies } from './account_config.js';
+import { AccountLock } from './account_lock.js';
+
+const COLLECTION_NAMES = { incremental: 'Incremental sync', full: 'Full sync', backfill: 'Backfill', reconcile: 'Reconciliation' };
+
+// Отслеживаемый аккаунт Cursor: свои cookies, хранилище (каталог данных и метаданные
+// синхронизации), состояние алертов и расписание сбора
+export class Account {
+    constructor(config, webServer = null) {
+        this.id = config.id;
+        this.name = config.name;
+        this.config = config;
+        this.webServer = webServer;
+        this.storage = createStorage(CONFIG.STORAGE_BACKEND, config.dataDir);
+        this.alertEngine = new AlertEngine(
+            PATHS.ALERTS_CONFIG_FILE,
+            this.storage.paths.ALERT_STATE_FILE,
+            config.id === DEFAULT_ACCOUNT_ID ? null : { id: config.id, name: config.name }
+        );
+        this.syncJournal = new SyncJournal(this.storage.paths.SYNC_RUNS_FILE);
+        this.lock = new AccountLock(this.storage.paths.LOCK_FILE, config.name);
+        this.priceTable = null;
+        this.apiClient = null;
+        this.dataCollector = null;
+        this.session = new SessionState();
+        this.lastSessionStatus = null;
+        this.lastExpiryWarning = null;
+        this.scheduler = null;
+        // Идущая синхронизация { kind, run, promise } - одна на аккаунт (single-flight),
+        // kind - incremental, full, backfill или reconcile
+        this.activeCollection = null;
+        // Клиент API пересоздается с новыми cookies - синхронизацию не запускаем
+        this.isReconnecting = false;
+        this.logger = new Logger(`Account:${config.id}`);
+    }
+
+    // Хранилище без миграций событий - для команд CLI, которые работают рядом с запущенным трекером
+    async openStorage() {
+        await this.storage.initialize();
+        await this.storage.refreshStatsIfOutdated();
+    }
+
+    async initializeStorage() {
+        await this.storage.initialize();
+        this.priceTable = await PriceTable.load();
+
+        // Однократно переводим события со старыми случайными ID на стабильные
+        if (needsEventIdMigration(await this.storage.loadEvents())) {
+            this.logger.info('Legacy event IDs found, migrating to stable IDs...');
+            await migrateEventIds(this.storage);
+        }
+
+        // Записи старой схемы или с rawData, который по RAW_DATA_MODE должен храниться отдельно
+        if (needsEventRecordMigration(await this.storage.loadEvents())) {
+            this.logger.info(`Normalizing event records (raw data ${CONFIG.RAW_DATA_MODE})...`);
+            await migrateEventRecords(this.storage);
+        }
+
+        // Таблица цен изменилась (или появилась) - пересчитываем прейскурантную стоимость
+        if (needsListPriceUpdate(await this.storage.loadEvents(), this.priceTable)) {
+            this.logger.info(`Recomputing list prices (pricing ${this.priceTable.version})...`);
+            await migrateListPrices(this.storage, this.priceTable);
+        }
+        await this.storage.refreshStatsIfOutdated();
+    }
+
+    // cookies передаются явно для аккаунта по умолчанию, остальные берут их из cookiesFile
+    async initialize(cookies = null) {
+        this.logger.info(`Initializing account ${this.name}...`);
+
+        // Миграции и восстановление журнала - только под блокировкой каталога данных:
+        // запуски running остались от владельца, который остановился, не завершив синхронизацию
+        await this.lock.acquire();
+        await this.initializeStorage();
+        await this.syncJournal.recoverInterrupted();
+
+        // Загружаем правила алертов (если есть alerts.json)
+        await this.alertEngine.initialize();
+
+        await this.connect(cookies || await loadAccountCookies(this.config));
+    }
+
+    // Клиент API (браузер или прямые HTTP-запросы) и сборщик для cookies.
+    // Отклоненная сессия не мешает запуску: аккаунт ждет новых cookies (updateCookies)
+    async connect(cookies) {
+        this.session.setCookies(cookies);
+        this.apiClient = null;
+        this.dataCollector = null;
+
+        try {
+            this.apiClient = await createApiClient(cookies, this.config.collectorMode);
+        } catch (error) {
+            if (!isAuthError(error)) throw error;
+            this.handleAuthError(error);
+            return;
+        }
+        this.logger.info(`Using ${this.apiClient.name} collector`);
+
+        this.dataCollector = new DataCollector(this.apiClient, this.storage, this.webServer, this.alertEngine, {
+            accountId: this.id,
+            teamId: this.config.teamId,
+            priceTable: this.priceTable
+        });
+        this.publishSession();
+    }
+
+    // Возвращает собранные события.
+    // При истекшей или отклоненной сессии сбор не запускается до загрузки новых cookies.
+    // trigger - источник запуска для журнала синхронизаций, остальные options передаются DataCollector;
+    // options.backfill ({ from, to, windowDays }) - загрузка истории за период вместо синхронизации,
+    // options.reconcile (окна verifyEvents) - сверка окон с API
+    async collectData({ trigger = 'manual', ...options } = {}) {
+        return this.startCollection(trigger, options).promise;
+    }
+
+    // Single-flight: у аккаунта идет не больше одной синхронизации, повторный запуск присоединяется
+    // к идущей ({ joined: true }) и получает ее результат. Инкрементальная синхронизация присоединяется и к полной,
+    // остальные сочетания (полная поверх инкрементальной, что угодно поверх загрузки истории) - 409
+    startCollection(trigger = 'manual', options = {}) {
+        const kind = options.backfill ? 'backfill' : options.reconcile ? 'reconcile' : (options.full ? 'full' : 'incremental');
+
+        if (this.activeCollection) {
+            const active = this.activeCollection.kind;
+            if (kind !== active && !(kind === 'incremental' && active === 'full')) {
+                const error = new Error(`${COLLECTION_NAMES[active]} is in progress, retry the ${COLLECTION_NAMES[kind].toLowerCase()} when it finishes`);
+                error.status = 409;
+                throw error;
+            }
+            this.logger.info(`Sync is already running (${this.activeCollection.run.trigger}), joining it`);
+            return { ...this.activeCollection, joined: true };
+        }
+        if (this.isReconnecting) {
+            const error = new Error('Session is being updated, retry when it finishes');
+            error.status = 409;
+            throw error;
+        }
+
+        this.warnIfSessionExpiring();
+        if (this.session.isPaused() || !this.dataCollector) {
+            this.publishSession();
+            throw createAuthError(`Sync paused: session ${this.session.getStatus()}, upload fresh cookies (npm run cli -- cookies <file>)`);
+        }
+
+        const run = createSyncRun(trigger);
+        const promise = this.runCollection(run, options).finally(() => {
+            this.activeCollection = null;
+        });
+        this.activeCollection = { kind, run, promise };
+        return { ...this.activeCollection, joined: false };
+    }
+
+    async runCollection(run, options) {
+        await this.syncJournal.start(run);
+        try {
+            this.logger.info('Starting data collection...');
+
+            const { backfill, reconcile, ...syncOptions } = options;
+            let data;
+            if (backfill) {
+                data = await this.dataCollector.collectBackfill({ ...backfill, run });
+            } else if (reconcile) {
+                data = await this.dataCollector.collectReconcile({ windows: reconcile, run });
+            } else {
+                data = await this.dataCollector.collectUsageData({ ...syncOptions, run });
+            }
+            this.session.markValid();
+            await this.finishRun(run);
+            await this.applyRetentionIfDue(Boolean(backfill));
+
+            if (data.length > 0) {
+                // Данные уже сохранены в DataCollector через mergeUsageData
+                this.logger.info(`Collected and saved ${data.length} events`);
+            } else {
+                this.logger.warn('No data collected');
+            }
+            return data;
+        } catch (error) {
+            await this.finishRun(run, error);
+            if (isAuthError(error)) {
+                this.handleAuthError(error);
+            }
+            throw error;
+        } finally {
+            this.publishSession();
+        }
+    }
+
+    // Политика хранения (RETENTION_DAYS) после успешной синхронизации: раз в сутки, когда граница
+    // перешла на новый день, и после каждой загрузки истории (force). Идет внутри синхронизации -
+    // слияние событий в это время не начнется. Ошибка свертки не делает синхронизацию неудачной
+    async applyRetentionIfDue(force = false) {
+        if (!(CONFIG.RETENTION_DAYS > 0)) return;
+
+        try {
+            const state = await this.storage.getRetentionState();
+            if (!force && !isRetentionDue(state, CONFIG.RETENTION_DAYS)) return;
+
+            const result = await this.storage.applyRetention();
+            if (result.removedEvents > 0) {
+                this.logger.info(`Retention: ${result.removedEvents} events before ${result.cutoff} replaced with daily rollups`);
+            }
+        } catch (error) {
+            this.logger.error('Retention failed:', error.message);
+        }
+    }
+
+    // Идущая синхронизация и расписание (GET /api/sync)
+    getSyncState() {
+        return {
+            running: Boolean(this.activeCollection),
+            kind: this.activeCollection ? this.activeCollection.kind : null,
+            run: this.activeCollection ? this.activeCollection.run : null,
+            schedule: this.scheduler ? this.scheduler.getState() : null
+        };
+    }
+
+    // Проверка сохраненных событий (см. verifyEvents). repair - загрузить окна с проблемами заново и сверить с API:
+    // в отчет добавляется repair { run, windows, summary } - результат сверки и сводка повторной проверки
+    async verifyData({ filter = {}, gapDays, repair = false, trigger = 'manual' } = {}) {
+        const options = { filter, gapDays };
+        const report = verifyEvents(await this.storage.loadEvents(), await this.syncJournal.load(), options);
+        if (!repair) return report;
+
+        const windows = report.windows.map(window => ({ ...window }));
+        const collection = windows.length > 0 ? this.startCollection(trigger, { reconcile: windows }) : null;
+        let error = null;
+        if (collection) {
+            try {
+                await collection.promise;
+            } catch (collectionError) {
+                error = collectionError;
+            }
+        }
+
+        const after = verifyEvents(await this.storage.loadEvents(), await this.syncJournal.load(), options);
+        report.repair = {
+            run: collection ? collection.run : null,
+            error: error ? error.message : null,
+            windows,
+            summary: after.summary
+        };
+        return report;
+    }
+
+    async finishRun(run, error = null) {
+        await this.syncJournal.finish(run, error);
+        if (this.webServer) {
+            this.webServer.publishSyncRun(run, this.id);
+        }
+    }
+
+    handleAuthError(error) {
+        this.session.markRejected(error.message);
+        this.logger.error(`Session rejected (${error.message}), sync paused until fresh cookies are uploaded`);
+        this.publishSession();
+    }
+
+    // Предупреждение о скором истечении cookie - не чаще раза в сутки
+    warnIfSessionExpiring() {
+        const session = this.session.toJSON();
+        const today = new Date().toISOString().split('T')[0];
+        if (session.status !== 'expiring' || this.lastExpiryWarning === today) return;
+
+        this.lastExpiryWarning = today;
+        this.logger.warn(`Session cookie expires on ${session.expiresAt} (in ${session.daysRemaining} days), export fresh cookies before it does`);
+    }
+
+    // Дашборд получает состояние сессии только при его изменении
+    publishSession() {
+        const session = this.session.toJSON();
+        const key = `${session.status}:${session.updatedAt}:${session.rejectedAt}`;
+        if (key === this.lastSessionStatus) return;
+
+        this.lastSessionStatus = key;
+        if (this.webServer) {
+            this.webServer.publishSession(session, this.id);
+        }
+    }
+
+    // Новые cookies без перезапуска: сохраняются в файл аккаунта (для следующего запуска),
+    // клиент API пересоздается, и сразу запускается сбор
+    async updateCookies(cookies) {
+        if (this.activeCollection || this.isReconnecting) {
+            const error = new Error('Collection is in progress, retry when it finishes');
+            error.status = 409;
+            throw error;
+        }
+
+        // Пока клиент пересоздается, синхронизация не должна его использовать
+        this.isReconnecting = true;
+        try {
+            const file = this.config.cookiesFile || PATHS.COOKIES_FILE;
+            await writeCookiesFile(file, cookies);
+            this.logger.info(`Fresh cookies saved to ${file}`);
+
+            if (this.apiClient) {
+                await this.apiClient.close();
+            }
+            await this.connect(cookies);
+        } finally {
+            this.isReconnecting = false;
+        }
+
+        if (this.dataCollector) {
+            this.collectData({ trigger: 'cookies' }).catch(error => {
+                this.logger.error('Collection after cookies update failed:', error.message);
+            });
+        }
+        return this.session.toJSON();
+    }
+
+    startSchedule() {
+        this.scheduler = new SyncScheduler(() => this.runScheduledCollection(), {
+            schedule: this.config.schedule,
+            quietHours: this.config.quietHours,
+            interval: this.config.collectionInterval,
+            name: this.id
+        });
+        this.scheduler.start();
+    }
+
+    // Запись журнала для адаптивного интервала (если синхронизация уже шла - той, к которой присоединились)
+    async runScheduledCollection() {
+        const collection = this.startCollection('schedule');
+        await collection.promise;
+        return collection.run;
+    }
+
+    stopSchedule() {
+        if (this.scheduler) {
+            this.scheduler.stop();
+            this.scheduler = null;
+        }
+    }
+
+    async close() {
+        this.stopSchedule();
+
+        // Закрываем клиент API (и браузер, если он использовался)
+        if (this.apiClient) {
+            await this.apiClient.close();
+        }
+        await this.lock.release();
+    }
+}
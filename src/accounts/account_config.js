@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG, PATHS } from '../config/constants.js';
+import { parseCron } from '../scheduler/cron.js';
+import { parseQuietHours } from '../scheduler/sync_scheduler.js';
+import { Logger } from '../utils/logger.js';
+
+const logger = new Logger('AccountConfig');
+
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Аккаунт без accounts.json: данные прямо в OUTPUT_DIR, как до появления аккаунтов.
+// Cookies для него передаются при запуске (start_with_cookies.js), иначе используется профиль браузера
+function getDefaultAccountConfig() {
+    return {
+        id: DEFAULT_ACCOUNT_ID,
+        name: 'Default',
+        cookiesFile: null,
+        dataDir: CONFIG.OUTPUT_DIR,
+        collectorMode: CONFIG.COLLECTOR_MODE,
+        collectionInterval: CONFIG.COLLECTION_INTERVAL,
+        schedule: CONFIG.SYNC_SCHEDULE,
+        quietHours: CONFIG.SYNC_QUIET_HOURS,
+        teamId: CONFIG.CURSOR_TEAM_ID,
+        billingCycleStart: CONFIG.BILLING_CYCLE_START,
+        includedUsage: CONFIG.BILLING_INCLUDED_USAGE,
+        includedRequests: CONFIG.BILLING_INCLUDED_REQUESTS
+    };
+}
+
+function normalizeAccountConfig(account, index) {
+    if (!account.id || !ACCOUNT_ID_PATTERN.test(account.id)) {
+        throw new Error(`Account #${index + 1}: id must contain only letters, digits, "-" and "_"`);
+    }
+    if (!account.cookiesFile) {
+        throw new Error(`Account "${account.id}": cookiesFile is required`);
+    }
+
+    const schedule = account.schedule ?? CONFIG.SYNC_SCHEDULE;
+    const quietHours = account.quietHours ?? CONFIG.SYNC_QUIET_HOURS;
+    try {
+        if (schedule) parseCron(schedule);
+        parseQuietHours(quietHours);
+    } catch (error) {
+        throw new Error(`Account "${account.id}": ${error.message}`);
+    }
+
+    return {
+        ...account,
+        name: account.name || account.id,
+        dataDir: account.dataDir || path.join(PATHS.ACCOUNTS_DIR, account.id),
+        collectorMode: account.collectorMode || CONFIG.COLLECTOR_MODE,
+        collectionInterval: account.collectionInterval || CONFIG.COLLECTION_INTERVAL,
+        schedule,
+        quietHours,
+        teamId: account.teamId ?? CONFIG.CURSOR_TEAM_ID,
+        billingCycleStart: account.billingCycleStart ?? CONFIG.BILLING_CYCLE_START,
+        includedUsage: account.includedUsage ?? CONFIG.BILLING_INCLUDED_USAGE,
+        includedRequests: account.includedRequests ?? CONFIG.BILLING_INCLUDED_REQUESTS
+    };
+}
+
+// Список аккаунтов из accounts.json. Без файла - один аккаунт по умолчанию
+export async function loadAccountConfigs(file = PATHS.ACCOUNTS_FILE) {
+    let config;
+    try {
+        config = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [getDefaultAccountConfig()];
+        }
+        logger.error('Failed to load accounts config:', error);
+        throw error;
+    }
+
+    const accounts = (config.accounts || [])
+        .filter(account => account.enabled !== false)
+        .map(normalizeAccountConfig);
+
+    if (accounts.length === 0) {
+        throw new Error(`No enabled accounts in ${file}`);
+    }
+
+    const ids = new Set();
+    for (const account of accounts) {
+        if (ids.has(account.id)) {
+            throw new Error(`Duplicate account id: ${account.id}`);
+        }
+        ids.add(account.id);
+    }
+
+    logger.info(`Loaded ${accounts.length} accounts from ${file}`);
+    return accounts;
+}
+
+// Cookies аккаунта в формате cookies.json ({ cookies: [...] }) или null, если файла нет
+export async function loadAccountCookies(account) {
+    if (!account.cookiesFile) return null;
+
+    try {
+        const parsed = JSON.parse(await fs.readFile(account.cookiesFile, 'utf8'));
+        return parsed.cookies || null;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            logger.warn(`Cookies file not found for account ${account.id}: ${account.cookiesFile}`);
+        } else {
+            logger.error(`Failed to load cookies for account ${account.id}:`, error.message);
+        }
+        return null;
+    }
+}
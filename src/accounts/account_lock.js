@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import { unlinkSync } from 'fs';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+
+// Блокировка каталога данных аккаунта (tracker.lock): хранилище пишет только один процесс -
+// трекер, пишущая команда cursor-usage или migrate.js.
+// В файле PID и команда владельца; пока владелец жив, остальные пишущие команды не запускаются,
+// файл остановившегося процесса перехватывается. Команды чтения блокировку не берут
+export class AccountLock {
+    constructor(file, accountName) {
+        this.file = file;
+        this.accountName = accountName;
+        this.held = false;
+        this.releaseOnExit = () => this.releaseSync();
+        this.logger = new Logger('AccountLock');
+    }
+
+    async acquire() {
+        if (this.held) return;
+
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const owner = {
+            pid: process.pid,
+            command: [path.basename(process.argv[1] || 'node'), ...process.argv.slice(2)].join(' '),
+            startedAt: new Date().toISOString()
+        };
+
+        // Вторая попытка - после удаления файла остановившегося процесса
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                await fs.writeFile(this.file, JSON.stringify(owner, null, 2), { encoding: 'utf8', flag: 'wx' });
+                this.held = true;
+                process.once('exit', this.releaseOnExit);
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const holder = await this.readHolder();
+            if (holder && isProcessAlive(holder.pid)) {
+                const error = new Error(`Account ${this.accountName} is in use by another process (pid ${holder.pid}: ${holder.command}, since ${holder.startedAt}); use the running tracker or stop it first`);
+                error.status = 409;
+                throw error;
+            }
+            this.logger.warn(`Removing stale lock of account ${this.accountName}${holder ? ` (pid ${holder.pid})` : ''}`);
+            await fs.rm(this.file, { force: true });
+        }
+
+        const error = new Error(`Account ${this.accountName} is being locked by another process, retry later`);
+        error.status = 409;
+        throw error;
+    }
+
+    async readHolder() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            // Файл удален владельцем или поврежден
+            return null;
+        }
+    }
+
+    async release() {
+        if (!this.held) return;
+        this.held = false;
+        process.off('exit', this.releaseOnExit);
+        await fs.rm(this.file, { force: true });
+    }
+
+    // При выходе процесса (в том числе через process.exit) async-операции уже не выполняются
+    releaseSync() {
+        if (!this.held) return;
+        this.held = false;
+        try {
+            unlinkSync(this.file);
+        } catch (error) {
+            // Файл уже удален
+        }
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM - процесс есть, но принадлежит другому пользователю
+        return error.code === 'EPERM';
+    }
+}
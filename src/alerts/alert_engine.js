@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import { PATHS } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+import { checkRule, RULE_TYPES } from './alert_rules.js';
+import { createSink } from './sinks/index.js';
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const DEDUP_RETENTION_DAYS = 90;
+
+// Проверяет правила бюджета после каждого слияния данных и рассылает алерты.
+// Правила и получатели описываются в alerts.json, состояние (cooldown, уже отправленные
+// срабатывания) хранится в data/alert_state.json
+export class AlertEngine {
+    // account ({ id, name }) указывается при нескольких аккаунтах, чтобы алерты различались
+    constructor(configFile = PATHS.ALERTS_CONFIG_FILE, stateFile = PATHS.ALERT_STATE_FILE, account = null) {
+        this.configFile = configFile;
+        this.stateFile = stateFile;
+        this.account = account;
+        this.rules = [];
+        this.sinks = [];
+        this.logger = new Logger('AlertEngine');
+    }
+
+    get enabled() {
+        return this.rules.length > 0 && this.sinks.length > 0;
+    }
+
+    async initialize() {
+        let config;
+        try {
+            config = JSON.parse(await fs.readFile(this.configFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.logger.info(`No alerts config found (${this.configFile}), alerts disabled`);
+                return;
+            }
+            this.logger.error('Failed to load alerts config:', error);
+            throw error;
+        }
+
+        if (config.enabled === false) {
+            this.logger.info('Alerts disabled in config');
+            return;
+        }
+
+        this.sinks = (config.sinks || [{ type: 'console' }]).map(sinkConfig => createSink(sinkConfig));
+
+        this.rules = (config.rules || []).map((rule, index) => {
+            if (!RULE_TYPES.includes(rule.type)) {
+                throw new Error(`Alert rule #${index + 1}: unknown type "${rule.type}" (expected ${RULE_TYPES.join(', ')})`);
+            }
+            if (typeof rule.threshold !== 'number') {
+                throw new Error(`Alert rule #${index + 1}: threshold must be a number`);
+            }
+
+            return {
+                ...rule,
+                id: rule.id || `${rule.type}_${index + 1}`,
+                name: rule.name || rule.id || rule.type,
+                cooldownMinutes: rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES
+            };
+        });
+
+        this.logger.info(`Alerts enabled: ${this.rules.length} rules, ${this.sinks.length} sinks`);
+    }
+
+    async loadState() {
+        try {
+            return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load alert state:', error);
+            }
+            return { rules: {} };
+        }
+    }
+
+    async saveState(state) {
+        // Забываем старые ключи дедупликации, чтобы файл не рос бесконечно
+        const cutoff = Date.now() - DEDUP_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        for (const ruleState of Object.values(state.rules)) {
+            for (const [key, sentAt] of Object.entries(ruleState.sent || {})) {
+                if (new Date(sentAt).getTime() < cutoff) {
+                    delete ruleState.sent[key];
+                }
+            }
+        }
+
+        await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2), 'utf8');
+    }
+
+    async evaluate({ stats, added = [], updated = [] }) {
+        if (!this.enabled || !stats) return [];
+
+        try {
+            const state = await this.loadState();
+            const now = new Date();
+            const fired = [];
+
+            for (const rule of this.rules) {
+                const ruleState = state.rules[rule.id] || (state.rules[rule.id] = { sent: {} });
+
+                // Cooldown после последнего срабатывания
+                if (ruleState.lastFiredAt) {
+                    const cooldownEnds = new Date(ruleState.lastFiredAt).getTime() + rule.cooldownMinutes * 60 * 1000;
+                    if (now.getTime() < cooldownEnds) continue;
+                }
+
+                const violations = checkRule(rule, { stats, added, updated, now })
+                    .filter(violation => !ruleState.sent[violation.key]);
+
+                for (const violation of violations) {
+                    const alert = {
+                        ruleId: rule.id,
+                        ruleName: rule.name,
+                        type: rule.type,
+                        threshold: rule.threshold,
+                        value: violation.value,
+                        message: this.account ? `${this.account.name}: ${violation.message}` : violation.message,
+                        triggeredAt: now.toISOString()
+                    };
+                    if (this.account) {
+                        alert.accountId = this.account.id;
+                    }
+
+                    await this.deliver(alert, rule);
+                    ruleState.sent[violation.key] = alert.triggeredAt;
+                    fired.push(alert);
+                }
+
+                if (violations.length > 0) {
+                    ruleState.lastFiredAt = now.toISOString();
+                }
+            }
+
+            await this.saveState(state);
+            return fired;
+
+        } catch (error) {
+            this.logger.error('Failed to evaluate alerts:', error);
+            return [];
+        }
+    }
+
+    async deliver(alert, rule) {
+        // Правило может ограничить список получателей по имени sink
+        const sinks = rule.sinks
+            ? this.sinks.filter(sink => rule.sinks.includes(sink.name))
+            : this.sinks;
+
+        for (const sink of sinks) {
+            try {
+                await sink.send(alert);
+            } catch (error) {
+                this.logger.error(`Failed to deliver alert ${alert.ruleId} via ${sink.name}:`, error.message);
+            }
+        }
+    }
+}
@@ -0,0 +1,97 @@
+// Проверки правил алертов. Каждая возвращает список срабатываний:
+// { key, value, message }, где key - ключ дедупликации (одно срабатывание на день, месяц, событие)
+
+function currentDay(now) {
+    return now.toISOString().split('T')[0];
+}
+
+function currentMonth(now) {
+    return currentDay(now).slice(0, 7);
+}
+
+function sumByDate(byDate, predicate, field) {
+    return Object.entries(byDate || {})
+        .filter(([date]) => predicate(date))
+        .reduce((sum, [, day]) => sum + (day[field] || 0), 0);
+}
+
+const RULE_CHECKS = {
+    // Списанная за сутки стоимость больше threshold ($)
+    daily_cost(rule, { stats, now }) {
+        const day = currentDay(now);
+        const value = stats.byDate?.[day]?.chargedCost || 0;
+        if (value <= rule.threshold) return [];
+
+        return [{
+            key: day,
+            value: Number(value.toFixed(2)),
+            message: `Charged cost for ${day} is $${value.toFixed(2)} (threshold $${rule.threshold})`
+        }];
+    },
+
+    // Кредиты за календарный месяц больше threshold (в единицах поля credits)
+    monthly_credits(rule, { stats, now }) {
+        const month = currentMonth(now);
+        const value = sumByDate(stats.byDate, date => date.startsWith(month), 'credits');
+        if (value <= rule.threshold) return [];
+
+        return [{
+            key: month,
+            value,
+            message: `Credits used in ${month}: ${value} (threshold ${rule.threshold})`
+        }];
+    },
+
+    // Доля событий Max Mode больше threshold (%) за период day | month | all
+    max_mode_share(rule, { stats, now }) {
+        const period = rule.period || 'month';
+        let predicate;
+        let key;
+
+        if (period === 'day') {
+            key = currentDay(now);
+            predicate = date => date === key;
+        } else if (period === 'month') {
+            key = currentMonth(now);
+            predicate = date => date.startsWith(key);
+        } else {
+            // За всю историю - не чаще одного раза в сутки
+            key = `all:${currentDay(now)}`;
+            predicate = () => true;
+        }
+
+        const count = sumByDate(stats.byDate, predicate, 'count');
+        const maxMode = sumByDate(stats.byDate, predicate, 'maxMode');
+        if (count === 0 || count < (rule.minEvents || 0)) return [];
+
+        const share = (maxMode / count) * 100;
+        if (share <= rule.threshold) return [];
+
+        return [{
+            key,
+            value: Number(share.toFixed(1)),
+            message: `Max Mode share for ${period === 'all' ? 'all time' : key} is ${share.toFixed(1)}% (${maxMode} of ${count} events, threshold ${rule.threshold}%)`
+        }];
+    },
+
+    // Отдельное новое или обновленное событие дороже threshold ($)
+    event_cost(rule, { added, updated }) {
+        return [...added, ...updated]
+            .filter(event => (event.cost || 0) > rule.threshold)
+            .map(event => ({
+                key: event.id,
+                value: event.cost,
+                message: `Event ${event.id} (${event.model}, ${new Date(event.date).toISOString()}) cost $${event.cost.toFixed(2)} (threshold $${rule.threshold})`
+            }));
+    }
+};
+
+export const RULE_TYPES = Object.keys(RULE_CHECKS);
+
+export function checkRule(rule, context) {
+    const check = RULE_CHECKS[rule.type];
+    if (!check) {
+        throw new Error(`Unknown alert rule type: ${rule.type}`);
+    }
+    return check(rule, context);
+}
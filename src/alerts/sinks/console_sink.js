@@ -0,0 +1,12 @@
+import { Logger } from '../../utils/logger.js';
+
+export class ConsoleSink {
+    constructor(config = {}) {
+        this.name = config.name || 'console';
+        this.logger = new Logger('Alert');
+    }
+
+    async send(alert) {
+        this.logger.warn(`[${alert.ruleId}] ${alert.message}`);
+    }
+}
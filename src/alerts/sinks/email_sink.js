@@ -0,0 +1,30 @@
+import nodemailer from 'nodemailer';
+
+// Отправка алертов по SMTP
+export class EmailSink {
+    constructor(config = {}) {
+        if (!config.smtp || !config.to) {
+            throw new Error(`Sink "${config.name || 'email'}" requires smtp and to`);
+        }
+
+        this.name = config.name || 'email';
+        this.from = config.from || config.smtp.auth?.user;
+        this.to = config.to;
+        this.transport = nodemailer.createTransport(config.smtp);
+    }
+
+    async send(alert) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `[Cursor Usage] ${alert.ruleName}`,
+            text: [
+                alert.message,
+                '',
+                `Value: ${alert.value}`,
+                `Threshold: ${alert.threshold}`,
+                `Triggered at: ${alert.triggeredAt}`
+            ].join('\n')
+        });
+    }
+}
@@ -0,0 +1,19 @@
+import { ConsoleSink } from './console_sink.js';
+import { WebhookSink } from './webhook_sink.js';
+import { SlackSink } from './slack_sink.js';
+import { EmailSink } from './email_sink.js';
+
+const SINK_TYPES = {
+    console: ConsoleSink,
+    webhook: WebhookSink,
+    slack: SlackSink,
+    email: EmailSink
+};
+
+export function createSink(config) {
+    const SinkClass = SINK_TYPES[config.type];
+    if (!SinkClass) {
+        throw new Error(`Unknown alert sink type: ${config.type}`);
+    }
+    return new SinkClass(config);
+}
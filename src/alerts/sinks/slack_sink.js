@@ -0,0 +1,32 @@
+import { WebhookSink } from './webhook_sink.js';
+
+// Slack-совместимый incoming webhook (подходит и для Mattermost, Rocket.Chat)
+export class SlackSink extends WebhookSink {
+    constructor(config = {}) {
+        super(config);
+        this.name = config.name || 'slack';
+        this.channel = config.channel;
+        this.username = config.username || 'Cursor Usage Tracker';
+    }
+
+    buildPayload(alert) {
+        const payload = {
+            username: this.username,
+            text: `:rotating_light: *${alert.ruleName}*\n${alert.message}`,
+            attachments: [{
+                color: 'danger',
+                fields: [
+                    { title: 'Value', value: String(alert.value), short: true },
+                    { title: 'Threshold', value: String(alert.threshold), short: true }
+                ],
+                ts: Math.floor(new Date(alert.triggeredAt).getTime() / 1000)
+            }]
+        };
+
+        if (this.channel) {
+            payload.channel = this.channel;
+        }
+
+        return payload;
+    }
+}
@@ -0,0 +1,39 @@
+import fetch from 'node-fetch';
+import { CONFIG } from '../../config/constants.js';
+
+// Отправляет алерт как JSON POST-запрос на произвольный URL
+export class WebhookSink {
+    constructor(config = {}) {
+        if (!config.url) {
+            throw new Error(`Sink "${config.name || config.type}" requires a url`);
+        }
+
+        this.name = config.name || 'webhook';
+        this.url = config.url;
+        this.headers = config.headers || {};
+    }
+
+    buildPayload(alert) {
+        return alert;
+    }
+
+    async send(alert) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.API_TIMEOUT);
+
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.headers },
+                body: JSON.stringify(this.buildPayload(alert)),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+}
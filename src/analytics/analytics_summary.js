@@ -0,0 +1,124 @@
+// Сводка аналитики продуктивности рядом с расходами: по дням, итоги и по участникам команды.
+// Стоимость дня берется из статистики событий (stats.byDate) или считается по событиям фильтра
+
+import { isRolledUp } from '../storage/retention.js';
+
+const SUM_FIELDS = [
+    'linesAdded',
+    'linesDeleted',
+    'acceptedLinesAdded',
+    'acceptedLinesDeleted',
+    'applies',
+    'accepts',
+    'rejects',
+    'tabsShown',
+    'tabsAccepted',
+    'composerRequests',
+    'chatRequests',
+    'agentRequests',
+    'cmdkUsages'
+];
+
+// Участникам команды расходы не сопоставляются: аналитика и события приходят раздельно
+function createTotals(withCosts = true) {
+    const totals = withCosts ? { cost: 0, chargedCost: 0, credits: 0, events: 0 } : {};
+    SUM_FIELDS.forEach(field => { totals[field] = 0; });
+    return totals;
+}
+
+function addMetrics(totals, day) {
+    SUM_FIELDS.forEach(field => { totals[field] += day[field] || 0; });
+}
+
+function ratio(value, total) {
+    return total > 0 ? value / total : null;
+}
+
+// Производные показатели: доля принятых правок и табов, стоимость строки и запроса
+function withRates(totals) {
+    const requests = totals.composerRequests + totals.chatRequests + totals.agentRequests + totals.cmdkUsages;
+
+    return {
+        ...totals,
+        requests,
+        acceptRate: ratio(totals.accepts, totals.accepts + totals.rejects),
+        tabAcceptRate: ratio(totals.tabsAccepted, totals.tabsShown),
+        costPerAcceptedLine: totals.cost === undefined ? null : ratio(totals.cost, totals.acceptedLinesAdded),
+        costPerRequest: totals.cost === undefined ? null : ratio(totals.cost, requests)
+    };
+}
+
+// Стоимость по дням из событий (для фильтра по участнику, которого нет в stats.byDate).
+// rollups - { rows, state } (storage/retention.js): дни свернутого периода берутся из дневных агрегатов
+export async function collectDailyCosts(events, getChargedCost, rollups = null) {
+    const byDate = {};
+    const getDay = date => byDate[date] || (byDate[date] = { count: 0, cost: 0, chargedCost: 0, credits: 0 });
+
+    for await (const event of events) {
+        if (rollups && isRolledUp(event, rollups.state)) continue;
+
+        const day = getDay(new Date(event.date).toISOString().split('T')[0]);
+        day.count++;
+        day.cost += event.costInfo?.originalCost || event.cost || 0;
+        day.chargedCost += getChargedCost(event);
+        day.credits += event.credits || 0;
+    }
+
+    for (const row of rollups?.rows || []) {
+        const day = getDay(row.date);
+        day.count += row.count;
+        day.cost += row.cost;
+        day.chargedCost += row.chargedCost;
+        day.credits += row.credits;
+    }
+
+    return byDate;
+}
+
+export function summarizeAnalytics(days, costsByDate = {}) {
+    const daily = new Map();
+    const byUser = {};
+
+    for (const day of days) {
+        if (!daily.has(day.date)) {
+            daily.set(day.date, { date: day.date, ...createTotals() });
+        }
+        addMetrics(daily.get(day.date), day);
+
+        if (day.user) {
+            if (!byUser[day.user]) {
+                byUser[day.user] = createTotals(false);
+            }
+            addMetrics(byUser[day.user], day);
+        }
+    }
+
+    // Дни с расходами, но без аналитики, тоже попадают в сводку
+    for (const [date, costs] of Object.entries(costsByDate)) {
+        if (!daily.has(date)) {
+            daily.set(date, { date, ...createTotals() });
+        }
+        const entry = daily.get(date);
+        entry.cost = costs.cost || 0;
+        entry.chargedCost = costs.chargedCost || 0;
+        entry.credits = costs.credits || 0;
+        entry.events = costs.count || 0;
+    }
+
+    const dailyList = [...daily.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+    const totals = createTotals();
+    for (const entry of dailyList) {
+        addMetrics(totals, entry);
+        totals.cost += entry.cost;
+        totals.chargedCost += entry.chargedCost;
+        totals.credits += entry.credits;
+        totals.events += entry.events;
+    }
+
+    return {
+        totals: withRates(totals),
+        daily: dailyList.map(withRates),
+        byUser: Object.fromEntries(Object.entries(byUser).map(([user, userTotals]) => [user, withRates(userTotals)]))
+    };
+}
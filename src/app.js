@@ -1,36 +1,39 @@
-import { BrowserManager } from './browser/browser_manager.js';
-import { DataCollector } from './collectors/data_collector.js';
-import { DataStorage } from './storage/data_storage.js';
+import { Account } from './accounts/account.js';
+import { DEFAULT_ACCOUNT_ID, loadAccountConfigs } from './accounts/account_config.js';
 import { WebServer } from './web/web_server.js';
-import { CONFIG } from './config/constants.js';
+import { isAuthError } from './collectors/session_state.js';
 import { Logger } from './utils/logger.js';
 
 export class CursorUsageTracker {
     constructor() {
         this.logger = new Logger('CursorUsageTracker');
-        this.browserManager = null;
-        this.dataCollector = null;
-        this.dataStorage = new DataStorage();
+        this.accounts = [];
         this.webServer = new WebServer();
         this.isRunning = false;
-        this.collectionInterval = null;
     }
 
-    async initialize(cookies = null) {
+    // cookies используются аккаунтом по умолчанию (без accounts.json),
+    // аккаунты из accounts.json загружают свои cookies из cookiesFile.
+    // accountId - инициализировать только один аккаунт
+    async initialize(cookies = null, accountId = null) {
         try {
             this.logger.info('Initializing Cursor Usage Tracker...');
 
-            // Инициализируем хранилище данных
-            await this.dataStorage.initialize();
+            const accountConfigs = (await loadAccountConfigs())
+                .filter(config => !accountId || config.id === accountId);
+            if (accountConfigs.length === 0) {
+                throw new Error(`Unknown account: ${accountId}`);
+            }
 
-            // Инициализируем браузер с cookies
-            this.browserManager = new BrowserManager();
-            await this.browserManager.initialize(cookies);
+            for (const config of accountConfigs) {
+                const account = new Account(config, this.webServer);
+                await account.initialize(config.id === DEFAULT_ACCOUNT_ID ? cookies : null);
 
-            // Инициализируем сборщик данных
-            this.dataCollector = new DataCollector(this.browserManager, this.dataStorage, this.webServer);
+                this.webServer.addAccount(account);
+                this.accounts.push(account);
+            }
 
-            this.logger.info('Initialization completed successfully');
+            this.logger.info(`Initialization completed successfully (${this.accounts.length} accounts)`);
 
         } catch (error) {
             this.logger.error('Failed to initialize:', error);
@@ -50,11 +53,17 @@ export class CursorUsageTracker {
             // Запускаем веб-сервер
             await this.webServer.start();
 
-            // Выполняем первичный сбор данных
-            await this.collectData();
+            // Выполняем первичный сбор данных. Без действующей сессии трекер все равно запускается:
+            // сбор возобновится после загрузки новых cookies через дашборд или CLI
+            try {
+                await this.collectData({ trigger: 'startup' });
+            } catch (error) {
+                if (!isAuthError(error)) throw error;
+                this.logger.warn(`Initial collection skipped: ${error.message}`);
+            }
 
-            // Настраиваем периодический сбор данных
-            this.setupPeriodicCollection();
+            // Настраиваем периодический сбор данных (у каждого аккаунта свой интервал)
+            this.accounts.forEach(account => account.startSchedule());
 
             this.isRunning = true;
             this.logger.info('Tracker started successfully');
@@ -74,18 +83,12 @@ export class CursorUsageTracker {
 
             this.logger.info('Stopping Cursor Usage Tracker...');
 
-            // Останавливаем периодический сбор
-            if (this.collectionInterval) {
-                clearInterval(this.collectionInterval);
-                this.collectionInterval = null;
-            }
-
             // Останавливаем веб-сервер
             await this.webServer.stop();
 
-            // Закрываем браузер
-            if (this.browserManager) {
-                await this.browserManager.close();
+            // Останавливаем периодический сбор и закрываем клиенты API
+            for (const account of this.accounts) {
+                await account.close();
             }
 
             this.isRunning = false;
@@ -97,51 +100,50 @@ export class CursorUsageTracker {
         }
     }
 
-    async collectData() {
-        try {
-            this.logger.info('Starting data collection...');
-
-            const data = await this.dataCollector.collectUsageData();
-
-            if (data.length > 0) {
-                // Данные уже сохранены в DataCollector через mergeUsageData
-                this.logger.info(`Collected and saved ${data.length} events`);
-            } else {
-                this.logger.warn('No data collected');
-            }
-
-        } catch (error) {
-            this.logger.error('Failed to collect data:', error);
-            throw error;
-        }
-    }
+    // Собирает данные всех аккаунтов по очереди. Ошибка одного аккаунта не мешает остальным,
+    // исключение - только если не удалось ни одному. Возвращает итог по каждому аккаунту
+    async collectData(options = {}) {
+        const results = [];
+        const errors = [];
 
-    setupPeriodicCollection() {
-        this.collectionInterval = setInterval(async () => {
+        for (const account of this.accounts) {
             try {
-                this.logger.info('Starting periodic data collection...');
-                await this.collectData();
+                const data = await account.collectData(options);
+                results.push({ id: account.id, name: account.name, collected: data.length, error: null });
             } catch (error) {
-                this.logger.error('Periodic collection failed:', error);
+                this.logger.error(`Failed to collect data for account ${account.id}:`, error);
+                results.push({ id: account.id, name: account.name, collected: 0, error: error.message });
+                errors.push(error);
             }
-        }, CONFIG.COLLECTION_INTERVAL);
+        }
 
-        this.logger.info(`Periodic collection set up (interval: ${CONFIG.COLLECTION_INTERVAL}ms)`);
+        if (errors.length > 0 && errors.length === this.accounts.length) {
+            throw errors[0];
+        }
+
+        return results;
     }
 
-    async runOnce() {
+    // Однократный сбор без веб-сервера и расписания (CLI: cursor-usage sync).
+    // full - загрузить всю историю заново, backfill - загрузить историю за период (cursor-usage backfill)
+    async runOnce({ cookies = null, accountId = null, full = false, backfill = null } = {}) {
         try {
             this.logger.info('Running single data collection...');
 
-            await this.initialize();
-            await this.collectData();
-            await this.stop();
+            await this.initialize(cookies, accountId);
+            const results = await this.collectData({ full, backfill, trigger: 'cli' });
 
             this.logger.info('Single run completed');
+            return results;
 
         } catch (error) {
             this.logger.error('Single run failed:', error);
             throw error;
+        } finally {
+            // Трекер не запускался (stop() ничего не делает), но браузер аккаунтов нужно закрыть
+            for (const account of this.accounts) {
+                await account.close();
+            }
         }
     }
 }
@@ -0,0 +1,205 @@
+// Расчетный период подписки: Cursor считает включенный лимит и списания не по календарному месяцу,
+// а от даты начала подписки в Stripe. Дата берется из user_info.json (ответ /api/auth/stripe),
+// ее можно переопределить в настройках аккаунта
+
+import { isRolledUp } from '../storage/retention.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Поля ответа Stripe, в которых может прийти начало текущего периода
+const STRIPE_CYCLE_FIELDS = [
+    'billingCycleStart',
+    'currentPeriodStart',
+    'current_period_start',
+    'subscriptionCurrentPeriodStart',
+    'billingCycleAnchor',
+    'billing_cycle_anchor'
+];
+
+// Включенная в план стоимость использования, $ за период
+export const PLAN_INCLUDED_USAGE = {
+    pro: 20,
+    pro_plus: 70,
+    ultra: 400,
+    business: 20,
+    team: 20
+};
+
+// Секунды, миллисекунды (числом или строкой) или ISO-дата
+export function parseCycleDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let date;
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const number = Number(value);
+        date = new Date(number < 1e12 ? number * 1000 : number);
+    } else {
+        date = new Date(value);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Точка отсчета периодов: настройка аккаунта, данные Stripe или начало календарного месяца
+export function getCycleAnchor(userInfo, override = null, now = new Date()) {
+    const configured = parseCycleDate(override);
+    if (configured) {
+        return { date: configured, source: 'config' };
+    }
+
+    for (const field of STRIPE_CYCLE_FIELDS) {
+        const date = parseCycleDate(userInfo?.[field]);
+        if (date) {
+            return { date, source: 'stripe' };
+        }
+    }
+
+    return { date: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), source: 'calendar' };
+}
+
+// Дата через months месяцев от anchor; день месяца прижимается к концу короткого месяца (31 -> 28)
+function addMonths(anchor, months) {
+    const year = anchor.getUTCFullYear();
+    const month = anchor.getUTCMonth() + months;
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    return new Date(Date.UTC(
+        year,
+        month,
+        Math.min(anchor.getUTCDate(), daysInMonth),
+        anchor.getUTCHours(),
+        anchor.getUTCMinutes(),
+        anchor.getUTCSeconds()
+    ));
+}
+
+// Период, содержащий момент at. offset = -1 - предыдущий период и т.д.
+export function getBillingCycle(anchor, at = new Date(), offset = 0) {
+    let months = (at.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + at.getUTCMonth() - anchor.getUTCMonth();
+    if (addMonths(anchor, months) > at) {
+        months--;
+    }
+
+    const start = addMonths(anchor, months + offset);
+    const end = addMonths(anchor, months + offset + 1);
+    return { start, end, days: Math.round((end - start) / DAY_MS) };
+}
+
+// Периоды, пересекающиеся с диапазоном [from, to), и доля каждого периода внутри диапазона
+export function listBillingCycles(anchor, from, to) {
+    const cycles = [];
+
+    for (let offset = 0; ; offset++) {
+        const cycle = getBillingCycle(anchor, from, offset);
+        if (cycle.start >= to) break;
+
+        const coveredStart = Math.max(cycle.start.getTime(), from.getTime());
+        const coveredEnd = Math.min(cycle.end.getTime(), to.getTime());
+        cycles.push({ ...cycle, coveredShare: (coveredEnd - coveredStart) / (cycle.end - cycle.start) });
+    }
+
+    return cycles;
+}
+
+export function getPlanAllowance(userInfo, overrides = {}) {
+    const plan = userInfo?.individualMembershipType || userInfo?.membershipType || null;
+
+    return {
+        plan,
+        includedUsage: overrides.includedUsage ?? PLAN_INCLUDED_USAGE[plan] ?? null,
+        includedRequests: overrides.includedRequests ?? null
+    };
+}
+
+function createCycleTotals(cycle) {
+    return {
+        start: cycle.start.toISOString(),
+        end: cycle.end.toISOString(),
+        days: cycle.days,
+        events: 0,
+        tokens: 0,
+        cost: 0,
+        chargedCost: 0,
+        includedCost: 0,
+        includedRequests: 0,
+        credits: 0
+    };
+}
+
+// Итоги по периодам за один проход по событиям (от начала самого раннего периода).
+// rollups - { rows, state } (storage/retention.js): события свернутого периода берутся из дневных агрегатов,
+// агрегат относится к периоду, в который попадает начало его дня (UTC)
+export async function summarizeBillingCycles(events, cycles, getChargedCost, rollups = null) {
+    const totals = cycles.map(createCycleTotals);
+    const findCycle = time => cycles.findIndex(cycle => time >= cycle.start.getTime() && time < cycle.end.getTime());
+
+    for await (const event of events) {
+        if (rollups && isRolledUp(event, rollups.state)) continue;
+
+        const index = findCycle(new Date(event.date).getTime());
+        if (index === -1) continue;
+
+        const entry = totals[index];
+        entry.events++;
+        entry.tokens += event.tokens || 0;
+        entry.cost += event.costInfo?.originalCost || event.cost || 0;
+        entry.chargedCost += getChargedCost(event);
+        entry.credits += event.credits || 0;
+        if (event.costInfo?.isIncluded) {
+            entry.includedCost += event.costInfo.originalCost || 0;
+            entry.includedRequests++;
+        }
+    }
+
+    for (const row of rollups?.rows || []) {
+        const index = findCycle(new Date(row.date).getTime());
+        if (index === -1) continue;
+
+        const entry = totals[index];
+        entry.events += row.count;
+        entry.tokens += row.tokens;
+        entry.cost += row.cost;
+        entry.chargedCost += row.chargedCost;
+        entry.credits += row.credits;
+        entry.includedCost += row.includedCost;
+        entry.includedRequests += row.includedEvents;
+    }
+
+    return totals;
+}
+
+function percent(value, limit) {
+    return limit > 0 ? value / limit * 100 : null;
+}
+
+// Текущий период с расходом лимита и днями до конца, плюс предыдущие периоды для сравнения
+export function buildBillingReport({ anchor, allowance, cycleTotals, now = new Date() }) {
+    const [current, ...previous] = cycleTotals;
+    const end = new Date(current.end);
+    const elapsedDays = (now - new Date(current.start)) / DAY_MS;
+
+    return {
+        source: anchor.source,
+        anchor: anchor.date.toISOString(),
+        plan: allowance.plan,
+        cycle: {
+            start: current.start,
+            end: current.end,
+            days: current.days,
+            daysElapsed: Math.floor(elapsedDays),
+            daysRemaining: Math.max(0, Math.ceil((end - now) / DAY_MS))
+        },
+        current: {
+            ...current,
+            allowance: {
+                includedUsage: allowance.includedUsage,
+                includedRequests: allowance.includedRequests,
+                usagePercent: percent(current.includedCost, allowance.includedUsage),
+                requestsPercent: percent(current.includedRequests, allowance.includedRequests),
+                usageRemaining: allowance.includedUsage === null
+                    ? null
+                    : Math.max(0, allowance.includedUsage - current.includedCost)
+            }
+        },
+        previous
+    };
+}
@@ -0,0 +1,175 @@
+import { CONFIG } from '../config/constants.js';
+
+// Прогноз расходов до конца расчетного периода и даты исчерпания включенного лимита.
+// Модель простая: линейный тренд дневных значений по последним полным дням (stats.byDate)
+// и нормальная полоса неопределенности по остаткам тренда
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const Z_95 = 1.96;
+
+export const FORECAST_METRICS = ['cost', 'chargedCost', 'includedCost', 'credits'];
+
+function getDateKey(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+function startOfUtcDay(time) {
+    return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+// Линейная регрессия value = intercept + slope * t; при малом числе точек - среднее без тренда
+export function fitTrend(values) {
+    const n = values.length;
+    if (n === 0) {
+        return { intercept: 0, slope: 0, sigma: 0 };
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    let slope = 0;
+    if (n >= CONFIG.FORECAST_MIN_TREND_DAYS) {
+        const meanT = (n - 1) / 2;
+        let covariance = 0;
+        let variance = 0;
+        values.forEach((value, t) => {
+            covariance += (t - meanT) * (value - mean);
+            variance += (t - meanT) ** 2;
+        });
+        slope = variance > 0 ? covariance / variance : 0;
+    }
+    const intercept = mean - slope * (n - 1) / 2;
+
+    const residuals = values.reduce((sum, value, t) => sum + (value - intercept - slope * t) ** 2, 0);
+    const degrees = slope === 0 ? n - 1 : n - 2;
+    const sigma = degrees > 0 ? Math.sqrt(residuals / degrees) : 0;
+
+    return { intercept, slope, sigma };
+}
+
+// Оставшиеся части периода по суткам UTC: [{ start, end, weight, t }], t - номер дня относительно истории
+function getFutureSlices(now, cycleEnd, historyStart) {
+    const slices = [];
+    let start = now.getTime();
+
+    while (start < cycleEnd.getTime()) {
+        const end = Math.min(startOfUtcDay(start) + DAY_MS, cycleEnd.getTime());
+        slices.push({
+            start,
+            end,
+            weight: (end - start) / DAY_MS,
+            t: Math.round((startOfUtcDay(start) - historyStart) / DAY_MS)
+        });
+        start = end;
+    }
+
+    return slices;
+}
+
+// Накопленный прогноз по оставшимся частям периода: центральное значение и полуширина полосы
+function projectMetric(trend, slices) {
+    let total = 0;
+    let variance = 0;
+
+    return slices.map(slice => {
+        total += Math.max(0, trend.intercept + trend.slope * slice.t) * slice.weight;
+        variance += (trend.sigma * slice.weight) ** 2;
+        return { time: slice.end, value: total, band: Z_95 * Math.sqrt(variance) };
+    });
+}
+
+// Момент, когда накопленное значение достигнет remaining (линейно внутри части суток)
+function findCrossing(points, slices, remaining, offset) {
+    let previous = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        const value = Math.max(0, points[i].value + offset * points[i].band);
+        if (value >= remaining) {
+            const fraction = value > previous ? (remaining - previous) / (value - previous) : 1;
+            return new Date(slices[i].start + fraction * (slices[i].end - slices[i].start)).toISOString();
+        }
+        previous = value;
+    }
+
+    return null;
+}
+
+export function buildForecast({ cycle, current, byDate = {}, allowance, now = new Date() }) {
+    // История - последние полные дни: сегодняшний день еще не закончился и занизил бы тренд
+    const historyDays = CONFIG.FORECAST_HISTORY_DAYS;
+    const historyStart = startOfUtcDay(now.getTime()) - historyDays * DAY_MS;
+    const history = [];
+    for (let i = 0; i < historyDays; i++) {
+        history.push(byDate[getDateKey(historyStart + i * DAY_MS)] || {});
+    }
+
+    // История до первого события не считается нулевыми днями
+    const firstActive = history.findIndex(day => day.count > 0);
+    const activeHistory = firstActive === -1 ? [] : history.slice(firstActive);
+    const historyOffset = firstActive === -1 ? 0 : firstActive * DAY_MS;
+
+    const slices = getFutureSlices(now, cycle.end, historyStart + historyOffset);
+    const projections = {};
+    const trends = {};
+
+    for (const metric of FORECAST_METRICS) {
+        trends[metric] = fitTrend(activeHistory.map(day => day[metric] || 0));
+        projections[metric] = projectMetric(trends[metric], slices);
+    }
+
+    const endOf = metric => projections[metric][projections[metric].length - 1] || { value: 0, band: 0 };
+    const projected = {};
+    for (const metric of FORECAST_METRICS) {
+        const { value, band } = endOf(metric);
+        projected[metric] = {
+            current: current[metric],
+            expected: current[metric] + value,
+            low: current[metric] + Math.max(0, value - band),
+            high: current[metric] + value + band,
+            dailyRate: activeHistory.length > 0
+                ? Math.max(0, trends[metric].intercept + trends[metric].slope * (slices[0]?.t ?? activeHistory.length))
+                : 0
+        };
+    }
+
+    // Включенный лимит: когда закончится и сколько сверх него станет платным
+    let quota = null;
+    if (allowance.includedUsage !== null) {
+        const remaining = allowance.includedUsage - current.includedCost;
+        const included = projected.includedCost;
+        const overage = value => Math.max(0, value - allowance.includedUsage);
+
+        quota = {
+            limit: allowance.includedUsage,
+            used: current.includedCost,
+            remaining: Math.max(0, remaining),
+            exhausted: remaining <= 0,
+            // Центральная оценка и интервал: раньше всего при верхней границе, позже всего при нижней
+            exhaustionDate: remaining <= 0 ? null : findCrossing(projections.includedCost, slices, remaining, 0),
+            earliestExhaustionDate: remaining <= 0 ? null : findCrossing(projections.includedCost, slices, remaining, 1),
+            latestExhaustionDate: remaining <= 0 ? null : findCrossing(projections.includedCost, slices, remaining, -1),
+            willExceed: included.expected > allowance.includedUsage,
+            projectedOverage: {
+                expected: overage(included.expected),
+                low: overage(included.low),
+                high: overage(included.high)
+            }
+        };
+
+        // Сверх лимита использование списывается: добавляем превышение к прогнозу списаний
+        projected.chargedCost.expected += quota.projectedOverage.expected - overage(current.includedCost);
+        projected.chargedCost.low += quota.projectedOverage.low - overage(current.includedCost);
+        projected.chargedCost.high += quota.projectedOverage.high - overage(current.includedCost);
+    }
+
+    return {
+        model: 'linear',
+        confidence: 0.95,
+        historyDays: activeHistory.length,
+        cycle: {
+            start: cycle.start.toISOString(),
+            end: cycle.end.toISOString(),
+            daysRemaining: Math.max(0, Math.ceil((cycle.end - now) / DAY_MS))
+        },
+        projected,
+        quota
+    };
+}
@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import { PATHS } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+import { isRolledUp } from '../storage/retention.js';
+
+const logger = new Logger('PlanSimulator');
+
+// События, за которые Cursor не берет плату ни на одном плане
+const NOT_CHARGED_KINDS = ['errored_not_charged', 'aborted_not_charged', 'user_api_key'];
+
+// Планы для сравнения из plans.json: абонентская плата и включенный объем за расчетный период
+// на одно место (участника), pooledUsage - включенный объем общий для всех мест,
+// priceMultiplier и modelMultipliers - наценка на использование и на отдельные модели
+export async function loadPlans(file = PATHS.PLANS_FILE) {
+    let config;
+    try {
+        config = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        logger.error(`Failed to load plans config (${file}):`, error.message);
+        throw error;
+    }
+
+    const plans = Object.entries(config.plans || {}).map(([id, plan]) => {
+        if (typeof plan.monthlyFee !== 'number' || typeof plan.includedUsage !== 'number') {
+            throw new Error(`Plan "${id}": monthlyFee and includedUsage must be numbers`);
+        }
+
+        return {
+            id,
+            name: plan.name || id,
+            monthlyFee: plan.monthlyFee,
+            includedUsage: plan.includedUsage,
+            pooledUsage: Boolean(plan.pooledUsage),
+            priceMultiplier: plan.priceMultiplier ?? 1,
+            modelMultipliers: plan.modelMultipliers || {}
+        };
+    });
+
+    if (plans.length === 0) {
+        throw new Error(`No plans defined in ${file}`);
+    }
+
+    return { version: config.version || null, plans };
+}
+
+// Стоимость использования события: по таблице цен, без нее - стоимость из API
+function getUsageCost(event) {
+    if (typeof event.costInfo?.listCost === 'number') {
+        return { cost: event.costInfo.listCost, listed: true };
+    }
+    return { cost: event.costInfo?.originalCost || event.cost || 0, listed: false };
+}
+
+function addUsage(usage, user, model, cost) {
+    if (!usage.has(user)) {
+        usage.set(user, new Map());
+    }
+    const byModel = usage.get(user);
+    byModel.set(model, (byModel.get(model) || 0) + cost);
+}
+
+// Накопление использования по периодам и участникам: cycle -> user -> model -> $.
+// rollups - { rows, state } (storage/retention.js): события свернутого периода берутся из дневных агрегатов,
+// агрегат относится к периоду, в который попадает начало его дня (UTC)
+export async function collectSimulationUsage(events, cycles, rollups = null) {
+    const usage = cycles.map(() => new Map());
+    const summary = { events: 0, notCharged: 0, unlisted: 0, usageCost: 0, chargedCost: 0, users: new Set() };
+    const findCycle = time => cycles.findIndex(cycle => time >= cycle.start.getTime() && time < cycle.end.getTime());
+
+    for await (const event of events) {
+        if (rollups && isRolledUp(event, rollups.state)) continue;
+
+        const index = findCycle(new Date(event.date).getTime());
+        if (index === -1) continue;
+
+        if (NOT_CHARGED_KINDS.includes(event.kind) || event.costInfo?.isFree) {
+            summary.notCharged++;
+            continue;
+        }
+
+        const { cost, listed } = getUsageCost(event);
+        const user = event.user || 'unknown';
+        addUsage(usage[index], user, event.model || 'unknown', cost);
+
+        summary.events++;
+        summary.usageCost += cost;
+        summary.chargedCost += event.costInfo?.isIncluded ? 0 : event.cost || 0;
+        summary.users.add(user);
+        if (!listed) {
+            summary.unlisted++;
+        }
+    }
+
+    for (const row of rollups?.rows || []) {
+        const index = findCycle(new Date(row.date).getTime());
+        if (index === -1) continue;
+
+        if (NOT_CHARGED_KINDS.includes(row.kind)) {
+            summary.notCharged += row.count;
+            continue;
+        }
+        summary.notCharged += row.freeEvents;
+        if (row.count === row.freeEvents) continue;
+
+        const user = row.user || 'unknown';
+        addUsage(usage[index], user, row.model, row.usageCost);
+
+        summary.events += row.count - row.freeEvents;
+        summary.usageCost += row.usageCost;
+        summary.chargedCost += row.chargedCost;
+        summary.users.add(user);
+        summary.unlisted += row.unlistedEvents;
+    }
+
+    return { usage, summary };
+}
+
+// Сколько план взял бы за те же события: плата за места плюс использование сверх включенного объема.
+// Неполные периоды на краях диапазона учитываются пропорционально (и плата, и включенный объем)
+export function simulatePlan(plan, cycles, usage, seats) {
+    const result = {
+        id: plan.id,
+        name: plan.name,
+        fees: 0,
+        includedUsage: 0,
+        usageCost: 0,
+        includedUsed: 0,
+        overage: 0,
+        total: 0
+    };
+
+    cycles.forEach((cycle, index) => {
+        const share = cycle.coveredShare;
+        const members = [...usage[index].values()];
+
+        result.fees += plan.monthlyFee * seats * share;
+        result.includedUsage += plan.includedUsage * seats * share;
+
+        // Объем места расходует только его участник; при pooledUsage - общий объем всех мест
+        const pools = plan.pooledUsage ? [members] : members.map(byModel => [byModel]);
+        const poolAllowance = plan.includedUsage * share * (plan.pooledUsage ? seats : 1);
+        for (const pool of pools) {
+            let cost = 0;
+            for (const byModel of pool) {
+                for (const [model, modelCost] of byModel) {
+                    cost += modelCost * plan.priceMultiplier * (plan.modelMultipliers[model] ?? 1);
+                }
+            }
+
+            const included = Math.min(cost, poolAllowance);
+            result.usageCost += cost;
+            result.includedUsed += included;
+            result.overage += cost - included;
+        }
+    });
+
+    result.total = result.fees + result.overage;
+    return result;
+}
+
+export function simulatePlans(plans, cycles, { usage, summary }, seats = null) {
+    const seatCount = seats || Math.max(1, summary.users.size);
+    const results = plans
+        .map(plan => simulatePlan(plan, cycles, usage, seatCount))
+        .sort((a, b) => a.total - b.total);
+
+    return {
+        seats: seatCount,
+        cycles: cycles.map(cycle => ({
+            start: cycle.start.toISOString(),
+            end: cycle.end.toISOString(),
+            coveredShare: cycle.coveredShare
+        })),
+        events: summary.events,
+        notChargedEvents: summary.notCharged,
+        unlistedEvents: summary.unlisted,
+        usageCost: summary.usageCost,
+        actualChargedCost: summary.chargedCost,
+        plans: results,
+        cheapest: results[0]?.id || null
+    };
+}
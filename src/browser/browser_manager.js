@@ -2,6 +2,11 @@ import { chromium } from 'playwright';
 import { CONFIG } from '../config/constants.js';
 import { Logger } from '../utils/logger.js';
 
+// Страница входа WorkOS (authenticator.cursor.com) или /login, /sign-in самого сайта
+function isLoginUrl(url) {
+    return /authenticator\.|\/login|\/sign-?in/i.test(url);
+}
+
 export class BrowserManager {
     constructor() {
         this.browser = null;
@@ -133,6 +138,7 @@ export class BrowserManager {
         }
     }
 
+    // true - открыт дашборд, false - редирект на страницу входа или дашборд так и не открылся
     async waitForAuthentication() {
         try {
             this.logger.info('Waiting for authentication...');
@@ -144,7 +150,11 @@ export class BrowserManager {
             while (waited < maxWaitTime) {
                 const currentUrl = this.page.url();
 
-                if (currentUrl.includes('/dashboard') && !currentUrl.includes('/login')) {
+                if (isLoginUrl(currentUrl)) {
+                    this.logger.warn(`Redirected to login page (${currentUrl}), session is not valid`);
+                    return false;
+                }
+                if (currentUrl.includes('/dashboard')) {
                     this.logger.info('Authentication detected');
                     return true;
                 }
@@ -153,7 +163,7 @@ export class BrowserManager {
                 waited += checkInterval;
             }
 
-            this.logger.warn('Authentication timeout - proceeding anyway');
+            this.logger.warn(`Authentication not confirmed within ${maxWaitTime}ms (current page: ${this.page.url()})`);
             return false;
         } catch (error) {
             this.logger.error('Error during authentication check:', error);
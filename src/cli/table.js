@@ -0,0 +1,36 @@
+// Текстовые таблицы для вывода в терминал
+
+// columns: [{ title, value: row => ..., align: 'left' | 'right' }], footer - итоговая строка под чертой
+export function formatTable(columns, rows, footer = null) {
+    const toCells = row => columns.map(column => String(column.value(row) ?? ''));
+    const body = rows.map(toCells);
+    const footerCells = footer ? toCells(footer) : null;
+
+    const widths = columns.map((column, index) => Math.max(
+        column.title.length,
+        ...body.map(cells => cells[index].length),
+        footerCells ? footerCells[index].length : 0
+    ));
+
+    const formatLine = cells => cells
+        .map((cell, index) => columns[index].align === 'right'
+            ? cell.padStart(widths[index])
+            : cell.padEnd(widths[index]))
+        .join('  ')
+        .trimEnd();
+    const separator = widths.map(width => '-'.repeat(width)).join('  ');
+
+    const lines = [formatLine(columns.map(column => column.title)), separator, ...body.map(formatLine)];
+    if (footerCells) {
+        lines.push(separator, formatLine(footerCells));
+    }
+    return lines.join('\n');
+}
+
+export function formatMoney(value) {
+    return typeof value === 'number' ? `$${value.toFixed(2)}` : '-';
+}
+
+export function formatNumber(value) {
+    return typeof value === 'number' ? value.toLocaleString('en-US') : '-';
+}
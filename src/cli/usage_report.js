@@ -0,0 +1,75 @@
+import { isRolledUp } from '../storage/retention.js';
+
+// Сводка использования для терминала: события диапазона, сгруппированные по модели, типу или дню.
+// Ключи групп годятся и для дневных агрегатов свернутых событий (storage/retention.js)
+
+export const REPORT_GROUPS = {
+    model: event => event.model || 'unknown',
+    kind: event => event.kind || 'unknown',
+    // Сутки UTC, как в stats.byDate
+    day: event => new Date(event.date).toISOString().split('T')[0]
+};
+
+function createRow(key) {
+    return {
+        key,
+        events: 0,
+        tokens: 0,
+        cost: 0,
+        chargedCost: 0,
+        includedCost: 0
+    };
+}
+
+function addEvent(row, event, getChargedCost) {
+    row.events++;
+    row.tokens += event.tokens || 0;
+    row.cost += event.costInfo?.originalCost || event.cost || 0;
+    row.chargedCost += getChargedCost(event);
+    if (event.costInfo?.isIncluded) {
+        row.includedCost += event.costInfo.originalCost || 0;
+    }
+}
+
+function addRollup(row, rollup) {
+    row.events += rollup.count;
+    row.tokens += rollup.tokens;
+    row.cost += rollup.cost;
+    row.chargedCost += rollup.chargedCost;
+    row.includedCost += rollup.includedCost;
+}
+
+// rollups - { rows, state }: события свернутого периода берутся из агрегатов
+export async function buildUsageReport(events, groupBy, getChargedCost, rollups = null) {
+    const getKey = REPORT_GROUPS[groupBy];
+    if (!getKey) {
+        throw new Error(`Unknown group: ${groupBy} (expected ${Object.keys(REPORT_GROUPS).join(', ')})`);
+    }
+
+    const rows = new Map();
+    const total = createRow('total');
+
+    const getRow = key => {
+        if (!rows.has(key)) {
+            rows.set(key, createRow(key));
+        }
+        return rows.get(key);
+    };
+
+    for await (const event of events) {
+        if (rollups && isRolledUp(event, rollups.state)) continue;
+        addEvent(getRow(getKey(event)), event, getChargedCost);
+        addEvent(total, event, getChargedCost);
+    }
+    for (const rollup of rollups?.rows || []) {
+        addRollup(getRow(getKey(rollup)), rollup);
+        addRollup(total, rollup);
+    }
+
+    // Дни - по порядку, модели и типы - от самых дорогих
+    const sorted = [...rows.values()].sort(groupBy === 'day'
+        ? (a, b) => a.key.localeCompare(b.key)
+        : (a, b) => b.cost - a.cost || b.events - a.events);
+
+    return { groupBy, rows: sorted, total };
+}
@@ -0,0 +1,101 @@
+import { CONFIG } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Метрики дня из get-user-analytics -> поле записи
+const METRIC_FIELDS = {
+    linesAdded: 'linesAdded',
+    linesDeleted: 'linesDeleted',
+    acceptedLinesAdded: 'acceptedLinesAdded',
+    acceptedLinesDeleted: 'acceptedLinesDeleted',
+    totalApplies: 'applies',
+    totalAccepts: 'accepts',
+    totalRejects: 'rejects',
+    totalTabsShown: 'tabsShown',
+    totalTabsAccepted: 'tabsAccepted',
+    composerRequests: 'composerRequests',
+    chatRequests: 'chatRequests',
+    agentRequests: 'agentRequests',
+    cmdkUsages: 'cmdkUsages',
+    bugbotUsages: 'bugbotUsages',
+    subscriptionIncludedReqs: 'subscriptionIncludedReqs',
+    usageBasedReqs: 'usageBasedReqs',
+    apiKeyReqs: 'apiKeyReqs'
+};
+
+// Сбор дневной аналитики продуктивности (принятые строки, табы, запросы по дням).
+// Инкрементально: повторно запрашивает день последней синхронизации и предыдущий,
+// потому что метрики незавершенного дня продолжают расти
+export class AnalyticsCollector {
+    constructor(apiClient, dataStorage, { teamId = CONFIG.CURSOR_TEAM_ID } = {}) {
+        this.apiClient = apiClient;
+        this.dataStorage = dataStorage;
+        this.teamId = teamId;
+        this.logger = new Logger('AnalyticsCollector');
+    }
+
+    getStartDate(syncMetadata, endDate) {
+        if (syncMetadata?.lastSyncDate) {
+            const lastSync = new Date(parseInt(syncMetadata.lastSyncDate));
+            lastSync.setUTCHours(0, 0, 0, 0);
+            return new Date(lastSync.getTime() - DAY_MS);
+        }
+
+        return new Date(endDate.getTime() - CONFIG.ANALYTICS_HISTORY_DAYS * DAY_MS);
+    }
+
+    async collectAnalytics() {
+        const syncMetadata = await this.dataStorage.getAnalyticsSyncMetadata();
+        const endDate = new Date();
+        const startDate = this.getStartDate(syncMetadata, endDate);
+
+        this.logger.info(`Collecting analytics from ${startDate.toISOString().split('T')[0]} (incremental: ${Boolean(syncMetadata?.lastSyncDate)})`);
+
+        // API отдает ограниченный период за запрос - идем окнами
+        const days = [];
+        const windowMs = CONFIG.ANALYTICS_REQUEST_DAYS * DAY_MS;
+        for (let windowStart = startDate.getTime(); windowStart < endDate.getTime(); windowStart += windowMs) {
+            const windowEnd = Math.min(windowStart + windowMs, endDate.getTime());
+            const response = await this.fetchAnalytics(new Date(windowStart), new Date(windowEnd));
+            days.push(...(response?.dailyMetrics || []).map(metrics => this.parseAnalyticsDay(metrics)).filter(Boolean));
+        }
+
+        await this.dataStorage.saveAnalytics(days, endDate.getTime().toString());
+
+        this.logger.info(`Collected ${days.length} analytics days`);
+        return days;
+    }
+
+    async fetchAnalytics(startDate, endDate) {
+        return this.apiClient.postJson(CONFIG.CURSOR_ANALYTICS_API, {
+            teamId: this.teamId,
+            userId: 0,
+            startDate: startDate.getTime().toString(),
+            endDate: endDate.getTime().toString()
+        });
+    }
+
+    parseAnalyticsDay(metrics) {
+        const timestamp = parseInt(metrics.date);
+        if (isNaN(timestamp)) {
+            this.logger.warn('Skipping analytics day without date:', metrics);
+            return null;
+        }
+
+        // Участник указывается только в командной выборке, как и у событий
+        const day = {
+            date: new Date(timestamp).toISOString().split('T')[0],
+            user: this.teamId ? metrics.email || null : null
+        };
+
+        for (const [apiField, field] of Object.entries(METRIC_FIELDS)) {
+            day[field] = Number(metrics[apiField]) || 0;
+        }
+
+        day.mostUsedModel = metrics.mostUsedModel || null;
+        day.rawData = metrics;
+
+        return day;
+    }
+}
@@ -0,0 +1,34 @@
+import { CONFIG } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+import { HttpApiClient } from './http_api_client.js';
+
+const logger = new Logger('ApiClientFactory');
+
+export async function createApiClient(cookies = null, mode = CONFIG.COLLECTOR_MODE) {
+    if (mode === 'http' || mode === 'auto') {
+        try {
+            const httpClient = new HttpApiClient(cookies || []);
+            await httpClient.initialize();
+
+            // В режиме auto сразу проверяем, что сессия рабочая, иначе уходим в браузер
+            if (mode === 'auto') {
+                await httpClient.getJson(CONFIG.CURSOR_AUTH_ME_API);
+            }
+
+            return httpClient;
+        } catch (error) {
+            if (mode === 'http') {
+                throw error;
+            }
+            logger.warn(`HTTP collector unavailable (${error.message}), falling back to browser`);
+        }
+    } else if (mode !== 'browser') {
+        throw new Error(`Unknown collector mode: ${mode}`);
+    }
+
+    // Playwright подгружаем только когда он действительно нужен
+    const { BrowserApiClient } = await import('./browser_api_client.js');
+    const browserClient = new BrowserApiClient(cookies);
+    await browserClient.initialize();
+    return browserClient;
+}
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { Logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+    if (isNaN(date.getTime())) {
+        const error = new Error(`Invalid ${name} date: ${value}`);
+        error.status = 400;
+        throw error;
+    }
+    // Дата без времени в to включает весь день, как в фильтре событий
+    if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(date.getTime() + DAY_MS);
+    }
+    return date;
+}
+
+// Параметры загрузки истории (CLI и POST /api/backfill): from, to - ISO-дата или timestamp, windowDays - размер окна.
+// Не указанные значения остаются null: их определяет незавершенный план или значения по умолчанию (см. DataCollector.getBackfillPlan)
+export function parseBackfillOptions({ from, to, windowDays } = {}) {
+    const options = {
+        from: parseDate(from, 'from'),
+        to: parseDate(to, 'to'),
+        windowDays: null
+    };
+
+    if (windowDays !== undefined && windowDays !== null && windowDays !== '') {
+        options.windowDays = Number(windowDays);
+        if (!Number.isInteger(options.windowDays) || options.windowDays < 1) {
+            const error = new Error(`Invalid windowDays value: ${windowDays} (expected a positive number of days)`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    if (options.from && options.from >= (options.to || new Date())) {
+        const error = new Error(`Invalid backfill range: from ${options.from.toISOString()} is not before ${options.to ? options.to.toISOString() : 'now'}`);
+        error.status = 400;
+        throw error;
+    }
+    return options;
+}
+
+// План загрузки истории за период: окна по windowDays дней от старых к новым.
+// Окно: startDate, endDate (мс), status - pending, done или failed, pages и events - загруженное,
+// added и updated - изменения после слияния, error - ошибка последней попытки.
+// Событие на границе соседних окон может прийти дважды - при слиянии оно совпадет по ID
+export function createBackfillPlan({ from, to, windowDays, teamId }) {
+    const windows = [];
+    for (let startDate = from.getTime(); startDate < to.getTime(); startDate += windowDays * DAY_MS) {
+        windows.push({
+            startDate,
+            endDate: Math.min(startDate + windowDays * DAY_MS, to.getTime()),
+            status: 'pending',
+            pages: 0,
+            events: 0,
+            added: 0,
+            updated: 0,
+            error: null,
+            finishedAt: null
+        });
+    }
+
+    return {
+        id: crypto.randomUUID(),
+        teamId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        windowDays,
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+        windows
+    };
+}
+
+// Состояние загрузки истории аккаунта (backfill_state.json в каталоге данных).
+// Хранится и после завершения - для cursor-usage backfill --status и GET /api/backfill
+export class BackfillState {
+    constructor(file) {
+        this.file = file;
+        this.logger = new Logger('BackfillState');
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load backfill state:', error.message);
+            }
+            return null;
+        }
+    }
+
+    async save(plan) {
+        await fs.writeFile(
+            this.file,
+            JSON.stringify({ ...plan, updatedAt: new Date().toISOString() }, null, 2),
+            'utf8'
+        );
+    }
+}
+
+// Сводка плана: окна по статусам и границы еще не загруженной части
+export function summarizeBackfillPlan(plan) {
+    if (!plan) return null;
+
+    const { windows, ...info } = plan;
+    const count = status => windows.filter(window => window.status === status).length;
+    const remaining = windows.filter(window => window.status !== 'done');
+
+    return {
+        ...info,
+        totalWindows: windows.length,
+        doneWindows: count('done'),
+        failedWindows: count('failed'),
+        pendingWindows: count('pending'),
+        events: windows.reduce((sum, window) => sum + window.events, 0),
+        remainingFrom: remaining.length > 0 ? new Date(remaining[0].startDate).toISOString() : null,
+        windows
+    };
+}
@@ -0,0 +1,94 @@
+import { BrowserManager } from '../browser/browser_manager.js';
+import { Logger } from '../utils/logger.js';
+import { RequestPolicy } from './request_policy.js';
+
+// Клиент, который выполняет запросы к API изнутри страницы дашборда через Playwright
+export class BrowserApiClient {
+    constructor(cookies = null) {
+        this.name = 'browser';
+        this.cookies = cookies;
+        this.browserManager = new BrowserManager();
+        this.policy = new RequestPolicy();
+        this.logger = new Logger('BrowserApiClient');
+    }
+
+    get page() {
+        return this.browserManager.page;
+    }
+
+    async initialize() {
+        await this.browserManager.initialize(this.cookies);
+        return true;
+    }
+
+    async prepareSession() {
+        // Навигация к странице
+        await this.browserManager.navigateToDashboard();
+
+        // Ожидание аутентификации
+        const isAuthenticated = await this.browserManager.waitForAuthentication();
+        if (!isAuthenticated) {
+            return false;
+        }
+
+        // Ждем стабилизации страницы
+        await this.page.waitForLoadState('networkidle');
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        return true;
+    }
+
+    async request(url, options = {}) {
+        return this.policy.execute(url, () => this.send(url, options));
+    }
+
+    async send(url, options = {}) {
+        if (!this.page) {
+            throw new Error('Browser page not available');
+        }
+
+        const result = await this.page.evaluate(async ({ url, method, body }) => {
+            try {
+                const response = await fetch(url, {
+                    method,
+                    headers: body ? { 'Accept': '*/*', 'Content-Type': 'application/json' } : { 'Accept': '*/*' },
+                    credentials: 'include',
+                    body
+                });
+
+                if (!response.ok) {
+                    return { ok: false, status: response.status, statusText: response.statusText, retryAfter: response.headers.get('retry-after') };
+                }
+
+                return { ok: true, status: response.status, data: await response.json() };
+            } catch (error) {
+                return { ok: false, status: 0, statusText: error.message };
+            }
+        }, {
+            url,
+            method: options.method || 'GET',
+            body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+        });
+
+        if (!result.ok) {
+            const error = new Error(`HTTP ${result.status}: ${result.statusText}`);
+            error.status = result.status;
+            error.retryAfter = result.retryAfter;
+            throw error;
+        }
+
+        return result.data;
+    }
+
+    async getJson(url) {
+        return this.request(url, { method: 'GET' });
+    }
+
+    async postJson(url, body) {
+        return this.request(url, { method: 'POST', body });
+    }
+
+    async close() {
+        await this.browserManager.close();
+    }
+}
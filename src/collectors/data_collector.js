@@ -1,47 +1,70 @@
 import { CONFIG } from '../config/constants.js';
 import { Logger } from '../utils/logger.js';
-import { DataStorage } from '../storage/data_storage.js';
+import { AnalyticsCollector } from './analytics_collector.js';
+import { buildEventId, disambiguateEventIds, getEventUser } from '../utils/event_id.js';
+import { getEventTime } from '../storage/event_integrity.js';
+import { EVENT_SCHEMA_VERSION, normalizeEvent } from '../storage/event_record.js';
+import { BackfillState, createBackfillPlan } from './backfill_state.js';
+import { classifyError } from './request_policy.js';
+import { createAuthError, isAuthError } from './session_state.js';
+import { SyncCheckpoint } from './sync_checkpoint.js';
+import { createSyncRun } from './sync_journal.js';
 
 export class DataCollector {
-    constructor(browserManager, dataStorage, webServer = null) {
-        this.browserManager = browserManager;
+    // options: accountId - аккаунт для уведомлений WebServer, teamId - команда (0 - свои события)
+    constructor(apiClient, dataStorage, webServer = null, alertEngine = null, { accountId = null, teamId = CONFIG.CURSOR_TEAM_ID, priceTable = null } = {}) {
+        this.apiClient = apiClient;
         this.dataStorage = dataStorage;
         this.webServer = webServer;
+        this.alertEngine = alertEngine;
+        this.accountId = accountId;
+        this.teamId = teamId;
+        this.priceTable = priceTable;
+        this.analyticsCollector = new AnalyticsCollector(apiClient, dataStorage, { teamId });
+        this.syncCheckpoint = new SyncCheckpoint(dataStorage.paths.SYNC_CHECKPOINT_FILE);
+        this.backfillState = new BackfillState(dataStorage.paths.BACKFILL_STATE_FILE);
+        // Запись журнала текущего сбора (см. createSyncRun)
+        this.run = createSyncRun();
         this.logger = new Logger('DataCollector');
     }
 
-    async collectUsageData() {
+    // full - загрузить всю историю заново, не опираясь на дату последней синхронизации;
+    // run - запись журнала синхронизаций, которую сбор заполняет по ходу
+    async collectUsageData({ full = false, run = createSyncRun() } = {}) {
+        this.run = run;
         try {
-            this.logger.info('Starting data collection...');
+            this.logger.info(`Starting data collection (collector: ${this.apiClient.name})...`);
 
-            // Навигация к странице
-            await this.browserManager.navigateToDashboard();
-
-            // Ожидание аутентификации
-            const isAuthenticated = await this.browserManager.waitForAuthentication();
-            if (!isAuthenticated) {
-                throw new Error('Authentication required');
-            }
+            await this.prepareSession();
 
             // Получение данных пользователя
             await this.collectUserInfo();
 
-            // Получаем метаданные синхронизации
-            const syncMetadata = await this.dataStorage.getSyncMetadata();
+            // Дневная аналитика продуктивности - отдельный набор данных со своей синхронизацией
+            const analytics = await this.collectAnalytics();
+
+            // Получаем метаданные синхронизации (при полной - без даты, размер страницы сохраняем).
+            // Прерванная полная синхронизация продолжается как полная
+            const storedMetadata = await this.dataStorage.getSyncMetadata();
+            const checkpoint = await this.syncCheckpoint.load();
+            const isFull = full || checkpoint?.strategy === 'full';
+            const syncMetadata = isFull && storedMetadata ? { ...storedMetadata, lastSyncDate: null } : storedMetadata;
             const isIncremental = syncMetadata && syncMetadata.lastSyncDate && syncMetadata.lastSyncDate !== '0';
 
-            this.logger.info(`Sync strategy: ${isIncremental ? 'incremental' : 'full'}`);
+            run.strategy = isIncremental ? 'incremental' : 'full';
+            this.logger.info(`Sync strategy: ${run.strategy}`);
             if (isIncremental) {
                 this.logger.info(`Last sync date: ${syncMetadata.lastSyncDate}`);
             }
 
             // Сбор данных через API
-            let data = await this.collectFromAPI(syncMetadata);
+            let data = await this.collectFromAPI(syncMetadata, this.getResumableCheckpoint(checkpoint, isIncremental));
 
             // Если инкрементальная синхронизация и нет новых событий, 
             // запрашиваем активные события для проверки обновлений
             if (isIncremental && data.length === 0) {
                 this.logger.info('No new events found, checking active events for updates...');
+                run.strategy = 'active-check';
                 const activeEventsData = await this.collectActiveEventsForUpdates();
                 data = activeEventsData;
             }
@@ -53,13 +76,23 @@ export class DataCollector {
             }
 
             this.logger.info(`Collected ${data.length} usage events`);
+            run.eventsFetched = data.length;
 
             // Сливаем данные
-            await this.dataStorage.mergeUsageData(data, isIncremental);
+            const mergeResult = await this.dataStorage.mergeUsageData(data, isIncremental);
+            run.eventsAdded = mergeResult.added.length;
+            run.eventsUpdated = mergeResult.updated.length;
+
+            // Проверяем правила бюджета по обновленной статистике. Правила отдельных событий - только
+            // для инкрементальной синхронизации: первая и полная загружают историю, а не новые события
+            if (this.alertEngine) {
+                const stats = await this.dataStorage.loadStats();
+                await this.alertEngine.evaluate(isIncremental ? { stats, ...mergeResult } : { stats });
+            }
 
-            // Уведомляем WebServer о новых данных
-            if (this.webServer && data.length > 0) {
-                await this.webServer.broadcastUpdate();
+            // Уведомляем клиентов WebServer только об изменениях этого слияния
+            if (this.webServer) {
+                await this.webServer.broadcastUpdate({ ...mergeResult, analytics }, this.accountId);
             }
 
             return data;
@@ -70,28 +103,281 @@ export class DataCollector {
         }
     }
 
-    async collectFromAPI(syncMetadata = null) {
-        try {
-            this.logger.info('Collecting data from API...');
+    // Подготовка сессии (для браузера - навигация и ожидание аутентификации)
+    async prepareSession() {
+        const isAuthenticated = await this.apiClient.prepareSession();
+        if (!isAuthenticated) {
+            throw createAuthError('Authentication required: dashboard redirected to login');
+        }
+    }
 
-            const page = this.browserManager.page;
-            if (!page) {
-                throw new Error('Browser page not available');
+    // Загрузка истории за период окнами (см. createBackfillPlan): каждое окно загружается с первой страницы
+    // и сразу сливается с сохраненными событиями, его статус записывается в backfill_state.json.
+    // Ошибка окна (например, 400 на его запрос) не останавливает остальные, а недоступность API
+    // или отклоненная сессия - останавливает. Незагруженные окна догружает повторный запуск с тем же периодом,
+    // повторный запуск завершенного периода загружает его заново - так восстанавливаются пропуски
+    async collectBackfill({ from = null, to = null, windowDays = null, run = createSyncRun() } = {}) {
+        this.run = run;
+        run.strategy = 'backfill';
+
+        await this.prepareSession();
+
+        const plan = await this.getBackfillPlan({ from, to, windowDays });
+        const syncMetadata = await this.dataStorage.getSyncMetadata();
+        const pageSize = syncMetadata?.adaptivePageSize || 500;
+        run.pageSize = pageSize;
+
+        const windows = plan.windows.filter(window => window.status !== 'done');
+        this.logger.info(`Backfill ${plan.from} - ${plan.to}: ${windows.length} of ${plan.windows.length} windows of ${plan.windowDays} days to load`);
+
+        const collected = [];
+        for (const window of windows) {
+            const range = `${new Date(window.startDate).toISOString()} - ${new Date(window.endDate).toISOString()}`;
+            const pagesBefore = run.pages;
+            this.logger.info(`Backfilling ${range}...`);
+
+            try {
+                const rawEvents = await this.fetchEventsWindow(
+                    { startDate: window.startDate, endDate: window.endDate, pageSize, pageNum: 1 },
+                    [],
+                    { strategy: 'backfill', syncMetadata: null, checkpoint: false }
+                );
+                const events = this.parseUsageEvents(rawEvents);
+                const mergeResult = await this.mergeBackfillEvents(events);
+
+                Object.assign(window, {
+                    status: 'done',
+                    pages: run.pages - pagesBefore,
+                    events: events.length,
+                    added: mergeResult.added.length,
+                    updated: mergeResult.updated.length,
+                    error: null,
+                    finishedAt: new Date().toISOString()
+                });
+                run.eventsFetched += events.length;
+                run.eventsAdded += mergeResult.added.length;
+                run.eventsUpdated += mergeResult.updated.length;
+                collected.push(...events);
+
+                // Алерты не проверяем: старые события не должны срабатывать как новые расходы
+                if (this.webServer) {
+                    await this.webServer.broadcastUpdate(mergeResult, this.accountId);
+                }
+            } catch (error) {
+                Object.assign(window, {
+                    status: 'failed',
+                    pages: run.pages - pagesBefore,
+                    error: error.message,
+                    finishedAt: new Date().toISOString()
+                });
+                await this.backfillState.save(plan);
+
+                const category = error.category || classifyError(error);
+                if (category !== 'fatal') {
+                    this.logger.error(`Backfill of ${range} failed (${category} error: ${error.message}), stopping; run the backfill again to resume`);
+                    throw error;
+                }
+                this.logger.error(`Backfill of ${range} failed: ${error.message}, continuing with the next window`);
+                continue;
+            }
+
+            await this.backfillState.save(plan);
+        }
+
+        const failed = plan.windows.filter(window => window.status === 'failed');
+        if (failed.length > 0) {
+            throw new Error(`Backfill incomplete: ${failed.length} of ${plan.windows.length} windows failed, run the backfill again to retry them`);
+        }
+
+        plan.completedAt = new Date().toISOString();
+        await this.backfillState.save(plan);
+        this.logger.info(`Backfill completed: ${run.eventsFetched} events fetched, ${run.eventsAdded} added, ${run.eventsUpdated} updated`);
+        return collected;
+    }
+
+    // Незавершенный план продолжается, если период не указан или совпадает с ним
+    // (не указанный to совпадает с любым, иначе "до текущего момента" менялся бы при каждом запуске).
+    // Иначе создается новый план: по умолчанию BACKFILL_DAYS дней до текущего момента окнами по BACKFILL_WINDOW_DAYS
+    async getBackfillPlan({ from, to, windowDays }) {
+        const stored = await this.backfillState.load();
+        const unfinished = stored && !stored.completedAt && stored.teamId === this.teamId ? stored : null;
+
+        if (unfinished) {
+            const sameRange = !from || (
+                from.toISOString() === unfinished.from &&
+                (!to || to.toISOString() === unfinished.to) &&
+                (!windowDays || windowDays === unfinished.windowDays)
+            );
+            if (sameRange) {
+                this.logger.info(`Resuming backfill ${unfinished.from} - ${unfinished.to}`);
+                return unfinished;
+            }
+            this.logger.info(`Discarding unfinished backfill ${unfinished.from} - ${unfinished.to}, starting a new one`);
+        }
+
+        const end = to || new Date();
+        const plan = createBackfillPlan({
+            from: from || new Date(end.getTime() - CONFIG.BACKFILL_DAYS * 24 * 60 * 60 * 1000),
+            to: end,
+            windowDays: windowDays || CONFIG.BACKFILL_WINDOW_DAYS,
+            teamId: this.teamId
+        });
+        await this.backfillState.save(plan);
+        return plan;
+    }
+
+    // Сохраненные события окна обновляются, новые добавляются. Дата последней синхронизации
+    // не сдвигается назад (иначе следующая синхронизация загрузила бы историю заново),
+    // а вперед - только до последнего загруженного события
+    async mergeBackfillEvents(events) {
+        if (events.length === 0) {
+            return { added: [], updated: [] };
+        }
+
+        const { lastSyncDate } = await this.dataStorage.getSyncMetadata();
+        const newestTime = events.reduce((max, event) => Math.max(max, new Date(event.date).getTime()), 0);
+        const syncDate = Math.max(parseInt(lastSyncDate) || 0, newestTime).toString();
+
+        return this.dataStorage.mergeUsageData(events, true, { lastSyncDate: syncDate });
+    }
+
+    // Сверка окон с API (cursor-usage verify --repair, см. verifyEvents): события окна загружаются заново
+    // и заменяют сохраненные - недостающие добавляются, изменившиеся обновляются, повторы одного ID схлопываются.
+    // Сохраненные события, которых API больше не возвращает, не удаляются, а учитываются как stale.
+    // windows - { startDate, endDate } (ISO), результат сверки записывается в каждое окно
+    async collectReconcile({ windows, run = createSyncRun() }) {
+        this.run = run;
+        run.strategy = 'reconcile';
+
+        await this.prepareSession();
+
+        const syncMetadata = await this.dataStorage.getSyncMetadata();
+        const pageSize = syncMetadata?.adaptivePageSize || 500;
+        run.pageSize = pageSize;
+
+        let events = await this.dataStorage.loadEvents();
+        const fetched = [];
+        const changes = { added: [], updated: [] };
+        let failure = null;
+
+        for (const window of windows) {
+            const startDate = new Date(window.startDate).getTime();
+            const endDate = new Date(window.endDate).getTime();
+            this.logger.info(`Reconciling ${window.startDate} - ${window.endDate}...`);
+
+            try {
+                const rawEvents = await this.fetchEventsWindow(
+                    { startDate, endDate, pageSize, pageNum: 1 },
+                    [],
+                    { strategy: 'reconcile', syncMetadata: null, checkpoint: false }
+                );
+                const apiEvents = this.parseUsageEvents(rawEvents);
+                const result = this.reconcileWindow(events, apiEvents, startDate, endDate);
+
+                events = result.events;
+                Object.assign(window, {
+                    status: 'done',
+                    fetched: apiEvents.length,
+                    added: result.added.length,
+                    updated: result.updated.length,
+                    removed: result.removed,
+                    stale: result.stale
+                });
+                run.eventsFetched += apiEvents.length;
+                run.eventsAdded += result.added.length;
+                run.eventsUpdated += result.updated.length;
+                changes.added.push(...result.added);
+                changes.updated.push(...result.updated);
+                fetched.push(...apiEvents);
+            } catch (error) {
+                // Уже сверенные окна сохраняем, остальные - при следующем запуске
+                Object.assign(window, { status: 'failed', error: error.message });
+                failure = error;
+                break;
+            }
+        }
+
+        // Перезаписываем и без новых или измененных событий: версия из API исправляет и дату, и повторы
+        if (windows.some(window => window.status === 'done')) {
+            events.sort((a, b) => new Date(b.date) - new Date(a.date));
+            await this.dataStorage.replaceEvents(events);
+            this.logger.info(`Reconciled: ${run.eventsAdded} events added, ${run.eventsUpdated} updated`);
+
+            if (this.webServer) {
+                await this.webServer.broadcastUpdate(changes, this.accountId);
             }
+        }
+
+        if (failure) {
+            this.logger.error(`Reconciliation stopped: ${failure.message}`);
+            throw failure;
+        }
+        return fetched;
+    }
+
+    // Заменяет сохраненные события окна [startDate, endDate) событиями из API.
+    // Сопоставление - как при слиянии (diffEvents): по ID, а при изменившемся ID - по времени
+    reconcileWindow(events, apiEvents, startDate, endDate) {
+        const inWindow = event => {
+            const time = getEventTime(event);
+            return time >= startDate && time < endDate;
+        };
+        const stored = events.filter(inWindow);
+        const unique = [...new Map(stored.map(event => [event.id, event])).values()];
+
+        const { added, updated } = this.dataStorage.diffEvents(unique, unique, apiEvents);
+        const apiIds = new Set(apiEvents.map(event => event.id));
+        const replacedIds = new Set(updated.map(([storedEvent]) => storedEvent.id));
+        const stale = unique.filter(event => !apiIds.has(event.id) && !replacedIds.has(event.id));
+
+        return {
+            events: [...events.filter(event => !inWindow(event)), ...apiEvents, ...stale],
+            added,
+            updated: updated.map(([, apiEvent]) => apiEvent),
+            removed: stored.length - unique.length,
+            stale: stale.length
+        };
+    }
+
+    // Ошибка аналитики не должна останавливать сбор событий
+    async collectAnalytics() {
+        try {
+            return await this.analyticsCollector.collectAnalytics();
+        } catch (error) {
+            this.logger.error('Failed to collect analytics:', error.message);
+            this.addWarning('analytics', error);
+            return [];
+        }
+    }
 
-            // Ждем стабилизации страницы
-            await page.waitForLoadState('networkidle');
-            await new Promise(resolve => setTimeout(resolve, 3000));
+    // Некритичная ошибка сбора - в журнал синхронизаций
+    addWarning(stage, error) {
+        this.run.warnings.push({ stage, message: error.message, status: error.status || null });
+    }
+
+    // Контрольная точка другой выборки или стратегии не продолжается: полная загрузка
+    // перекрывает прерванную инкрементальную, а смена команды меняет сами страницы
+    getResumableCheckpoint(checkpoint, isIncremental) {
+        if (!checkpoint) return null;
+
+        const strategy = isIncremental ? 'incremental' : 'full';
+        if (checkpoint.strategy !== strategy || checkpoint.teamId !== this.teamId) {
+            this.logger.info(`Discarding interrupted ${checkpoint.strategy} sync checkpoint (current sync: ${strategy})`);
+            return null;
+        }
+        return checkpoint;
+    }
 
-            // Получаем cookies
-            const cookies = await page.context().cookies();
-            const cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    async collectFromAPI(syncMetadata = null, checkpoint = null) {
+        this.logger.info('Collecting data from API...');
 
-            // Собираем данные через events API
-            const eventsData = await this.fetchAllEvents(page, cookieString, syncMetadata);
+        // Ошибка загрузки страниц не глушится: неполная история не должна сохраниться,
+        // прогресс остается в контрольной точке, и следующий запуск продолжит с прерванной страницы
+        const eventsData = await this.fetchAllEvents(syncMetadata, checkpoint);
 
+        try {
             // Парсим события
-            const parsedData = eventsData.map(event => this.parseUsageEvent(event)).filter(Boolean);
+            const parsedData = this.parseUsageEvents(eventsData);
 
             this.logger.info(`Collected ${parsedData.length} events from API`);
             return parsedData;
@@ -102,122 +388,111 @@ export class DataCollector {
         }
     }
 
-    async fetchAllEvents(page, cookieString, syncMetadata = null) {
-        let allEvents = [];
-        let pageNum = 1;
-        let hasMore = true;
+    async fetchEventsPage({ startDate, endDate, pageNum, pageSize }) {
+        return this.apiClient.postJson(CONFIG.CURSOR_EVENTS_API, {
+            teamId: this.teamId,
+            startDate: startDate.getTime().toString(),
+            endDate: endDate.getTime().toString(),
+            page: pageNum,
+            pageSize
+        });
+    }
 
-        // Определяем параметры синхронизации
-        const isIncremental = syncMetadata && syncMetadata.lastSyncDate;
+    // Окно запроса фиксируется при старте, чтобы новые события не сдвигали страницы.
+    // При продолжении сначала догружается прерванное окно (с его страницы и размером страницы),
+    // затем - новые события от его конца до текущего момента
+    async fetchAllEvents(syncMetadata = null, checkpoint = null) {
+        const isIncremental = Boolean(syncMetadata && syncMetadata.lastSyncDate);
+        const strategy = isIncremental ? 'incremental' : 'full';
         const pageSize = syncMetadata?.adaptivePageSize || 500;
+        const endDate = Date.now();
+        this.run.pageSize = pageSize;
+
+        let events = [];
+        let windows;
+        if (checkpoint) {
+            this.logger.info(`Resuming interrupted ${strategy} sync from page ${checkpoint.nextPage} (${checkpoint.events.length} events already fetched)`);
+            events = checkpoint.events;
+            this.run.resumedFromPage = checkpoint.nextPage;
+            windows = [
+                { startDate: checkpoint.startDate, endDate: checkpoint.endDate, pageSize: checkpoint.pageSize, pageNum: checkpoint.nextPage },
+                { startDate: checkpoint.endDate, endDate, pageSize, pageNum: 1 }
+            ];
+        } else {
+            // Полная синхронизация: все доступные события с начала эпохи Unix
+            const startDate = isIncremental ? parseInt(syncMetadata.lastSyncDate) : 0;
+            windows = [{ startDate, endDate, pageSize, pageNum: 1 }];
+        }
 
         this.logger.info(`Fetching events (incremental: ${isIncremental}, pageSize: ${pageSize})`);
 
-        while (hasMore) {
-            try {
-                const startTime = Date.now();
-                this.logger.info(`Fetching page ${pageNum}...`);
-
-                // Определяем даты для запроса
-                let startDate, endDate;
-                if (isIncremental) {
-                    // Инкрементальная синхронизация: от lastSyncDate до текущего времени
-                    startDate = new Date(parseInt(syncMetadata.lastSyncDate));
-                    endDate = new Date();
-                } else {
-                    // Полная синхронизация: загружаем все доступные события (без ограничений по датам)
-                    endDate = new Date();
-                    startDate = new Date(0); // 1970-01-01 - начало эпохи Unix
-                }
+        for (const window of windows) {
+            events = await this.fetchEventsWindow(window, events, { strategy, syncMetadata });
+        }
 
-                const response = await page.evaluate(async ({ url, teamId, pageNum, pageSize, cookieString, startDate, endDate }) => {
-                    try {
-                        // console.log(`Fetching page ${pageNum} with dates: ${startDate.toISOString()} to ${endDate.toISOString()}`);
-                        const response = await fetch(url, {
-                            method: 'POST',
-                            headers: {
-                                'Accept': '*/*',
-                                'Accept-Language': 'en-US,en;q=0.9,ru;q=0.8',
-                                'Content-Type': 'application/json',
-                                'Priority': 'u=1, i',
-                                'Referer': 'https://cursor.com/dashboard?tab=usage',
-                                'Sec-CH-UA': '"Not;A=Brand";v="99", "Google Chrome";v="139", "Chromium";v="139"',
-                                'Sec-CH-UA-Arch': '"x86"',
-                                'Sec-CH-UA-Bitness': '"64"',
-                                'Sec-CH-UA-Mobile': '?0',
-                                'Sec-CH-UA-Platform': '"Windows"',
-                                'Sec-CH-UA-Platform-Version': '"19.0.0"',
-                                'Sec-Fetch-Dest': 'empty',
-                                'Sec-Fetch-Mode': 'cors',
-                                'Sec-Fetch-Site': 'same-origin',
-                                'User-Agent': navigator.userAgent,
-                                'Cookie': cookieString
-                            },
-                            credentials: 'include',
-                            body: JSON.stringify({
-                                teamId,
-                                startDate: startDate.getTime().toString(),
-                                endDate: endDate.getTime().toString(),
-                                page: pageNum,
-                                pageSize
-                            })
-                        });
-
-                        if (!response.ok) {
-                            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                        }
+        await this.syncCheckpoint.clear();
+        return events;
+    }
 
-                        const data = await response.json();
-                        // console.log(`Page ${pageNum} response:`, JSON.stringify(data, null, 2));
-                        return data;
-                    } catch (error) {
-                        console.error('API request failed:', error);
-                        return { usageEventsDisplay: [] };
-                    }
-                }, {
-                    url: CONFIG.CURSOR_EVENTS_API,
-                    teamId: 0,
+    // events - уже загруженные события; возвращает их вместе с событиями окна.
+    // Ошибка страницы (после повторов RequestPolicy) сохраняет контрольную точку (checkpoint = false - не сохраняет,
+    // у загрузки истории свое состояние) и пробрасывается
+    async fetchEventsWindow(window, events, { strategy, syncMetadata, checkpoint = true }) {
+        // Соседние окна делят границу: событие на ней могло попасть в оба
+        const boundaryEvents = new Set(events
+            .filter(event => parseInt(event.timestamp) === window.startDate)
+            .map(event => JSON.stringify(event)));
+
+        let pageNum = window.pageNum;
+        while (true) {
+            const startTime = Date.now();
+            this.logger.info(`Fetching page ${pageNum}...`);
+
+            let response;
+            try {
+                response = await this.fetchEventsPage({
+                    startDate: new Date(window.startDate),
+                    endDate: new Date(window.endDate),
                     pageNum,
-                    pageSize,
-                    cookieString,
-                    startDate,
-                    endDate
+                    pageSize: window.pageSize
                 });
+            } catch (error) {
+                if (!checkpoint) throw error;
+
+                await this.syncCheckpoint.save({
+                    strategy,
+                    teamId: this.teamId,
+                    startDate: window.startDate,
+                    endDate: window.endDate,
+                    pageSize: window.pageSize,
+                    nextPage: pageNum,
+                    events,
+                    error: error.message
+                });
+                this.logger.error(`Failed to fetch page ${pageNum} (${error.category || classifyError(error)} error: ${error.message}), ${events.length} fetched events kept, next sync resumes from this page`);
+                throw error;
+            }
 
-                // Извлекаем события из usageEventsDisplay
-                const events = response.usageEventsDisplay || [];
-                const responseTime = Date.now() - startTime;
-
-                // Обновляем адаптивный размер страницы
-                if (syncMetadata) {
-                    await this.dataStorage.updateAdaptivePageSize(responseTime, events.length);
-                }
+            this.run.pages++;
 
-                if (events.length === 0) {
-                    // Если нет новых событий - это нормально для инкрементальной синхронизации
-                    if (isIncremental) {
-                        this.logger.info('No new events found - this is normal for incremental sync');
-                        hasMore = false;
-                    } else {
-                        // Для полной синхронизации - просто завершаем, если нет событий
-                        this.logger.info('No events found in full sync - this may be normal if no data exists');
-                        hasMore = false;
-                    }
-                } else {
-                    allEvents = allEvents.concat(events);
-                    pageNum++;
+            // Извлекаем события из usageEventsDisplay
+            const pageEvents = response.usageEventsDisplay || [];
+            const responseTime = Date.now() - startTime;
 
-                    // Пауза между запросами
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
+            // Обновляем адаптивный размер страницы (для следующих синхронизаций - текущая идет одним размером)
+            if (syncMetadata) {
+                await this.dataStorage.updateAdaptivePageSize(responseTime, pageEvents.length);
+            }
 
-            } catch (error) {
-                this.logger.error(`Failed to fetch page ${pageNum}:`, error);
-                hasMore = false;
+            if (pageEvents.length === 0) {
+                // Пустая страница - окно загружено (для инкрементальной синхронизации новых событий может не быть)
+                this.logger.info(`Page ${pageNum} is empty, window loaded`);
+                return events;
             }
-        }
 
-        return allEvents;
+            events = events.concat(pageEvents.filter(event => !boundaryEvents.has(JSON.stringify(event))));
+            pageNum++;
+        }
     }
 
     async collectActiveEventsForUpdates() {
@@ -239,12 +514,9 @@ export class DataCollector {
                 return [];
             }
 
-            // this.logger.info(`Loaded ${existingData.events.length} existing events`);
-
             let activeEvents;
             try {
                 activeEvents = this.dataStorage.getActiveEvents(existingData.events);
-                // this.logger.info('Successfully got active events');
             } catch (error) {
                 this.logger.error('Failed to get active events:', error);
                 return [];
@@ -255,58 +527,8 @@ export class DataCollector {
                 return [];
             }
 
-            // this.logger.info(`Found ${activeEvents.length} active events for updates`);
-
-            // Получаем ID активных событий
-            let activeEventIds;
-            try {
-                activeEventIds = activeEvents.map(event => event.id);
-                // this.logger.info(`Active event IDs: ${activeEventIds.slice(0, 5).join(', ')}${activeEventIds.length > 5 ? '...' : ''}`);
-            } catch (error) {
-                this.logger.error('Failed to map active event IDs:', error);
-                return [];
-            }
-
-            // Запрашиваем эти события с сервера
-            const page = this.browserManager.page;
-            if (!page) {
-                throw new Error('Browser page not available');
-            }
-
-            // Проверяем, что страница готова
-            try {
-                const url = await page.url();
-                this.logger.info(`Current page URL: ${url}`);
-            } catch (error) {
-                this.logger.error('Failed to get page URL:', error);
-                return [];
-            }
-
-            // Получаем cookies
-            let cookieString;
-            try {
-                const cookies = await page.cookies();
-                this.logger.info(`Got ${cookies.length} cookies from page`);
-                cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-                this.logger.info(`Cookie string length: ${cookieString.length}`);
-            } catch (error) {
-                this.logger.error('Failed to get cookies:', error);
-                this.logger.error('Error details:', error.message);
-                this.logger.error('Stack trace:', error.stack);
-
-                // Попробуем альтернативный способ получения cookies
-                try {
-                    this.logger.info('Trying alternative cookie method...');
-                    const context = page.context();
-                    const cookies = await context.cookies();
-                    this.logger.info(`Got ${cookies.length} cookies from context`);
-                    cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-                    this.logger.info(`Alternative cookie string length: ${cookieString.length}`);
-                } catch (altError) {
-                    this.logger.error('Alternative cookie method also failed:', altError);
-                    return [];
-                }
-            }
+            // Время активных событий - по нему отбираем события из ответа сервера
+            const activeEventTimes = new Set(activeEvents.map(event => new Date(event.date).getTime()));
 
             // Запрашиваем события за последние 30 дней
             const now = new Date();
@@ -317,63 +539,12 @@ export class DataCollector {
 
             let response;
             try {
-                response = await page.evaluate(async ({ url, teamId, pageSize, cookieString, startDate, endDate, activeEventIds }) => {
-                    try {
-                        const response = await fetch(url, {
-                            method: 'POST',
-                            headers: {
-                                'Accept': '*/*',
-                                'Accept-Language': 'en-US,en;q=0.9,ru;q=0.8',
-                                'Content-Type': 'application/json',
-                                'Priority': 'u=1, i',
-                                'Referer': 'https://cursor.com/dashboard?tab=usage',
-                                'Sec-CH-UA': '"Not;A=Brand";v="99", "Google Chrome";v="139", "Chromium";v="139"',
-                                'Sec-CH-UA-Arch': '"x86"',
-                                'Sec-CH-UA-Mobile': '?0',
-                                'Sec-CH-UA-Platform': '"Windows"',
-                                'Sec-CH-UA-Platform-Version': '"19.0.0"',
-                                'Sec-Fetch-Dest': 'empty',
-                                'Sec-Fetch-Mode': 'cors',
-                                'Sec-Fetch-Site': 'same-origin',
-                                'User-Agent': navigator.userAgent,
-                                'Cookie': cookieString
-                            },
-                            credentials: 'include',
-                            body: JSON.stringify({
-                                teamId,
-                                startDate: startDate.getTime().toString(),
-                                endDate: endDate.getTime().toString(),
-                                page: 1,
-                                pageSize
-                            })
-                        });
-
-                        if (!response.ok) {
-                            throw new Error(`HTTP error! status: ${response.status}`);
-                        }
-
-                        const data = await response.json();
-                        // console.log('Server response for active events:', JSON.stringify(data, null, 2));
-                        // console.log('Active event IDs to check:', activeEventIds);
-                        // console.log('Response status:', response.status);
-                        // console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-                        return data;
-                    } catch (error) {
-                        console.error('Failed to fetch active events:', error);
-                        return { events: [] };
-                    }
-                }, {
-                    url: CONFIG.CURSOR_EVENTS_API,
-                    teamId: 0,
-                    pageSize: 500,
-                    cookieString,
-                    startDate,
-                    endDate,
-                    activeEventIds
-                });
+                response = await this.fetchEventsPage({ startDate, endDate, pageNum: 1, pageSize: 500 });
+                this.run.pages++;
                 this.logger.info('Successfully made API request');
             } catch (error) {
                 this.logger.error('Failed to make API request:', error);
+                this.addWarning('active-check', error);
                 return [];
             }
 
@@ -383,7 +554,6 @@ export class DataCollector {
             }
 
             this.logger.info(`Server response keys: ${Object.keys(response).join(', ')}`);
-            this.logger.info(`Full server response: ${JSON.stringify(response, null, 2)}`);
 
             // Проверяем, есть ли события в ответе (могут быть в разных полях)
             let events = response.events || response.usageEventsDisplay || [];
@@ -396,26 +566,14 @@ export class DataCollector {
             this.logger.info(`Received ${events.length} events from server`);
 
             // Фильтруем только те события, которые есть в активных
-            let relevantEvents;
-            try {
-                // Создаем ID для событий с сервера в том же формате, что и в локальной базе
-                const serverEventIds = events.map(event => event.timestamp + '_' + Math.random().toString(36).substr(2, 9));
-
-                relevantEvents = events.filter((event, index) => {
-                    const serverEventId = serverEventIds[index];
-                    return activeEventIds.some(activeId => activeId.startsWith(event.timestamp));
-                });
+            const relevantEvents = events.filter(event => activeEventTimes.has(parseInt(event.timestamp)));
 
-                this.logger.info(`Found ${relevantEvents.length} relevant events for update check`);
-            } catch (error) {
-                this.logger.error('Failed to filter relevant events:', error);
-                return [];
-            }
+            this.logger.info(`Found ${relevantEvents.length} relevant events for update check`);
 
             // Парсим события
             let parsedEvents;
             try {
-                parsedEvents = relevantEvents.map(event => this.parseUsageEvent(event));
+                parsedEvents = this.parseUsageEvents(relevantEvents);
                 this.logger.info(`Parsed ${parsedEvents.length} events successfully`);
             } catch (error) {
                 this.logger.error('Failed to parse events:', error);
@@ -436,7 +594,8 @@ export class DataCollector {
         try {
             this.logger.info('Collecting data from DOM...');
 
-            const page = this.browserManager.page;
+            // DOM доступен только при работе через браузер
+            const page = this.apiClient.page;
             if (!page) {
                 throw new Error('Browser page not available');
             }
@@ -479,7 +638,7 @@ export class DataCollector {
             }, CONFIG.SELECTORS);
 
             this.logger.info(`Collected ${data.length} events from DOM`);
-            return data;
+            return data.map(event => normalizeEvent(event));
 
         } catch (error) {
             this.logger.error('DOM collection failed:', error);
@@ -487,6 +646,22 @@ export class DataCollector {
         }
     }
 
+    parseUsageEvents(rawEvents) {
+        const parsedEvents = rawEvents.map(event => this.parseUsageEvent(event)).filter(Boolean);
+
+        // Прейскурантная стоимость по таблице цен и проверка стоимости из API
+        if (this.priceTable?.enabled) {
+            parsedEvents.forEach(event => this.priceTable.applyTo(event));
+        }
+
+        const collisions = disambiguateEventIds(parsedEvents);
+        if (collisions.length > 0) {
+            this.logger.warn(`Found ${collisions.length} identical events in one response, IDs were suffixed:`, collisions.slice(0, 5));
+        }
+
+        return parsedEvents;
+    }
+
     parseUsageEvent(event) {
         try {
             // Parse timestamp
@@ -646,9 +821,16 @@ export class DataCollector {
                 maxMode = event.details.toolCallComposer.maxMode;
             }
 
+            // Участник команды: в командной выборке входит в ID события
+            const user = getEventUser(event);
+
+            // Нормализованная запись (storage/event_record.js): все, что нужно для расчетов, - в ее полях,
+            // rawData хранилище сохраняет по RAW_DATA_MODE
             const parsedEvent = {
-                id: event.timestamp + '_' + Math.random().toString(36).substr(2, 9),
+                schemaVersion: EVENT_SCHEMA_VERSION,
+                id: buildEventId(event, this.teamId ? user : null),
                 date: timestamp,
+                sourceTimestamp: event.timestamp !== undefined ? parseInt(event.timestamp) : null,
                 model: model,
                 kind: kind,
                 kindDisplay: kindDisplay,
@@ -658,10 +840,15 @@ export class DataCollector {
                 costInfo: costInfo,
                 credits: event.requestsCosts || costInfo.requestsCosts,
                 maxMode: maxMode,
+                user: user,
                 source: 'API',
                 rawData: event
             };
 
+            if (this.teamId) {
+                parsedEvent.teamId = this.teamId;
+            }
+
 
             return parsedEvent;
 
@@ -702,49 +889,32 @@ export class DataCollector {
         try {
             this.logger.info('Collecting user info...');
 
-            const page = this.browserManager.page;
-            if (!page) {
-                throw new Error('Browser page not available');
-            }
-
-            // Получаем данные пользователя через браузер
-            const userInfo = await page.evaluate(async () => {
-                try {
-                    const [authResponse, stripeResponse] = await Promise.all([
-                        fetch('/api/auth/me'),
-                        fetch('/api/auth/stripe')
-                    ]);
-
-                    let userData = {};
-
-                    if (authResponse.ok) {
-                        const authData = await authResponse.json();
-                        userData = { ...userData, ...authData };
-                        console.log('Auth data:', authData);
-                    } else {
-                        console.log('Auth response failed:', authResponse.status);
-                    }
+            const [authResult, stripeResult] = await Promise.allSettled([
+                this.apiClient.getJson(CONFIG.CURSOR_AUTH_ME_API),
+                this.apiClient.getJson(CONFIG.CURSOR_STRIPE_API)
+            ]);
 
-                    if (stripeResponse.ok) {
-                        const stripeData = await stripeResponse.json();
-                        userData = { ...userData, ...stripeData };
-                        console.log('Stripe data:', stripeData);
-                    } else {
-                        console.log('Stripe response failed:', stripeResponse.status);
-                    }
+            let userData = {};
 
-                    // Фильтруем ненужные поля
-                    const { paymentId, sub, ...filteredData } = userData;
+            if (authResult.status === 'fulfilled') {
+                userData = { ...userData, ...authResult.value };
+            } else if (isAuthError(authResult.reason)) {
+                // /api/auth/me - самая ранняя проверка сессии за цикл сбора
+                throw createAuthError(`Session rejected by ${CONFIG.CURSOR_AUTH_ME_API} (${authResult.reason.message})`);
+            } else {
+                this.logger.warn('Auth response failed:', authResult.reason.message);
+                this.addWarning('user-info', authResult.reason);
+            }
 
-                    console.log('Final user data:', filteredData);
-                    return filteredData;
-                } catch (error) {
-                    console.error('Failed to fetch user info:', error);
-                    return {};
-                }
-            });
+            if (stripeResult.status === 'fulfilled') {
+                userData = { ...userData, ...stripeResult.value };
+            } else {
+                this.logger.warn('Stripe response failed:', stripeResult.reason.message);
+                this.addWarning('user-info', stripeResult.reason);
+            }
 
-            // this.logger.info('Collected user info:', userInfo);
+            // Фильтруем ненужные поля
+            const { paymentId, sub, ...userInfo } = userData;
 
             // Сохраняем данные пользователя
             if (Object.keys(userInfo).length > 0) {
@@ -755,6 +925,8 @@ export class DataCollector {
             }
 
         } catch (error) {
+            if (isAuthError(error)) throw error;
+
             this.logger.error('Failed to collect user info:', error);
         }
     }
@@ -0,0 +1,100 @@
+import fetch from 'node-fetch';
+import { CONFIG } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+import { RequestPolicy } from './request_policy.js';
+import { createAuthError } from './session_state.js';
+
+// Клиент, который обращается к API дашборда напрямую из Node, без браузера.
+// Авторизация - cookie WorkosCursorSessionToken из cookies.json
+export class HttpApiClient {
+    constructor(cookies = []) {
+        this.name = 'http';
+        this.cookies = (cookies || []).filter(cookie => cookie && cookie.name && cookie.value !== undefined);
+        this.policy = new RequestPolicy();
+        this.logger = new Logger('HttpApiClient');
+    }
+
+    async initialize() {
+        const sessionCookie = this.cookies.find(cookie => cookie.name === CONFIG.SESSION_COOKIE_NAME);
+        if (!sessionCookie) {
+            throw createAuthError(`Cookie ${CONFIG.SESSION_COOKIE_NAME} not found, HTTP collector requires a session cookie`);
+        }
+
+        this.logger.info(`HTTP collector initialized with ${this.cookies.length} cookies (base URL: ${CONFIG.CURSOR_BASE_URL})`);
+        return true;
+    }
+
+    async prepareSession() {
+        // Отдельной навигации не требуется - сессия передается в каждом запросе
+        return true;
+    }
+
+    getCookieString() {
+        return this.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    getHeaders(extraHeaders = {}) {
+        return {
+            'Accept': '*/*',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Origin': CONFIG.CURSOR_BASE_URL,
+            'Referer': CONFIG.CURSOR_DASHBOARD_URL,
+            'User-Agent': CONFIG.USER_AGENT,
+            'Cookie': this.getCookieString(),
+            ...extraHeaders
+        };
+    }
+
+    // Повторы временных ошибок и интервал между запросами - в RequestPolicy
+    async request(url, options = {}) {
+        return this.policy.execute(url, () => this.send(url, options));
+    }
+
+    async send(url, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.API_TIMEOUT);
+
+        try {
+            const response = await fetch(url, {
+                ...options,
+                headers: this.getHeaders(options.headers),
+                redirect: 'manual',
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.retryAfter = response.headers.get('retry-after');
+                throw error;
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                const timeoutError = new Error(`Request to ${url} timed out after ${CONFIG.API_TIMEOUT}ms`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    async getJson(url) {
+        return this.request(url, { method: 'GET' });
+    }
+
+    async postJson(url, body) {
+        return this.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    async close() {
+        // Нечего закрывать - соединения не удерживаются
+    }
+}
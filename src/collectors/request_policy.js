@@ -0,0 +1,132 @@
+import { CONFIG } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+import { isAuthError } from './session_state.js';
+
+// Сетевые ошибки, после которых запрос стоит повторить
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH']);
+const TRANSIENT_STATUSES = new Set([408, 425, 429]);
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Класс ошибки запроса к API:
+//   auth      - сессия недействительна, повторять бесполезно до загрузки новых cookies
+//   transient - сеть, таймаут, 429, 5xx: запрос повторяется с паузой
+//   fatal     - остальное (400, 404, неожиданный ответ): повтор не поможет
+export function classifyError(error) {
+    if (isAuthError(error)) return 'auth';
+
+    const status = error?.status;
+    if (TRANSIENT_STATUSES.has(status) || status >= 500) return 'transient';
+    // status 0 - fetch внутри страницы браузера не получил ответа
+    if (status === 0) return 'transient';
+    if (TRANSIENT_CODES.has(error?.code)) return 'transient';
+    // FetchError node-fetch: system - ошибка сокета, body-timeout - ответ оборвался
+    if (error?.type === 'system' || error?.type === 'body-timeout') return 'transient';
+    // Таймаут Playwright
+    if (error?.name === 'TimeoutError') return 'transient';
+
+    return 'fatal';
+}
+
+// Retry-After: секунды или HTTP-дата. Возвращает паузу в мс или null
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, Math.round(seconds * 1000));
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Общий слой запросов клиентов API: повтор временных ошибок с экспоненциальной паузой и jitter,
+// соблюдение Retry-After и минимальный интервал между запросами, который растет после 429
+export class RequestPolicy {
+    constructor({
+        retries = CONFIG.MAX_RETRIES,
+        baseDelay = CONFIG.RETRY_BASE_DELAY,
+        maxDelay = CONFIG.RETRY_MAX_DELAY,
+        interval = CONFIG.REQUEST_INTERVAL
+    } = {}) {
+        this.retries = retries;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.baseInterval = interval;
+        this.interval = interval;
+        this.nextRequestAt = 0;
+        this.logger = new Logger('RequestPolicy');
+    }
+
+    // Экспоненциальная пауза: половина фиксированная, половина случайная
+    getBackoffDelay(attempt) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    // null - повторять не нужно (ошибка не временная, попытки кончились или сервер просит ждать слишком долго)
+    getRetryDelay(error, attempt) {
+        if (classifyError(error) !== 'transient' || attempt >= this.retries) {
+            return null;
+        }
+
+        const retryAfter = parseRetryAfter(error.retryAfter);
+        if (retryAfter !== null) {
+            return retryAfter <= this.maxDelay ? retryAfter : null;
+        }
+        return this.getBackoffDelay(attempt);
+    }
+
+    // Запросы стартуют не чаще interval: параллельные вызовы занимают очередь по порядку
+    async waitTurn() {
+        const now = Date.now();
+        const startAt = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = startAt + this.interval;
+        if (startAt > now) {
+            await sleep(startAt - now);
+        }
+    }
+
+    // После 429 сервер просит реже - удваиваем интервал, после успешных запросов возвращаемся к базовому
+    slowDown(retryAfter) {
+        this.interval = Math.min(this.maxDelay, Math.max(this.interval * 2, this.baseDelay, retryAfter || 0));
+        this.logger.warn(`Rate limited, request interval raised to ${this.interval}ms`);
+    }
+
+    recover() {
+        if (this.interval > this.baseInterval) {
+            this.interval = Math.max(this.baseInterval, Math.round(this.interval / 2));
+        }
+    }
+
+    // label - для логов (обычно URL). Ошибка получает category и attempts
+    async execute(label, operation) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitTurn();
+
+            try {
+                const result = await operation();
+                this.recover();
+                return result;
+            } catch (error) {
+                error.category = classifyError(error);
+                error.attempts = attempt + 1;
+
+                if (error.status === 429) {
+                    this.slowDown(parseRetryAfter(error.retryAfter));
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) {
+                    throw error;
+                }
+
+                this.logger.warn(`${label} failed (${error.message}), retry ${attempt + 1}/${this.retries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+}
@@ -0,0 +1,77 @@
+import { CONFIG } from '../config/constants.js';
+import { getSessionExpiry } from '../cookies/cookie_import.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ответ API, означающий, что сессия недействительна: 401/403 или редирект на страницу входа
+// (HTTP-клиент не следует редиректам)
+export function isAuthError(error) {
+    const status = error?.status;
+    return status === 401 || status === 403 || (status >= 300 && status < 400);
+}
+
+export function createAuthError(message) {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+}
+
+// Состояние сессии аккаунта:
+//   unknown  - сессия еще не проверялась
+//   valid    - последний запрос к API прошел
+//   expiring - срок cookie истекает меньше чем через SESSION_EXPIRY_WARNING_DAYS
+//   expired  - срок cookie истек
+//   rejected - API отклонил сессию (401/403, редирект на вход)
+// В состояниях expired и rejected синхронизация приостанавливается до загрузки новых cookies
+export class SessionState {
+    constructor(cookies = null) {
+        this.setCookies(cookies);
+    }
+
+    setCookies(cookies) {
+        this.hasCookies = Array.isArray(cookies) && cookies.length > 0;
+        this.expiresAt = getSessionExpiry(cookies);
+        this.verifiedAt = null;
+        this.rejectedAt = null;
+        this.reason = null;
+        this.updatedAt = new Date();
+    }
+
+    markValid(now = new Date()) {
+        this.verifiedAt = now;
+        this.rejectedAt = null;
+        this.reason = null;
+    }
+
+    markRejected(reason, now = new Date()) {
+        this.rejectedAt = now;
+        this.reason = reason;
+    }
+
+    getStatus(now = new Date()) {
+        if (this.rejectedAt) return 'rejected';
+        if (this.expiresAt && this.expiresAt <= now) return 'expired';
+        if (this.expiresAt && this.expiresAt - now < CONFIG.SESSION_EXPIRY_WARNING_DAYS * DAY_MS) return 'expiring';
+        return this.verifiedAt ? 'valid' : 'unknown';
+    }
+
+    isPaused(now = new Date()) {
+        return ['expired', 'rejected'].includes(this.getStatus(now));
+    }
+
+    toJSON() {
+        const now = new Date();
+        return {
+            status: this.getStatus(now),
+            paused: this.isPaused(now),
+            expiresAt: this.expiresAt ? this.expiresAt.toISOString() : null,
+            daysRemaining: this.expiresAt ? Math.floor((this.expiresAt - now) / DAY_MS) : null,
+            // Без cookies используется профиль браузера, срок сессии неизвестен
+            source: this.hasCookies ? 'cookies' : 'browser-profile',
+            verifiedAt: this.verifiedAt ? this.verifiedAt.toISOString() : null,
+            rejectedAt: this.rejectedAt ? this.rejectedAt.toISOString() : null,
+            reason: this.reason,
+            updatedAt: this.updatedAt.toISOString()
+        };
+    }
+}
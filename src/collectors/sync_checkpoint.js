@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import { Logger } from '../utils/logger.js';
+
+// Прогресс прерванной постраничной загрузки событий (sync_checkpoint.json в каталоге данных):
+//   strategy            - full или incremental
+//   teamId              - выборка, для которой загружались страницы
+//   startDate, endDate  - окно запроса (мс), зафиксированное при старте загрузки
+//   pageSize, nextPage  - размер страницы и страница, на которой загрузка оборвалась
+//   events              - исходные события уже загруженных страниц
+// Следующий запуск продолжает с nextPage, а не сохраняет неполную историю
+export class SyncCheckpoint {
+    constructor(file) {
+        this.file = file;
+        this.logger = new Logger('SyncCheckpoint');
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load sync checkpoint, starting from the first page:', error.message);
+            }
+            return null;
+        }
+    }
+
+    async save(checkpoint) {
+        await fs.writeFile(
+            this.file,
+            JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }),
+            'utf8'
+        );
+    }
+
+    async clear() {
+        await fs.rm(this.file, { force: true });
+    }
+}
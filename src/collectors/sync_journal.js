@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { CONFIG } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+
+// Новая запись журнала синхронизаций. Заполняется по ходу сбора (DataCollector):
+//   trigger         - что запустило сбор: startup, schedule, cli, cookies, manual
+//   strategy        - full, incremental или active-check (новых событий нет, проверены активные)
+//   pages, pageSize - загруженные страницы событий и их размер; resumedFromPage - продолжение прерванной загрузки
+//   eventsFetched   - события из ответов API; eventsAdded, eventsUpdated - изменения после слияния
+//   warnings        - некритичные ошибки (аналитика, данные пользователя), error - ошибка, прервавшая сбор
+export function createSyncRun(trigger = 'manual') {
+    return {
+        id: crypto.randomUUID(),
+        trigger,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        strategy: null,
+        resumedFromPage: null,
+        pageSize: null,
+        pages: 0,
+        eventsFetched: 0,
+        eventsAdded: 0,
+        eventsUpdated: 0,
+        warnings: [],
+        error: null
+    };
+}
+
+// Журнал синхронизаций аккаунта (sync_runs.json в каталоге данных), последние SYNC_RUNS_HISTORY запусков.
+// Ошибка записи журнала не должна прерывать сбор - она только логируется
+export class SyncJournal {
+    constructor(file, limit = CONFIG.SYNC_RUNS_HISTORY) {
+        this.file = file;
+        this.limit = limit;
+        this.logger = new Logger('SyncJournal');
+    }
+
+    // Запуски от старых к новым
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load sync journal:', error.message);
+            }
+            return [];
+        }
+    }
+
+    async save(runs) {
+        try {
+            await fs.writeFile(this.file, JSON.stringify(runs.slice(-this.limit), null, 2), 'utf8');
+        } catch (error) {
+            this.logger.error('Failed to save sync journal:', error.message);
+        }
+    }
+
+    // Новые сверху; status - только запуски с этим статусом
+    async list({ limit = 50, status = null } = {}) {
+        const runs = (await this.load())
+            .filter(run => !status || run.status === status)
+            .reverse();
+        return runs.slice(0, limit);
+    }
+
+    async start(run) {
+        const runs = await this.load();
+        runs.push(run);
+        await this.save(runs);
+    }
+
+    async finish(run, error = null) {
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+        run.status = error ? 'failed' : 'success';
+        if (error) {
+            run.error = { message: error.message, category: error.category || null, status: error.status || null };
+        }
+
+        const runs = await this.load();
+        const index = runs.findIndex(item => item.id === run.id);
+        if (index === -1) {
+            runs.push(run);
+        } else {
+            runs[index] = run;
+        }
+        await this.save(runs);
+    }
+
+    // Запуски, оставшиеся в статусе running после остановки процесса, считаются прерванными
+    async recoverInterrupted() {
+        const runs = await this.load();
+        const interrupted = runs.filter(run => run.status === 'running');
+        if (interrupted.length === 0) return;
+
+        interrupted.forEach(run => {
+            run.status = 'failed';
+            run.error = { message: 'Interrupted: the tracker stopped during the sync', category: null, status: null };
+        });
+        await this.save(runs);
+        this.logger.warn(`Marked ${interrupted.length} unfinished sync runs as interrupted`);
+    }
+
+    // Состояние сбора по журналу:
+    //   healthy   - последний запуск успешен (или запусков еще не было)
+    //   degraded  - последние запуски падают, либо успешной синхронизации не было дольше 3 интервалов сбора
+    //   unhealthy - HEALTH_MAX_FAILURES и больше неудачных запусков подряд
+    async getHealth({ interval = null, now = new Date() } = {}) {
+        const runs = (await this.load()).filter(run => run.status !== 'running');
+        const lastRun = runs[runs.length - 1] || null;
+
+        let consecutiveFailures = 0;
+        for (let i = runs.length - 1; i >= 0 && runs[i].status === 'failed'; i--) {
+            consecutiveFailures++;
+        }
+
+        const lastSuccess = [...runs].reverse().find(run => run.status === 'success') || null;
+        const lastFailure = [...runs].reverse().find(run => run.status === 'failed') || null;
+        const stale = Boolean(interval && lastSuccess && now - new Date(lastSuccess.finishedAt) > 3 * interval);
+
+        let status = 'healthy';
+        if (consecutiveFailures >= CONFIG.HEALTH_MAX_FAILURES) {
+            status = 'unhealthy';
+        } else if (consecutiveFailures > 0 || stale) {
+            status = 'degraded';
+        }
+
+        return {
+            status,
+            lastRunAt: lastRun ? lastRun.startedAt : null,
+            lastSuccessAt: lastSuccess ? lastSuccess.finishedAt : null,
+            lastFailureAt: lastFailure ? lastFailure.finishedAt : null,
+            lastError: lastFailure && consecutiveFailures > 0 ? lastFailure.error : null,
+            consecutiveFailures,
+            stale
+        };
+    }
+}
@@ -7,21 +7,78 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.join(__dirname, '../../config.example.env') });
 
+const CURSOR_BASE_URL = (process.env.CURSOR_BASE_URL || 'https://cursor.com').replace(/\/+$/, '');
+
 export const CONFIG = {
-    CURSOR_DASHBOARD_URL: process.env.CURSOR_DASHBOARD_URL || 'https://cursor.com/dashboard?tab=usage',
-    CURSOR_ANALYTICS_API: 'https://cursor.com/api/dashboard/get-user-analytics',
-    CURSOR_EVENTS_API: 'https://cursor.com/api/dashboard/get-filtered-usage-events',
+    CURSOR_BASE_URL,
+    CURSOR_DASHBOARD_URL: process.env.CURSOR_DASHBOARD_URL || `${CURSOR_BASE_URL}/dashboard?tab=usage`,
+    CURSOR_ANALYTICS_API: `${CURSOR_BASE_URL}/api/dashboard/get-user-analytics`,
+    CURSOR_EVENTS_API: `${CURSOR_BASE_URL}/api/dashboard/get-filtered-usage-events`,
+    CURSOR_AUTH_ME_API: `${CURSOR_BASE_URL}/api/auth/me`,
+    CURSOR_STRIPE_API: `${CURSOR_BASE_URL}/api/auth/stripe`,
+    // Способ обращения к API: browser (Playwright), http (напрямую из Node) или auto (http с откатом на browser)
+    COLLECTOR_MODE: process.env.COLLECTOR_MODE || 'browser',
+    // ID команды для сбора событий всех участников (0 - только собственные события)
+    CURSOR_TEAM_ID: parseInt(process.env.CURSOR_TEAM_ID) || 0,
+    SESSION_COOKIE_NAME: 'WorkosCursorSessionToken',
+    // За сколько дней до истечения cookie сессии предупреждать (лог и баннер дашборда)
+    SESSION_EXPIRY_WARNING_DAYS: parseInt(process.env.SESSION_EXPIRY_WARNING_DAYS) || 7,
+    USER_AGENT: process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/139.0.0.0 Safari/537.36',
     CHROME_USER_DATA_DIR: process.env.CHROME_USER_DATA_DIR || '',
     OUTPUT_DIR: process.env.OUTPUT_DIR || './data',
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'json', // json | sqlite
+    // Исходные ответы API (rawData): inline - в событиях, separate - в отдельном хранилище, drop - не хранить
+    RAW_DATA_MODE: process.env.RAW_DATA_MODE || 'inline',
     WEB_PORT: parseInt(process.env.WEB_PORT) || 3000,
+    // Адрес веб-сервера: по умолчанию только локальный - API меняет cookies и запускает синхронизации
+    WEB_HOST: process.env.WEB_HOST || '127.0.0.1',
+    SSE_HEARTBEAT_INTERVAL: parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 15000,
+    SSE_BUFFER_SIZE: parseInt(process.env.SSE_BUFFER_SIZE) || 100, // сообщений для докачки по Last-Event-ID
+    SSE_MAX_EVENTS_PER_MESSAGE: parseInt(process.env.SSE_MAX_EVENTS_PER_MESSAGE) || 200,
     HEADLESS: process.env.HEADLESS === 'false',
     TIMEOUT: parseInt(process.env.TIMEOUT) || 30000,
     API_TIMEOUT: parseInt(process.env.API_TIMEOUT) || 10000,
     COLLECTION_INTERVAL: parseInt(process.env.COLLECTION_INTERVAL) || 300000, // 5 минут
+    // Плановая синхронизация: cron-выражение вместо интервала, тихие часы ("23:00-07:00") в поясе TIMEZONE
+    SYNC_SCHEDULE: process.env.SYNC_SCHEDULE || null,
+    SYNC_QUIET_HOURS: process.env.SYNC_QUIET_HOURS || null,
+    // Адаптивный интервал: чаще, пока приходят события, реже в простое
+    SYNC_ADAPTIVE: process.env.SYNC_ADAPTIVE !== 'false',
+    SYNC_MIN_INTERVAL: parseInt(process.env.SYNC_MIN_INTERVAL) || 60000,
+    SYNC_MAX_INTERVAL: parseInt(process.env.SYNC_MAX_INTERVAL) || 3600000,
+    // Повтор временных ошибок API (сеть, таймаут, 429, 5xx): число повторов и границы экспоненциальной паузы
     MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3,
+    RETRY_BASE_DELAY: parseInt(process.env.RETRY_BASE_DELAY) || 1000,
+    RETRY_MAX_DELAY: parseInt(process.env.RETRY_MAX_DELAY) || 60000,
+    REQUEST_INTERVAL: parseInt(process.env.REQUEST_INTERVAL) || 500, // минимальный интервал между запросами к API
+    // Загрузка истории (cursor-usage backfill): глубина по умолчанию и размер окна в днях
+    BACKFILL_DAYS: parseInt(process.env.BACKFILL_DAYS) || 365,
+    BACKFILL_WINDOW_DAYS: parseInt(process.env.BACKFILL_WINDOW_DAYS) || 7,
+    // Хранение: события старше RETENTION_DAYS дней сворачиваются в дневные агрегаты (0 - хранить все),
+    // RETENTION_ARCHIVE - перед удалением дописывать их в помесячные gzip-архивы
+    RETENTION_DAYS: parseInt(process.env.RETENTION_DAYS) || 0,
+    RETENTION_ARCHIVE: process.env.RETENTION_ARCHIVE === 'true',
+    VERIFY_GAP_DAYS: parseInt(process.env.VERIFY_GAP_DAYS) || 3, // дней без событий, которые verify считает пропуском
+    SYNC_RUNS_HISTORY: parseInt(process.env.SYNC_RUNS_HISTORY) || 200, // запусков в журнале синхронизаций
+    HEALTH_MAX_FAILURES: parseInt(process.env.HEALTH_MAX_FAILURES) || 3, // неудачных синхронизаций подряд до unhealthy
     PAGE_SIZE: parseInt(process.env.PAGE_SIZE) || 100,
     ACTIVE_EVENTS_CHECK_HOURS: parseInt(process.env.ACTIVE_EVENTS_CHECK_HOURS) || 24,
     ACTIVE_EVENTS_MAX_COUNT: parseInt(process.env.ACTIVE_EVENTS_MAX_COUNT) || 100,
+    ANALYTICS_HISTORY_DAYS: parseInt(process.env.ANALYTICS_HISTORY_DAYS) || 90, // глубина первой загрузки аналитики
+    ANALYTICS_REQUEST_DAYS: parseInt(process.env.ANALYTICS_REQUEST_DAYS) || 30, // дней в одном запросе к API
+    TIMEZONE: process.env.TIMEZONE || 'UTC', // часовой пояс интервалов графиков по умолчанию
+    // Расчетный период: начало любого периода (ISO-дата) вместо даты из Stripe и включенный лимит плана
+    BILLING_CYCLE_START: process.env.BILLING_CYCLE_START || null,
+    BILLING_INCLUDED_USAGE: parseFloat(process.env.BILLING_INCLUDED_USAGE) || null, // $ за период
+    BILLING_INCLUDED_REQUESTS: parseInt(process.env.BILLING_INCLUDED_REQUESTS) || null,
+    BILLING_HISTORY_CYCLES: parseInt(process.env.BILLING_HISTORY_CYCLES) || 3, // предыдущих периодов для сравнения
+    FORECAST_HISTORY_DAYS: parseInt(process.env.FORECAST_HISTORY_DAYS) || 14, // полных дней истории для тренда
+    FORECAST_MIN_TREND_DAYS: parseInt(process.env.FORECAST_MIN_TREND_DAYS) || 7, // меньше дней - прогноз по среднему
+    // Допустимое расхождение стоимости Cursor и стоимости по таблице цен: большее из относительного и абсолютного
+    PRICE_TOLERANCE: {
+        relative: (parseFloat(process.env.PRICE_TOLERANCE_PERCENT) || 5) / 100,
+        absolute: parseFloat(process.env.PRICE_TOLERANCE_ABSOLUTE) || 0.01
+    },
     SELECTORS: {
         USAGE_TABLE: 'table, [class*="table"], tbody, [class*="usage"]',
         USAGE_ROWS: 'tr[class*="bg-transparent"], tr[class*="hover"], tbody tr, tr',
@@ -33,8 +90,34 @@ export const CONFIG = {
     }
 };
 
+// Файлы данных внутри каталога хранилища. У каждого аккаунта свой каталог,
+// аккаунт по умолчанию использует OUTPUT_DIR
+export function getDataPaths(dataDir = CONFIG.OUTPUT_DIR) {
+    return {
+        DATA_DIR: path.resolve(dataDir),
+        USAGE_DATA_FILE: path.join(dataDir, 'usage_data.json'),
+        STATS_FILE: path.join(dataDir, 'stats.json'),
+        USER_INFO_FILE: path.join(dataDir, 'user_info.json'),
+        SQLITE_FILE: path.join(dataDir, 'usage.db'),
+        ALERT_STATE_FILE: path.join(dataDir, 'alert_state.json'),
+        ANALYTICS_FILE: path.join(dataDir, 'analytics.json'),
+        SYNC_CHECKPOINT_FILE: path.join(dataDir, 'sync_checkpoint.json'),
+        SYNC_RUNS_FILE: path.join(dataDir, 'sync_runs.json'),
+        BACKFILL_STATE_FILE: path.join(dataDir, 'backfill_state.json'),
+        ROLLUPS_FILE: path.join(dataDir, 'rollups.json'),
+        RAW_DATA_FILE: path.join(dataDir, 'raw_data.ndjson'),
+        LOCK_FILE: path.join(dataDir, 'tracker.lock'),
+        ARCHIVE_DIR: path.join(dataDir, 'archive')
+    };
+}
+
 export const PATHS = {
-    DATA_DIR: path.resolve(CONFIG.OUTPUT_DIR),
-    USAGE_DATA_FILE: path.join(CONFIG.OUTPUT_DIR, 'usage_data.json'),
-    STATS_FILE: path.join(CONFIG.OUTPUT_DIR, 'stats.json')
+    ...getDataPaths(),
+    ACCOUNTS_DIR: path.join(CONFIG.OUTPUT_DIR, 'accounts'),
+    ACCOUNTS_FILE: process.env.ACCOUNTS_FILE || 'accounts.json',
+    ALERTS_CONFIG_FILE: process.env.ALERTS_CONFIG_FILE || 'alerts.json',
+    // Cookies аккаунта по умолчанию (start_with_cookies.js, extract_cookies.js, cursor-usage)
+    COOKIES_FILE: process.env.COOKIES_FILE || 'cookies.json',
+    PRICING_FILE: process.env.PRICING_FILE || path.join(__dirname, 'pricing.json'),
+    PLANS_FILE: process.env.PLANS_FILE || path.join(__dirname, 'plans.json')
 };
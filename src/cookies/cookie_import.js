@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import { CONFIG } from '../config/constants.js';
+
+// Импорт cookies дашборда в формат cookies.json из трех источников:
+// Netscape cookies.txt, JSON-выгрузка расширений браузера (Cookie-Editor, EditThisCookie,
+// storageState Playwright) и строка заголовка Cookie из вкладки Network
+
+export const COOKIE_FORMATS = ['netscape', 'json', 'header'];
+
+// Домен дашборда: cookies с других сайтов в выгрузке браузера не нужны
+const COOKIE_DOMAIN = new URL(CONFIG.CURSOR_BASE_URL).hostname.replace(/^www\./, '');
+
+const SAME_SITE_VALUES = {
+    lax: 'Lax',
+    strict: 'Strict',
+    none: 'None',
+    no_restriction: 'None'
+};
+
+function createCookie({ name, value, domain = `.${COOKIE_DOMAIN}`, path = '/', expires, httpOnly, secure = true, sameSite = 'Lax' }) {
+    const cookie = {
+        name,
+        value: String(value ?? ''),
+        domain,
+        path,
+        httpOnly: httpOnly ?? name === CONFIG.SESSION_COOKIE_NAME,
+        secure,
+        sameSite
+    };
+    // Сессионные cookies (-1 или 0) сохраняются без срока
+    if (expires > 0) {
+        cookie.expires = Math.floor(expires);
+    }
+    return cookie;
+}
+
+function createFormatError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// domain \t includeSubdomains \t path \t secure \t expires \t name \t value; #HttpOnly_ - признак httpOnly
+export function parseNetscapeCookies(text) {
+    const cookies = [];
+
+    // Пустое значение cookie - это завершающий таб, поэтому конец строки не обрезаем
+    for (const rawLine of text.split(/\r?\n/)) {
+        let line = rawLine.replace(/^\s+/, '');
+        let httpOnly = false;
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+            httpOnly = true;
+        } else if (!line.trim() || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+            throw createFormatError(`Invalid cookies.txt line: ${line}`);
+        }
+
+        const [domain, , path, secure, expires, name, ...value] = fields;
+        cookies.push(createCookie({
+            name,
+            value: value.join('\t'),
+            domain,
+            path,
+            expires: parseInt(expires),
+            httpOnly,
+            secure: secure.toUpperCase() === 'TRUE'
+        }));
+    }
+
+    return cookies;
+}
+
+// Массив cookies или объект с полем cookies (cookies.json, storageState Playwright)
+export function parseJsonCookies(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw createFormatError(`Invalid cookies JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed?.cookies;
+    if (!Array.isArray(items)) {
+        throw createFormatError('Cookies JSON must be an array or an object with a "cookies" array');
+    }
+
+    return items
+        .filter(item => item && item.name)
+        .map(item => createCookie({
+            name: item.name,
+            value: item.value,
+            domain: item.domain,
+            path: item.path,
+            // Расширения пишут expirationDate, Playwright и cookies.json - expires (секунды)
+            expires: item.expires ?? item.expirationDate,
+            httpOnly: item.httpOnly,
+            secure: item.secure ?? true,
+            sameSite: SAME_SITE_VALUES[String(item.sameSite).toLowerCase()] || 'Lax'
+        }));
+}
+
+// "Cookie: a=1; b=2" или просто "a=1; b=2". Домен в заголовке не передается - считаем его доменом дашборда
+export function parseCookieHeader(text) {
+    const header = text.trim().replace(/^cookie:\s*/i, '');
+
+    return header
+        .split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const separator = part.indexOf('=');
+            if (separator <= 0) {
+                throw createFormatError(`Invalid cookie in header: ${part}`);
+            }
+            return createCookie({ name: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() });
+        });
+}
+
+export function detectCookieFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        return 'json';
+    }
+    if (/^# (Netscape )?HTTP Cookie File/i.test(trimmed) || trimmed.split(/\r?\n/).some(line => line.split('\t').length >= 7)) {
+        return 'netscape';
+    }
+    return 'header';
+}
+
+export function isDashboardCookie(cookie) {
+    const domain = (cookie.domain || '').replace(/^\./, '');
+    return domain === COOKIE_DOMAIN || domain.endsWith(`.${COOKIE_DOMAIN}`);
+}
+
+// Срок сессии: поле expires cookie или exp из JWT внутри WorkosCursorSessionToken
+// (значение вида user_XXX%3A%3A<jwt>). null - срок неизвестен
+export function getSessionExpiry(cookies) {
+    const cookie = (cookies || []).find(item => item.name === CONFIG.SESSION_COOKIE_NAME);
+    if (!cookie) return null;
+
+    if (cookie.expires > 0) {
+        return new Date(cookie.expires * 1000);
+    }
+
+    try {
+        const token = decodeURIComponent(cookie.value).split('::').pop();
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Разбирает выгрузку (format = null - определить автоматически) и оставляет cookies дашборда.
+// Сессионная cookie без срока получает срок из JWT, чтобы его видели status и проверка сессии
+export function importCookies(text, format = null) {
+    if (!text.trim()) {
+        throw createFormatError('Cookies export is empty');
+    }
+
+    const resolvedFormat = format || detectCookieFormat(text);
+    if (!COOKIE_FORMATS.includes(resolvedFormat)) {
+        throw createFormatError(`Unknown cookies format: ${resolvedFormat} (expected ${COOKIE_FORMATS.join(', ')})`);
+    }
+
+    const parsers = { netscape: parseNetscapeCookies, json: parseJsonCookies, header: parseCookieHeader };
+    const parsed = parsers[resolvedFormat](text);
+    const cookies = parsed.filter(isDashboardCookie);
+
+    const session = cookies.find(cookie => cookie.name === CONFIG.SESSION_COOKIE_NAME);
+    if (!session) {
+        throw createFormatError(`Cookie ${CONFIG.SESSION_COOKIE_NAME} not found among ${cookies.length} ${COOKIE_DOMAIN} cookies`);
+    }
+
+    const expiresAt = getSessionExpiry(cookies);
+    if (expiresAt && !session.expires) {
+        session.expires = Math.floor(expiresAt.getTime() / 1000);
+    }
+
+    return {
+        format: resolvedFormat,
+        cookies,
+        skipped: parsed.length - cookies.length,
+        expiresAt
+    };
+}
+
+// Файл в формате cookies.json (cookies.template.json)
+export async function writeCookiesFile(file, cookies) {
+    await fs.writeFile(
+        file,
+        JSON.stringify({ timestamp: new Date().toISOString(), cookies }, null, 4),
+        'utf8'
+    );
+}
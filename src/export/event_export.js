@@ -0,0 +1,114 @@
+import { isMaxModeEvent } from '../storage/event_filter.js';
+
+// Выгрузка событий в CSV, NDJSON и JSON построчно в поток (HTTP-ответ, файл, stdout)
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Колонки CSV: tokenUsage и costInfo разворачиваются в отдельные колонки
+const CSV_COLUMNS = [
+    ['id', event => event.id],
+    ['date', event => new Date(event.date).toISOString()],
+    ['model', event => event.model],
+    ['kind', event => event.kind],
+    ['kindDisplay', event => event.kindDisplay],
+    ['maxMode', event => isMaxModeEvent(event)],
+    ['user', event => event.user],
+    ['tokens', event => event.tokens],
+    ['tokenUsage.inputTokens', event => event.tokenUsage?.inputTokens],
+    ['tokenUsage.outputTokens', event => event.tokenUsage?.outputTokens],
+    ['tokenUsage.cacheReadTokens', event => event.tokenUsage?.cacheReadTokens],
+    ['tokenUsage.cacheWriteTokens', event => event.tokenUsage?.cacheWriteTokens],
+    ['tokenUsage.totalTokens', event => event.tokenUsage?.totalTokens],
+    ['cost', event => event.cost],
+    ['credits', event => event.credits],
+    ['costInfo.totalCents', event => event.costInfo?.totalCents],
+    ['costInfo.requestsCosts', event => event.costInfo?.requestsCosts],
+    ['costInfo.usageBasedCosts', event => event.costInfo?.usageBasedCosts],
+    ['costInfo.isIncluded', event => event.costInfo?.isIncluded],
+    ['costInfo.isFree', event => event.costInfo?.isFree],
+    ['costInfo.displayCost', event => event.costInfo?.displayCost],
+    ['costInfo.originalCost', event => event.costInfo?.originalCost],
+    ['costInfo.listCost', event => event.costInfo?.listCost],
+    ['costInfo.costMismatch', event => event.costInfo?.costMismatch],
+    ['source', event => event.source]
+];
+
+function escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+export function toCsvRow(event) {
+    return CSV_COLUMNS.map(([, getValue]) => escapeCsvValue(getValue(event))).join(',');
+}
+
+export function getCsvHeader() {
+    return CSV_COLUMNS.map(([name]) => name).join(',');
+}
+
+// В выгрузку не попадает rawData - это исходный ответ API, он удваивает объем
+function toExportRecord(event) {
+    const { rawData, ...record } = event;
+    return record;
+}
+
+// Пишет в поток с учетом backpressure
+function writeChunk(stream, chunk) {
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            stream.off('error', onError);
+            resolve();
+        };
+        const onError = error => {
+            stream.off('drain', onDrain);
+            reject(error);
+        };
+        stream.once('drain', onDrain);
+        stream.once('error', onError);
+    });
+}
+
+export async function writeEvents(stream, events, format = 'csv') {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    let count = 0;
+
+    if (format === 'csv') {
+        await writeChunk(stream, getCsvHeader() + '\n');
+    } else if (format === 'json') {
+        await writeChunk(stream, '[');
+    }
+
+    for await (const event of events) {
+        if (stream.destroyed) break;
+
+        if (format === 'csv') {
+            await writeChunk(stream, toCsvRow(event) + '\n');
+        } else if (format === 'ndjson') {
+            await writeChunk(stream, JSON.stringify(toExportRecord(event)) + '\n');
+        } else {
+            await writeChunk(stream, (count > 0 ? ',\n' : '\n') + JSON.stringify(toExportRecord(event)));
+        }
+        count++;
+    }
+
+    if (format === 'json' && !stream.destroyed) {
+        await writeChunk(stream, count > 0 ? '\n]\n' : ']\n');
+    }
+
+    return count;
+}
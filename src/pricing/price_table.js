@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import { CONFIG, PATHS } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+
+const logger = new Logger('PriceTable');
+
+const TOKENS_PER_UNIT = 1_000_000;
+const RATE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+// Таблица цен моделей ($ за 1M токенов) с датами вступления в силу.
+// Нужна, чтобы знать "прейскурантную" стоимость событий, включенных в план (у них displayCost = 0),
+// и проверять, что Cursor списал столько, сколько стоят токены
+export class PriceTable {
+    constructor({ version = null, models = {} } = {}) {
+        this.version = version;
+        this.models = new Map();
+
+        for (const [model, rates] of Object.entries(models)) {
+            this.models.set(model, normalizeRates(model, rates));
+        }
+    }
+
+    get enabled() {
+        return this.models.size > 0;
+    }
+
+    static async load(file = PATHS.PRICING_FILE) {
+        let config;
+        try {
+            config = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.info(`No pricing table found (${file}), list prices disabled`);
+                return new PriceTable();
+            }
+            logger.error('Failed to load pricing table:', error);
+            throw error;
+        }
+
+        const table = new PriceTable(config);
+        logger.info(`Loaded pricing table ${table.version || '(no version)'}: ${table.models.size} models`);
+        return table;
+    }
+
+    // Цены модели на дату: точное совпадение или самый длинный префикс
+    // (claude-4-sonnet подходит для claude-4-sonnet-thinking)
+    getRate(model, date) {
+        let rates = this.models.get(model);
+        if (!rates) {
+            let bestMatch = '';
+            for (const name of this.models.keys()) {
+                if (model?.startsWith(`${name}-`) && name.length > bestMatch.length) {
+                    bestMatch = name;
+                }
+            }
+            rates = bestMatch ? this.models.get(bestMatch) : null;
+        }
+        if (!rates) return null;
+
+        const time = new Date(date).getTime();
+        let rate = null;
+        for (const candidate of rates) {
+            if (candidate.effectiveFrom <= time) {
+                rate = candidate;
+            }
+        }
+        return rate;
+    }
+
+    // Стоимость токенов события по таблице, $ (null - модели или даты нет в таблице)
+    computeListCost(event) {
+        const rate = this.getRate(event.model, event.date);
+        if (!rate || !event.tokenUsage) return null;
+
+        const cost = RATE_FIELDS.reduce(
+            (sum, field) => sum + (event.tokenUsage[`${field}Tokens`] || 0) * rate[field],
+            0
+        ) / TOKENS_PER_UNIT;
+
+        return Math.round(cost * 1e6) / 1e6;
+    }
+
+    // Дополняет costInfo события прейскурантной стоимостью и отклонением от стоимости Cursor
+    applyTo(event, tolerance = CONFIG.PRICE_TOLERANCE) {
+        if (!event.costInfo) return event;
+
+        const listCost = this.computeListCost(event);
+        event.costInfo.listCost = listCost;
+        event.costInfo.priceVersion = this.version;
+
+        // Сравниваем только с ненулевой стоимостью из API: у части событий Cursor ее не сообщает
+        const reported = event.costInfo.originalCost || 0;
+        if (listCost === null || reported === 0) {
+            event.costInfo.costDeviation = null;
+            event.costInfo.costMismatch = false;
+        } else {
+            const deviation = reported - listCost;
+            event.costInfo.costDeviation = Math.round(deviation * 1e6) / 1e6;
+            event.costInfo.costMismatch = Math.abs(deviation) > Math.max(
+                tolerance.absolute,
+                tolerance.relative * listCost
+            );
+        }
+
+        return event;
+    }
+
+    // Событие посчитано по другой версии таблицы (или еще не посчитано)
+    isOutdated(event) {
+        return Boolean(event.costInfo) && event.costInfo.priceVersion !== this.version;
+    }
+}
+
+function normalizeRates(model, rates) {
+    if (!Array.isArray(rates) || rates.length === 0) {
+        throw new Error(`Pricing for "${model}": expected a non-empty list of rates`);
+    }
+
+    return rates
+        .map((rate, index) => {
+            const effectiveFrom = new Date(rate.effectiveFrom || 0).getTime();
+            if (isNaN(effectiveFrom)) {
+                throw new Error(`Pricing for "${model}" #${index + 1}: invalid effectiveFrom ${rate.effectiveFrom}`);
+            }
+            if (typeof rate.input !== 'number' || typeof rate.output !== 'number') {
+                throw new Error(`Pricing for "${model}" #${index + 1}: input and output must be numbers`);
+            }
+
+            // Без отдельных цен кеша чтение и запись считаются по цене входных токенов
+            return {
+                effectiveFrom,
+                input: rate.input,
+                output: rate.output,
+                cacheRead: rate.cacheRead ?? rate.input,
+                cacheWrite: rate.cacheWrite ?? rate.input
+            };
+        })
+        .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+}
@@ -0,0 +1,129 @@
+import { getZonedParts } from '../stats/time_zone.js';
+
+// Cron-выражения из 5 полей: минута, час, день месяца, месяц, день недели.
+// Поддерживаются *, списки (1,15), диапазоны (1-5), шаги (*/15, 8-18/2), имена месяцев
+// и дней недели (jan, mon) и сокращения @hourly, @daily, @weekly, @monthly.
+// Время считается в часовом поясе IANA
+
+const MINUTE_MS = 60 * 1000;
+// Поиск следующего запуска не дальше года (например, 30 февраля не наступит никогда)
+const MAX_SEARCH_MS = 366 * 24 * 60 * MINUTE_MS;
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    // 7 - тоже воскресенье
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+function parseValue(value, field, expression) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index !== -1 ? index + field.nameOffset : Number(value);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid cron expression "${expression}": ${field.name} value ${value} (expected ${field.min}-${field.max})`);
+    }
+    return number;
+}
+
+// Поле -> множество допустимых значений
+function parseField(text, field, expression) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid cron expression "${expression}": ${field.name} step ${stepText}`);
+        }
+
+        let from = field.min;
+        let to = field.max;
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            from = parseValue(start, field, expression);
+            // "5/10" - с 5 до конца диапазона
+            to = end !== undefined ? parseValue(end, field, expression) : (stepText === undefined ? from : field.max);
+        }
+        if (from > to) {
+            throw new Error(`Invalid cron expression "${expression}": ${field.name} range ${range}`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+export function parseCron(expression) {
+    const normalized = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        expression: String(expression).trim(),
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Как в cron: если заданы и день месяца, и день недели, подходит любой из них
+        restrictedDays: parts[2] !== '*',
+        restrictedWeekdays: parts[4] !== '*'
+    };
+}
+
+function matchesDay(cron, parts) {
+    const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+    const dayMatches = cron.days.has(parts.day);
+    const weekdayMatches = cron.weekdays.has(weekday);
+
+    if (cron.restrictedDays && cron.restrictedWeekdays) {
+        return dayMatches || weekdayMatches;
+    }
+    return dayMatches && weekdayMatches;
+}
+
+// Ближайший момент после after, подходящий под выражение, или null, если за год такого нет.
+// Час с неподходящим месяцем, днем или часом пропускается целиком, минуты перебираются только в подходящем
+export function getNextCronTime(cron, after = new Date(), timeZone = 'UTC') {
+    let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = time + MAX_SEARCH_MS;
+
+    while (time <= limit) {
+        const parts = getZonedParts(new Date(time), timeZone);
+
+        if (!cron.months.has(parts.month) || !matchesDay(cron, parts) || !cron.hours.has(parts.hour)) {
+            time += (60 - parts.minute) * MINUTE_MS;
+            continue;
+        }
+        if (!cron.minutes.has(parts.minute)) {
+            time += MINUTE_MS;
+            continue;
+        }
+        return new Date(time);
+    }
+
+    return null;
+}
@@ -0,0 +1,180 @@
+import { CONFIG } from '../config/constants.js';
+import { getZonedParts } from '../stats/time_zone.js';
+import { Logger } from '../utils/logger.js';
+import { getNextCronTime, parseCron } from './cron.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+// setTimeout не принимает задержку больше ~24.8 дня - дальние запуски переоцениваются по частям
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function parseClock(value, text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        throw new Error(`Invalid quiet hours "${text}": expected HH:MM-HH:MM`);
+    }
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// "23:00-07:00" или несколько периодов через запятую -> [{ start, end }] в минутах от полуночи.
+// Период может переходить через полночь
+export function parseQuietHours(text) {
+    if (!text) return [];
+
+    return String(text).split(',').map(period => {
+        const [start, end] = period.split('-');
+        if (end === undefined) {
+            throw new Error(`Invalid quiet hours "${text}": expected HH:MM-HH:MM`);
+        }
+        return { start: parseClock(start, text), end: parseClock(end, text) };
+    });
+}
+
+function getMinuteOfDay(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    return parts.hour * 60 + parts.minute;
+}
+
+function isInPeriod(minute, { start, end }) {
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// Конец тихих часов, в которые попадает date, или null, если date вне тихих часов
+export function getQuietHoursEnd(quietHours, date, timeZone) {
+    const minute = getMinuteOfDay(date, timeZone);
+    const period = quietHours.find(item => isInPeriod(minute, item));
+    if (!period) return null;
+
+    const minutesLeft = (period.end - minute + DAY_MINUTES) % DAY_MINUTES;
+    return new Date(Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS + minutesLeft * MINUTE_MS);
+}
+
+// Плановая синхронизация аккаунта:
+//   schedule    - cron-выражение (см. cron.js); без него - интервал interval
+//   adaptive    - в режиме интервала: после синхронизации с новыми или измененными событиями
+//                 интервал уменьшается вдвое (до minInterval), без изменений или с ошибкой - растет в 1.5 раза (до maxInterval)
+//   quietHours  - периоды без плановых синхронизаций ("23:00-07:00"), запуск переносится на их конец
+// Следующий запуск планируется только после завершения текущего, поэтому плановые синхронизации не накладываются.
+// runSync возвращает запись журнала синхронизации (см. createSyncRun)
+export class SyncScheduler {
+    constructor(runSync, {
+        schedule = null,
+        interval = CONFIG.COLLECTION_INTERVAL,
+        minInterval = CONFIG.SYNC_MIN_INTERVAL,
+        maxInterval = CONFIG.SYNC_MAX_INTERVAL,
+        adaptive = CONFIG.SYNC_ADAPTIVE,
+        quietHours = null,
+        timeZone = CONFIG.TIMEZONE,
+        name = 'default'
+    } = {}) {
+        this.runSync = runSync;
+        this.cron = schedule ? parseCron(schedule) : null;
+        this.quietHoursText = quietHours || null;
+        this.quietHours = parseQuietHours(quietHours);
+        this.timeZone = timeZone;
+        this.baseInterval = interval;
+        this.interval = interval;
+        this.minInterval = Math.min(minInterval, interval);
+        this.maxInterval = Math.max(maxInterval, interval);
+        this.adaptive = adaptive && !this.cron;
+        this.timer = null;
+        this.nextRunAt = null;
+        this.stopped = true;
+        this.logger = new Logger(`SyncScheduler:${name}`);
+    }
+
+    start() {
+        this.stopped = false;
+        this.scheduleNext();
+
+        const mode = this.cron ? `cron "${this.cron.expression}"` : `interval ${this.interval}ms${this.adaptive ? ', adaptive' : ''}`;
+        const quiet = this.quietHoursText ? `, quiet hours ${this.quietHoursText}` : '';
+        this.logger.info(`Periodic collection set up (${mode}${quiet}, time zone ${this.timeZone})`);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.nextRunAt = null;
+    }
+
+    // Следующий плановый запуск после now с учетом тихих часов (null - по расписанию запусков больше нет)
+    getNextRunTime(now = new Date()) {
+        let next = this.cron ? getNextCronTime(this.cron, now, this.timeZone) : new Date(now.getTime() + this.interval);
+
+        // Несколько периодов тихих часов могут идти подряд
+        for (let i = 0; next && i <= this.quietHours.length; i++) {
+            const quietEnd = getQuietHoursEnd(this.quietHours, next, this.timeZone);
+            if (!quietEnd) break;
+            next = this.cron ? getNextCronTime(this.cron, new Date(quietEnd.getTime() - MINUTE_MS), this.timeZone) : quietEnd;
+        }
+
+        return next;
+    }
+
+    scheduleNext() {
+        this.nextRunAt = this.getNextRunTime();
+        if (!this.nextRunAt) {
+            this.logger.warn(`Schedule "${this.cron.expression}" has no runs within a year, periodic collection stopped`);
+            return;
+        }
+        this.arm();
+    }
+
+    arm() {
+        const delay = Math.max(0, this.nextRunAt.getTime() - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (Date.now() < this.nextRunAt.getTime()) {
+                this.arm();
+                return;
+            }
+            this.tick();
+        }, Math.min(delay, MAX_TIMEOUT_MS));
+    }
+
+    async tick() {
+        let run = null;
+        try {
+            this.logger.info('Starting periodic data collection...');
+            run = await this.runSync();
+        } catch (error) {
+            this.logger.error('Periodic collection failed:', error.message);
+        }
+
+        this.adapt(run);
+        if (!this.stopped) {
+            this.scheduleNext();
+        }
+    }
+
+    adapt(run) {
+        if (!this.adaptive) return;
+
+        const previous = this.interval;
+        const changed = run && run.status === 'success' && run.eventsAdded + run.eventsUpdated > 0;
+        this.interval = changed
+            ? Math.max(this.minInterval, Math.round(this.interval / 2))
+            : Math.min(this.maxInterval, Math.round(this.interval * 1.5));
+
+        if (this.interval !== previous) {
+            this.logger.info(`Collection interval ${changed ? 'decreased' : 'increased'}: ${previous}ms → ${this.interval}ms`);
+        }
+    }
+
+    getState() {
+        return {
+            mode: this.cron ? 'cron' : 'interval',
+            schedule: this.cron ? this.cron.expression : null,
+            interval: this.cron ? null : this.interval,
+            baseInterval: this.cron ? null : this.baseInterval,
+            adaptive: this.adaptive,
+            quietHours: this.quietHoursText,
+            timeZone: this.timeZone,
+            nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null
+        };
+    }
+}
@@ -0,0 +1,240 @@
+import { CONFIG } from '../config/constants.js';
+import { parseEventFilter } from '../storage/event_filter.js';
+import { isRolledUp } from '../storage/retention.js';
+import { getZonedParts, isValidTimeZone, zonedTimeToUtc } from './time_zone.js';
+
+// Временные ряды по событиям: интервалы hour | day | week | month в заданном часовом поясе,
+// метрика на выбор, необязательная разбивка по модели, типу или участнику команды.
+// Пустые интервалы заполняются нулями, чтобы графики не "склеивали" пропуски
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_BUCKETS = 1000;
+const MAX_SERIES = 8;
+
+export const GRANULARITIES = {
+    hour: { defaultRange: 2 * DAY_MS },
+    day: { defaultRange: 30 * DAY_MS },
+    week: { defaultRange: 26 * 7 * DAY_MS },
+    month: { defaultRange: 365 * DAY_MS }
+};
+
+// Метрика -> значение события. getChargedCost передается хранилищем
+export const METRICS = {
+    events: () => 1,
+    tokens: event => event.tokens || 0,
+    inputTokens: event => event.tokenUsage?.inputTokens || 0,
+    outputTokens: event => event.tokenUsage?.outputTokens || 0,
+    cacheReadTokens: event => event.tokenUsage?.cacheReadTokens || 0,
+    cacheWriteTokens: event => event.tokenUsage?.cacheWriteTokens || 0,
+    cost: event => event.costInfo?.originalCost || event.cost || 0,
+    chargedCost: (event, getChargedCost) => getChargedCost(event),
+    credits: event => event.credits || 0
+};
+
+// Метрика -> значение дневного агрегата свернутых событий (storage/retention.js)
+export const ROLLUP_METRICS = {
+    events: row => row.count,
+    tokens: row => row.tokens,
+    inputTokens: row => row.inputTokens,
+    outputTokens: row => row.outputTokens,
+    cacheReadTokens: row => row.cacheReadTokens,
+    cacheWriteTokens: row => row.cacheWriteTokens,
+    cost: row => row.cost,
+    chargedCost: row => row.chargedCost,
+    credits: row => row.credits
+};
+
+export const SPLITS = {
+    model: event => event.model || 'unknown',
+    kind: event => event.kind || 'unknown',
+    user: event => event.user || 'unknown'
+};
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatDate(year, month, day) {
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Ключ интервала по местной календарной дате (и часу)
+function getBucketKey(parts, granularity) {
+    switch (granularity) {
+        case 'hour':
+            return `${formatDate(parts.year, parts.month, parts.day)}T${pad(parts.hour)}:00`;
+        case 'day':
+            return formatDate(parts.year, parts.month, parts.day);
+        case 'week': {
+            // Неделя начинается с понедельника (ISO)
+            const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+            date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+            return date.toISOString().split('T')[0];
+        }
+        case 'month':
+            return `${parts.year}-${pad(parts.month)}`;
+        default:
+            throw new Error(`Unknown granularity: ${granularity}`);
+    }
+}
+
+// Все ключи интервалов между from и to по порядку
+export function listBucketKeys(from, to, granularity, timeZone) {
+    const keys = new Set();
+
+    if (granularity === 'hour') {
+        // Шаг по реальному времени: при переводе часов местный час может повториться или пропасть
+        for (let time = from.getTime(); time <= to.getTime(); time += HOUR_MS) {
+            keys.add(getBucketKey(getZonedParts(new Date(time), timeZone), granularity));
+            if (keys.size > MAX_BUCKETS) break;
+        }
+        keys.add(getBucketKey(getZonedParts(to, timeZone), granularity));
+    } else {
+        // Шаг по местным календарным дням
+        const start = getZonedParts(from, timeZone);
+        const end = getZonedParts(to, timeZone);
+        const endDay = Date.UTC(end.year, end.month - 1, end.day);
+
+        for (let day = Date.UTC(start.year, start.month - 1, start.day); day <= endDay; day += DAY_MS) {
+            const date = new Date(day);
+            keys.add(getBucketKey({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate()
+            }, granularity));
+            if (keys.size > MAX_BUCKETS) break;
+        }
+    }
+
+    if (keys.size > MAX_BUCKETS) {
+        throw badRequest(`Too many ${granularity} buckets in the range (max ${MAX_BUCKETS}), use a coarser granularity`);
+    }
+
+    return [...keys];
+}
+
+// Дата без времени в from/to означает начало (конец) местного дня в выбранном поясе
+function parseRangeDate(value, timeZone, endOfDay) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = endOfDay
+        ? new Date(zonedTimeToUtc(year, month, day + 1, 0, timeZone).getTime() - 1)
+        : zonedTimeToUtc(year, month, day, 0, timeZone);
+    if (isNaN(date.getTime())) {
+        throw badRequest(`Invalid ${endOfDay ? 'to' : 'from'} date: ${value}`);
+    }
+    return date;
+}
+
+export function parseTimeSeriesQuery(query = {}) {
+    const granularity = query.granularity || 'day';
+    if (!GRANULARITIES[granularity]) {
+        throw badRequest(`Invalid granularity: ${granularity} (expected ${Object.keys(GRANULARITIES).join(', ')})`);
+    }
+
+    const metric = query.metric || 'cost';
+    if (!METRICS[metric]) {
+        throw badRequest(`Invalid metric: ${metric} (expected ${Object.keys(METRICS).join(', ')})`);
+    }
+
+    const split = query.split || null;
+    if (split && !SPLITS[split]) {
+        throw badRequest(`Invalid split: ${split} (expected ${Object.keys(SPLITS).join(', ')})`);
+    }
+
+    const timeZone = query.tz || CONFIG.TIMEZONE;
+    if (!isValidTimeZone(timeZone)) {
+        throw badRequest(`Invalid time zone: ${timeZone}`);
+    }
+
+    const filter = parseEventFilter(query);
+    filter.to = parseRangeDate(query.to, timeZone, true) || filter.to || new Date();
+    filter.from = parseRangeDate(query.from, timeZone, false) || filter.from
+        || new Date(filter.to.getTime() - GRANULARITIES[granularity].defaultRange);
+
+    if (filter.from > filter.to) {
+        throw badRequest('from must be before to');
+    }
+
+    // Интервалы считаются заранее: слишком длинный диапазон - ошибка запроса, а не сервера
+    const buckets = listBucketKeys(filter.from, filter.to, granularity, timeZone);
+
+    return { granularity, metric, split, timeZone, filter, buckets };
+}
+
+// Строит ряд по событиям (асинхронный итератор из хранилища).
+// rollups - дневные агрегаты свернутых событий { rows, state } (storage/retention.js): события свернутого
+// периода берутся из них. Агрегат - день UTC, он попадает в интервал с той же календарной датой;
+// в почасовых рядах агрегатов нет
+export async function buildTimeSeries(events, query, getChargedCost, rollups = null) {
+    const { granularity, metric, split, timeZone, filter, buckets } = query;
+    const bucketIndex = new Map(buckets.map((key, index) => [key, index]));
+    const getValue = METRICS[metric];
+    const getSeriesName = split ? SPLITS[split] : () => 'total';
+
+    const series = new Map();
+    const add = (name, index, value) => {
+        if (!series.has(name)) {
+            series.set(name, new Array(buckets.length).fill(0));
+        }
+        series.get(name)[index] += value;
+    };
+
+    for await (const event of events) {
+        if (rollups && isRolledUp(event, rollups.state)) continue;
+
+        const index = bucketIndex.get(getBucketKey(getZonedParts(new Date(event.date), timeZone), granularity));
+        if (index === undefined) continue;
+        add(getSeriesName(event), index, getValue(event, getChargedCost));
+    }
+
+    if (rollups && granularity !== 'hour') {
+        for (const row of rollups.rows) {
+            const [year, month, day] = row.date.split('-').map(Number);
+            const index = bucketIndex.get(getBucketKey({ year, month, day }, granularity));
+            if (index === undefined) continue;
+            add(getSeriesName(row), index, ROLLUP_METRICS[metric](row));
+        }
+    }
+
+    let seriesList = [...series.entries()]
+        .map(([name, values]) => ({ name, values, total: values.reduce((sum, value) => sum + value, 0) }))
+        .sort((a, b) => b.total - a.total);
+
+    // Мелкие серии сворачиваются в other, чтобы график оставался читаемым
+    if (seriesList.length > MAX_SERIES) {
+        const rest = seriesList.slice(MAX_SERIES - 1);
+        seriesList = seriesList.slice(0, MAX_SERIES - 1);
+        seriesList.push({
+            name: 'other',
+            values: buckets.map((_, index) => rest.reduce((sum, item) => sum + item.values[index], 0)),
+            total: rest.reduce((sum, item) => sum + item.total, 0)
+        });
+    }
+
+    if (seriesList.length === 0) {
+        seriesList.push({ name: split ? 'none' : 'total', values: new Array(buckets.length).fill(0), total: 0 });
+    }
+
+    return {
+        granularity,
+        metric,
+        split,
+        timeZone,
+        from: filter.from.toISOString(),
+        to: filter.to.toISOString(),
+        buckets,
+        series: seriesList,
+        total: seriesList.reduce((sum, item) => sum + item.total, 0),
+        rolledUpUntil: rollups?.state?.rolledUpUntil || null
+    };
+}
@@ -0,0 +1,57 @@
+// Календарные части даты в часовом поясе IANA без сторонних библиотек (через Intl)
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// { year, month (1-12), day, hour, minute, second } момента date в поясе timeZone
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value);
+        }
+    }
+    return parts;
+}
+
+// Смещение пояса относительно UTC в момент date, мс
+function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Момент, соответствующий местному времени в поясе timeZone.
+// Смещение проверяется второй раз, чтобы учесть переход на летнее время между догадкой и результатом
+export function zonedTimeToUtc(year, month, day, hour, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    const result = guess - offset;
+    const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+
+    return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+}
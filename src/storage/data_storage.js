@@ -1,18 +1,27 @@
 import fs from 'fs/promises';
-import path from 'path';
-import { CONFIG, PATHS } from '../config/constants.js';
+import { createReadStream } from 'fs';
+import readline from 'readline';
+import { CONFIG, getDataPaths } from '../config/constants.js';
 import { Logger } from '../utils/logger.js';
-
-export class DataStorage {
-    constructor() {
+import { StorageBackend } from './storage_backend.js';
+import { matchesRollupFilter } from './retention.js';
+import { detachRawData } from './event_record.js';
+
+// Хранилище в JSON-файлах (usage_data.json, stats.json, user_info.json, rollups.json) в каталоге dataDir.
+// Исходные ответы API при RAW_DATA_MODE=separate - в raw_data.ndjson: строки { id, rawData } дописываются
+// при слиянии (действует последняя строка события) и переписываются при полной замене событий
+export class DataStorage extends StorageBackend {
+    constructor(dataDir = CONFIG.OUTPUT_DIR) {
+        super();
+        this.paths = getDataPaths(dataDir);
         this.logger = new Logger('DataStorage');
     }
 
     async initialize() {
         try {
             // Создаем директорию для данных если её нет
-            await fs.mkdir(PATHS.DATA_DIR, { recursive: true });
-            this.logger.info(`Data directory initialized: ${PATHS.DATA_DIR}`);
+            await fs.mkdir(this.paths.DATA_DIR, { recursive: true });
+            this.logger.info(`Data directory initialized: ${this.paths.DATA_DIR}`);
         } catch (error) {
             this.logger.error('Failed to initialize data directory:', error);
             throw error;
@@ -23,14 +32,19 @@ export class DataStorage {
         try {
             this.logger.info(`Saving ${data.length} usage events (incremental: ${isIncremental})...`);
 
+            const { events, payloads } = detachRawData(data, CONFIG.RAW_DATA_MODE);
+            await this.writeRawData(payloads, isIncremental ? null : events);
+
             let existingData = null;
             if (isIncremental) {
                 existingData = await this.loadUsageData();
             }
 
-            // Определяем lastSyncDate
+            // Определяем lastSyncDate (переданная явно - сохраняется как есть)
             let syncDate;
-            if (isIncremental) {
+            if (lastSyncDate) {
+                syncDate = lastSyncDate;
+            } else if (isIncremental) {
                 // При инкрементальной синхронизации обновляем на текущее время
                 syncDate = Date.now().toString();
             } else {
@@ -49,23 +63,23 @@ export class DataStorage {
             const dataWithMeta = {
                 timestamp: new Date().toISOString(),
                 lastSyncDate: syncDate,
-                totalEvents: data.length,
+                totalEvents: events.length,
                 syncMetadata: {
                     lastSuccessfulSync: new Date().toISOString(),
                     adaptivePageSize: existingData?.syncMetadata?.adaptivePageSize || 500,
                     syncStrategy: isIncremental ? 'incremental' : 'full'
                 },
-                events: data
+                events
             };
 
             // Сохраняем данные
             await fs.writeFile(
-                PATHS.USAGE_DATA_FILE,
+                this.paths.USAGE_DATA_FILE,
                 JSON.stringify(dataWithMeta, null, 2),
                 'utf8'
             );
 
-            this.logger.info(`Usage data saved to: ${PATHS.USAGE_DATA_FILE}`);
+            this.logger.info(`Usage data saved to: ${this.paths.USAGE_DATA_FILE}`);
 
             // Обновляем статистику
             await this.updateStats(dataWithMeta.events);
@@ -78,7 +92,7 @@ export class DataStorage {
 
     async loadUsageData() {
         try {
-            const data = await fs.readFile(PATHS.USAGE_DATA_FILE, 'utf8');
+            const data = await fs.readFile(this.paths.USAGE_DATA_FILE, 'utf8');
             return JSON.parse(data);
         } catch (error) {
             if (error.code === 'ENOENT') {
@@ -90,180 +104,181 @@ export class DataStorage {
         }
     }
 
-    async updateStats(events) {
+
+    async replaceEvents(allEvents) {
         try {
-            const stats = this.calculateStats(events);
+            const data = await this.loadUsageData();
+            if (!data) {
+                await this.saveUsageData(allEvents);
+                return;
+            }
+
+            const { events, payloads } = detachRawData(allEvents, CONFIG.RAW_DATA_MODE);
+            await this.writeRawData(payloads, events);
+
+            data.timestamp = new Date().toISOString();
+            data.totalEvents = events.length;
+            data.events = events;
 
             await fs.writeFile(
-                PATHS.STATS_FILE,
-                JSON.stringify(stats, null, 2),
+                this.paths.USAGE_DATA_FILE,
+                JSON.stringify(data, null, 2),
                 'utf8'
             );
 
-            this.logger.info('Statistics updated');
-
+            this.logger.info(`Replaced events in: ${this.paths.USAGE_DATA_FILE}`);
+            await this.updateStats(events);
         } catch (error) {
-            this.logger.error('Failed to update stats:', error);
+            this.logger.error('Failed to replace events:', error);
+            throw error;
         }
     }
 
-    calculateStats(data) {
-        const stats = {
-            timestamp: new Date().toISOString(),
-            totalEvents: data.length,
-            totalTokens: 0,
-            totalCost: 0,
-            estimatedCost: 0,
-            totalMaxMode: 0,
-            byModel: {},
-            byKind: {},
-            byDate: {},
-            recentEvents: []
-        };
-
-        // Обрабатываем каждое событие
-        data.forEach(event => {
-            // Общие счетчики
-            stats.totalTokens += event.tokens || 0;
-
-            // Проверяем maxMode в разных местах (приоритет у rawData)
-            let maxMode = false;
-            if (event.rawData && event.rawData.maxMode !== undefined) {
-                maxMode = event.rawData.maxMode;
-            } else if (event.maxMode !== undefined) {
-                maxMode = event.maxMode;
-            }
+    // payloads дописываются; с events - файл переписывается, и в нем остаются только ответы этих событий
+    async writeRawData(payloads, events = null) {
+        if (!events) {
+            if (payloads.length === 0) return;
+            await fs.appendFile(this.paths.RAW_DATA_FILE, payloads.map(payload => JSON.stringify(payload) + '\n').join(''), 'utf8');
+            return;
+        }
 
-            if (maxMode) {
-                stats.totalMaxMode++;
-            }
+        const keepIds = new Set(events.map(event => event.id));
+        const kept = await this.loadRawData(keepIds);
+        payloads.forEach(payload => kept.set(payload.id, payload.rawData));
+        if (kept.size === 0 && !(await fs.access(this.paths.RAW_DATA_FILE).then(() => true).catch(() => false))) return;
 
-            // Используем правильную стоимость из costInfo
-            let eventCost = 0;
-            if (event.costInfo && event.costInfo.originalCost) {
-                eventCost = event.costInfo.originalCost;
-            } else {
-                eventCost = event.cost || 0;
-            }
+        const content = [...kept].map(([id, rawData]) => JSON.stringify({ id, rawData }) + '\n').join('');
+        await fs.writeFile(`${this.paths.RAW_DATA_FILE}.tmp`, content, 'utf8');
+        await fs.rename(`${this.paths.RAW_DATA_FILE}.tmp`, this.paths.RAW_DATA_FILE);
+    }
 
-            // Добавляем к общей стоимости только если событие было оплачено
-            if (event.kind !== 'errored_not_charged' && event.kind !== 'USAGE_EVENT_KIND_ERRORED_NOT_CHARGED') {
-                stats.totalCost += eventCost;
-            }
+    // Файл читается построчно: он сопоставим по размеру с usage_data.json и нужен только по запросу
+    async loadRawData(ids = null) {
+        const wanted = ids ? new Set(ids) : null;
+        const payloads = new Map();
+        if (wanted && wanted.size === 0) return payloads;
 
-            // Estimated Cost включает все события (включая errored)
-            stats.estimatedCost += eventCost;
-
-            // По моделям
-            const model = event.model || 'unknown';
-            if (!stats.byModel[model]) {
-                stats.byModel[model] = {
-                    count: 0,
-                    tokens: 0,
-                    cost: 0,
-                    credits: 0,
-                    inputTokens: 0,
-                    outputTokens: 0,
-                    cacheReadTokens: 0,
-                    cacheWriteTokens: 0,
-                    maxMode: 0
-                };
-            }
-            stats.byModel[model].count++;
-            stats.byModel[model].tokens += event.tokens || 0;
-            // Добавляем стоимость только если событие было оплачено
-            if (event.kind !== 'errored_not_charged' && event.kind !== 'USAGE_EVENT_KIND_ERRORED_NOT_CHARGED') {
-                stats.byModel[model].cost += eventCost;
+        try {
+            const lines = readline.createInterface({ input: createReadStream(this.paths.RAW_DATA_FILE, 'utf8'), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line) continue;
+                const payload = JSON.parse(line);
+                if (!wanted || wanted.has(payload.id)) {
+                    payloads.set(payload.id, payload.rawData);
+                }
             }
-            stats.byModel[model].credits += event.credits || 0;
-            if (maxMode) {
-                stats.byModel[model].maxMode++;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to load raw data:', error);
+                throw error;
             }
+        }
+        return payloads;
+    }
 
-            // Детальные токены
-            if (event.tokenUsage) {
-                stats.byModel[model].inputTokens += event.tokenUsage.inputTokens || 0;
-                stats.byModel[model].outputTokens += event.tokenUsage.outputTokens || 0;
-                stats.byModel[model].cacheReadTokens += event.tokenUsage.cacheReadTokens || 0;
-                stats.byModel[model].cacheWriteTokens += event.tokenUsage.cacheWriteTokens || 0;
-            }
+    async deleteEventsBefore(time) {
+        const data = await this.loadUsageData();
+        const events = data?.events || [];
+        const kept = events.filter(event => !(new Date(event.date).getTime() < time));
 
-            // По типам
-            const kind = event.kind || 'unknown';
-            if (!stats.byKind[kind]) {
-                stats.byKind[kind] = {
-                    count: 0,
-                    tokens: 0,
-                    cost: 0,
-                    credits: 0,
-                    inputTokens: 0,
-                    outputTokens: 0,
-                    cacheReadTokens: 0,
-                    cacheWriteTokens: 0,
-                    maxMode: 0
-                };
-            }
-            stats.byKind[kind].count++;
-            stats.byKind[kind].tokens += event.tokens || 0;
-            // Всегда добавляем стоимость для отображения по типам
-            stats.byKind[kind].cost += eventCost;
-            stats.byKind[kind].credits += event.credits || 0;
-            if (maxMode) {
-                stats.byKind[kind].maxMode++;
-            }
+        if (kept.length < events.length) {
+            await this.replaceEvents(kept);
+        } else {
+            await this.updateStats(events);
+        }
+        return events.length - kept.length;
+    }
 
-            // Детальные токены
-            if (event.tokenUsage) {
-                stats.byKind[kind].inputTokens += event.tokenUsage.inputTokens || 0;
-                stats.byKind[kind].outputTokens += event.tokenUsage.outputTokens || 0;
-                stats.byKind[kind].cacheReadTokens += event.tokenUsage.cacheReadTokens || 0;
-                stats.byKind[kind].cacheWriteTokens += event.tokenUsage.cacheWriteTokens || 0;
+    async loadAnalyticsData() {
+        try {
+            return JSON.parse(await fs.readFile(this.paths.ANALYTICS_FILE, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
             }
+            this.logger.error('Failed to load analytics:', error);
+            throw error;
+        }
+    }
 
-            // По датам
-            const date = new Date(event.date).toISOString().split('T')[0];
-            if (!stats.byDate[date]) {
-                stats.byDate[date] = { count: 0, tokens: 0, cost: 0 };
+    async saveAnalytics(days, lastSyncDate) {
+        try {
+            const existing = await this.loadAnalyticsData();
+
+            // Дни из нового ответа заменяют сохраненные (метрики текущего дня растут)
+            const byKey = new Map((existing?.days || []).map(day => [this.getAnalyticsKey(day), day]));
+            days.forEach(day => byKey.set(this.getAnalyticsKey(day), day));
+
+            const data = {
+                timestamp: new Date().toISOString(),
+                lastSyncDate,
+                days: [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date))
+            };
+
+            await fs.writeFile(this.paths.ANALYTICS_FILE, JSON.stringify(data, null, 2), 'utf8');
+            this.logger.info(`Saved ${days.length} analytics days to: ${this.paths.ANALYTICS_FILE}`);
+        } catch (error) {
+            this.logger.error('Failed to save analytics:', error);
+            throw error;
+        }
+    }
+
+    async loadAnalytics(filter = {}) {
+        const data = await this.loadAnalyticsData();
+        return (data?.days || []).filter(day => this.matchesAnalyticsFilter(day, filter));
+    }
+
+    async getAnalyticsSyncMetadata() {
+        const data = await this.loadAnalyticsData();
+        return data ? { lastSyncDate: data.lastSyncDate, timestamp: data.timestamp } : null;
+    }
+
+    // rollups.json: { rolledUpFrom, rolledUpUntil, days, lastRunAt, rows }
+    async loadRollupData() {
+        try {
+            return JSON.parse(await fs.readFile(this.paths.ROLLUPS_FILE, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
             }
-            stats.byDate[date].count++;
-            stats.byDate[date].tokens += event.tokens || 0;
-            stats.byDate[date].cost += eventCost;
-        });
-
-        // Сортируем по дате и берем последние 10 событий
-        stats.recentEvents = data
-            .sort((a, b) => new Date(b.date) - new Date(a.date))
-            .slice(0, 10)
-            .map(event => {
-                // Определяем maxMode с правильным приоритетом (как в основном цикле)
-                let maxMode = false;
-                if (event.rawData && event.rawData.maxMode !== undefined) {
-                    maxMode = event.rawData.maxMode;
-                } else if (event.maxMode !== undefined) {
-                    maxMode = event.maxMode;
-                }
+            this.logger.error('Failed to load rollups:', error);
+            throw error;
+        }
+    }
+
+    async loadRollups(filter = {}) {
+        const data = await this.loadRollupData();
+        return (data?.rows || []).filter(row => matchesRollupFilter(row, filter));
+    }
 
-                return {
-                    id: event.id,
-                    date: event.date,
-                    model: event.model,
-                    kind: event.kind,
-                    kindDisplay: event.kindDisplay,
-                    tokens: event.tokens,
-                    cost: event.cost,
-                    tokenUsage: event.tokenUsage,
-                    costInfo: event.costInfo,
-                    credits: event.credits,
-                    maxMode: maxMode
-                };
-            });
-
-        return stats;
+    async saveRollups(rows, state) {
+        await fs.writeFile(
+            this.paths.ROLLUPS_FILE,
+            JSON.stringify({ ...state, updatedAt: new Date().toISOString(), rows }, null, 2),
+            'utf8'
+        );
+        this.logger.info(`Saved ${rows.length} rollup rows to: ${this.paths.ROLLUPS_FILE}`);
+    }
+
+    async getRetentionState() {
+        const data = await this.loadRollupData();
+        if (!data) return null;
+
+        const { rows, ...state } = data;
+        return state;
+    }
+
+    async saveStats(stats) {
+        await fs.writeFile(
+            this.paths.STATS_FILE,
+            JSON.stringify(stats, null, 2),
+            'utf8'
+        );
     }
 
     async loadStats() {
         try {
-            const data = await fs.readFile(PATHS.STATS_FILE, 'utf8');
+            const data = await fs.readFile(this.paths.STATS_FILE, 'utf8');
             const stats = JSON.parse(data);
             return stats;
         } catch (error) {
@@ -276,79 +291,49 @@ export class DataStorage {
         }
     }
 
-    async mergeUsageData(newData, isIncremental = false) {
+    async mergeUsageData(newData, isIncremental = false, { lastSyncDate = null } = {}) {
         try {
             // Загружаем существующие данные
             const existingData = await this.loadUsageData();
 
             if (!existingData || !isIncremental) {
-                // Если нет существующих данных или полная синхронизация, сохраняем новые
-                await this.saveUsageData(newData, isIncremental);
-                return;
+                // Если нет существующих данных или полная синхронизация, сохраняем новые.
+                // Полная синхронизация заменяет все события: новые и изменившиеся - по сравнению с сохраненными
+                const existingEvents = existingData ? existingData.events : [];
+                const { added, updated } = this.diffEvents(existingEvents, existingEvents, newData);
+                await this.saveUsageData(newData, isIncremental, lastSyncDate);
+                return { added, updated: updated.map(([, updatedEvent]) => updatedEvent) };
             }
 
             // Получаем активные события для проверки обновлений
             const activeEvents = this.getActiveEvents(existingData.events);
-            // this.logger.info(`Checking ${activeEvents.length} active events for updates`);
-
-            // Создаем Map новых событий для быстрого поиска
-            const newEventsMap = new Map(newData.map(event => [event.id, event]));
-
-            let newEvents = [];
-            let updatedEvents = 0;
+            const { added, updated } = this.diffEvents(existingData.events, activeEvents, newData);
 
-            // 1. Проверяем активные события на предмет обновлений
-            for (const activeEvent of activeEvents) {
-                // Ищем событие по timestamp (первая часть ID до подчеркивания)
-                const activeTimestamp = activeEvent.id.split('_')[0];
-                const updatedEvent = Array.from(newEventsMap.values()).find(event =>
-                    event.id && event.id.startsWith(activeTimestamp)
-                );
-
-                if (updatedEvent) {
-                    // Событие есть в новых данных - проверяем обновления
-                    // this.logger.info(`Checking active event ${activeEvent.id} for updates...`);
-                    if (this.isEventUpdated(activeEvent, updatedEvent)) {
-                        this.logger.info(`Event ${activeEvent.id} updated: credits ${activeEvent.credits} → ${updatedEvent.credits}`);
-                        updatedEvents++;
-                        // Заменяем старое событие новым
-                        const eventIndex = existingData.events.findIndex(e => e.id === activeEvent.id);
-                        if (eventIndex !== -1) {
-                            existingData.events[eventIndex] = updatedEvent;
-                        }
-                    } else {
-                        // this.logger.info(`Event ${activeEvent.id} unchanged`);
-                    }
-                }
+            if (added.length === 0 && updated.length === 0) {
+                this.logger.info('No new or updated events to merge');
+                return { added: [], updated: [] };
             }
 
-            // 2. Добавляем новые события (которых нет в существующих данных)
-            const existingIds = new Set(existingData.events.map(event => event.id));
-            const existingTimestamps = new Set(existingData.events.map(event => event.id.split('_')[0]));
+            this.logger.info(`Merging ${added.length} new events and ${updated.length} updated events`);
 
-            for (const newEvent of newData) {
-                const newTimestamp = newEvent.id.split('_')[0];
-                // Проверяем, что события нет ни по полному ID, ни по timestamp
-                if (!existingIds.has(newEvent.id) && !existingTimestamps.has(newTimestamp)) {
-                    newEvents.push(newEvent);
+            // Заменяем обновленные события новыми версиями
+            for (const [activeEvent, updatedEvent] of updated) {
+                const eventIndex = existingData.events.findIndex(e => e.id === activeEvent.id);
+                if (eventIndex !== -1) {
+                    existingData.events[eventIndex] = updatedEvent;
                 }
             }
 
-            if (newEvents.length === 0 && updatedEvents === 0) {
-                this.logger.info('No new or updated events to merge');
-                return;
-            }
-
-            this.logger.info(`Merging ${newEvents.length} new events and ${updatedEvents} updated events`);
-
             // Объединяем данные: новые события в начале (самые свежие сверху)
-            const mergedEvents = [...newEvents, ...existingData.events];
+            const mergedEvents = [...added, ...existingData.events];
 
             // Сортируем по дате (новые сверху)
             mergedEvents.sort((a, b) => new Date(b.date) - new Date(a.date));
 
             // Сохраняем объединенные данные
-            await this.saveUsageData(mergedEvents, true, existingData.lastSyncDate);
+            await this.saveUsageData(mergedEvents, true, lastSyncDate);
+
+            return { added, updated: updated.map(([, updatedEvent]) => updatedEvent) };
 
         } catch (error) {
             this.logger.error('Failed to merge usage data:', error);
@@ -356,20 +341,11 @@ export class DataStorage {
         }
     }
 
-    async appendUsageData(newData) {
-        // Перенаправляем на новый метод mergeUsageData
-        await this.mergeUsageData(newData, false);
-    }
-
     async getSyncMetadata() {
         try {
             const data = await this.loadUsageData();
             if (!data) {
-                return {
-                    lastSyncDate: null,
-                    adaptivePageSize: 500,
-                    syncStrategy: 'full'
-                };
+                return this.getDefaultSyncMetadata();
             }
 
             return {
@@ -380,11 +356,7 @@ export class DataStorage {
             };
         } catch (error) {
             this.logger.error('Failed to get sync metadata:', error);
-            return {
-                lastSyncDate: null,
-                adaptivePageSize: 500,
-                syncStrategy: 'full'
-            };
+            return this.getDefaultSyncMetadata();
         }
     }
 
@@ -393,26 +365,17 @@ export class DataStorage {
             const data = await this.loadUsageData();
             if (!data || !data.syncMetadata) return;
 
-            // Адаптивная логика: если ответ быстрый - увеличиваем, если медленный - уменьшаем
             const currentPageSize = data.syncMetadata.adaptivePageSize || 500;
-            let newPageSize = currentPageSize;
-
-            if (responseTime < 1000 && eventsCount === currentPageSize) {
-                // Быстрый ответ и полная страница - увеличиваем
-                newPageSize = Math.min(currentPageSize * 1.5, 1000);
-            } else if (responseTime > 3000) {
-                // Медленный ответ - уменьшаем
-                newPageSize = Math.max(currentPageSize * 0.7, 100);
-            }
+            const newPageSize = this.calculateAdaptivePageSize(currentPageSize, responseTime, eventsCount);
 
             if (newPageSize !== currentPageSize) {
-                data.syncMetadata.adaptivePageSize = Math.round(newPageSize);
+                data.syncMetadata.adaptivePageSize = newPageSize;
                 await fs.writeFile(
-                    PATHS.USAGE_DATA_FILE,
+                    this.paths.USAGE_DATA_FILE,
                     JSON.stringify(data, null, 2),
                     'utf8'
                 );
-                this.logger.info(`Updated adaptive page size: ${currentPageSize} → ${Math.round(newPageSize)}`);
+                this.logger.info(`Updated adaptive page size: ${currentPageSize} → ${newPageSize}`);
             }
         } catch (error) {
             this.logger.error('Failed to update adaptive page size:', error);
@@ -426,7 +389,7 @@ export class DataStorage {
                 return;
             }
 
-            const userInfoPath = path.join(PATHS.DATA_DIR, 'user_info.json');
+            const userInfoPath = this.paths.USER_INFO_FILE;
             const userInfoData = {
                 timestamp: new Date().toISOString(),
                 ...userInfo
@@ -445,7 +408,7 @@ export class DataStorage {
 
     async loadUserInfo() {
         try {
-            const userInfoPath = path.join(PATHS.DATA_DIR, 'user_info.json');
+            const userInfoPath = this.paths.USER_INFO_FILE;
             if (await fs.access(userInfoPath).then(() => true).catch(() => false)) {
                 const data = await fs.readFile(userInfoPath, 'utf8');
                 return JSON.parse(data);
@@ -456,119 +419,4 @@ export class DataStorage {
             return null;
         }
     }
-
-    getActiveEvents(events) {
-        if (!events || events.length === 0) return [];
-
-        const now = Date.now();
-        const checkHours = CONFIG.ACTIVE_EVENTS_CHECK_HOURS;
-        const checkMs = checkHours * 60 * 60 * 1000;
-        const cutoffTime = now - checkMs;
-
-        // this.logger.info(`Filtering events: now=${now}, cutoffTime=${cutoffTime}, checkHours=${checkHours}`);
-        // this.logger.info(`Cutoff time as date: ${new Date(cutoffTime).toISOString()}`);
-
-        // Фильтруем события по времени
-        const timeFilteredEvents = events.filter(event => {
-            try {
-                const eventTime = new Date(event.date).getTime();
-                const isRecent = eventTime >= cutoffTime;
-                // if (!isRecent) {
-                //     this.logger.debug(`Event ${event.id} too old: ${event.date} (${eventTime}) < ${cutoffTime}`);
-                // } else {
-                //     this.logger.debug(`Event ${event.id} is recent: ${event.date} (${eventTime}) >= ${cutoffTime}`);
-                // }
-                return isRecent;
-            } catch (error) {
-                this.logger.error(`Failed to parse event date: ${event.date}`, error);
-                return false;
-            }
-        });
-
-        // this.logger.info(`Time filtered events: ${timeFilteredEvents.length} out of ${events.length}`);
-
-        // Берем последние N событий (что больше)
-        const maxCount = CONFIG.ACTIVE_EVENTS_MAX_COUNT;
-        const activeEvents = timeFilteredEvents.length > maxCount
-            ? timeFilteredEvents.slice(0, maxCount)
-            : timeFilteredEvents;
-
-        // this.logger.info(`Active events: ${activeEvents.length} (maxCount=${maxCount})`);
-
-        return activeEvents;
-    }
-
-    isEventUpdated(existingEvent, newEvent) {
-        // Проверяем, что это одно и то же событие по timestamp
-        const existingTimestamp = existingEvent.id.split('_')[0];
-        const newTimestamp = newEvent.id.split('_')[0];
-        if (existingTimestamp !== newTimestamp) return false;
-
-        // Сравниваем ключевые поля
-        const fieldsToCompare = [
-            'credits',
-            'tokens',
-            'cost',
-            'kind',
-            'model'
-        ];
-
-        for (const field of fieldsToCompare) {
-            if (existingEvent[field] !== newEvent[field]) {
-                this.logger.info(`Field ${field} changed: ${existingEvent[field]} → ${newEvent[field]}`);
-                return true;
-            }
-        }
-
-        // Дополнительное логирование для отладки (отключено)
-        // this.logger.debug(`Comparing events: existing=${existingEvent.id}, new=${newEvent.id}`);
-        // this.logger.debug(`Existing credits: ${existingEvent.credits}, new credits: ${newEvent.credits}`);
-        // this.logger.debug(`Existing tokens: ${existingEvent.tokens}, new tokens: ${newEvent.tokens}`);
-
-        // Проверяем tokenUsage
-        if (existingEvent.tokenUsage && newEvent.tokenUsage) {
-            const tokenFields = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
-            for (const field of tokenFields) {
-                if (existingEvent.tokenUsage[field] !== newEvent.tokenUsage[field]) {
-                    this.logger.info(`Token field ${field} changed: ${existingEvent.tokenUsage[field]} → ${newEvent.tokenUsage[field]}`);
-                    return true;
-                }
-            }
-        }
-
-        // Проверяем costInfo
-        if (existingEvent.costInfo && newEvent.costInfo) {
-            const costFields = ['originalCost', 'discountedCost', 'discount'];
-            for (const field of costFields) {
-                if (existingEvent.costInfo[field] !== newEvent.costInfo[field]) {
-                    this.logger.info(`Cost field ${field} changed: ${existingEvent.costInfo[field]} → ${newEvent.costInfo[field]}`);
-                    return true;
-                }
-            }
-        }
-
-        return false;
-    }
-
-    async cleanupOldData(daysToKeep = 30) {
-        try {
-            const data = await this.loadUsageData();
-            if (!data || !data.events || data.events.length === 0) return;
-
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-            const filteredEvents = data.events.filter(event => {
-                return new Date(event.date) >= cutoffDate;
-            });
-
-            if (filteredEvents.length < data.events.length) {
-                this.logger.info(`Cleaning up ${data.events.length - filteredEvents.length} old events`);
-                await this.saveUsageData(filteredEvents);
-            }
-
-        } catch (error) {
-            this.logger.error('Failed to cleanup old data:', error);
-        }
-    }
 }
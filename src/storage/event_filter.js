@@ -0,0 +1,81 @@
+import { isMaxModeEvent } from './event_record.js';
+
+export { isMaxModeEvent };
+
+// Фильтр событий для выгрузки и запросов API.
+// Строится из query-параметров: from, to (ISO-дата или timestamp), model, kind, user (через запятую),
+// maxMode, minCost
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') return null;
+
+    const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+    if (isNaN(date.getTime())) {
+        const error = new Error(`Invalid ${name} date: ${value}`);
+        error.status = 400;
+        throw error;
+    }
+    return date;
+}
+
+function parseList(value) {
+    if (value === undefined || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function parseNumber(value, name) {
+    if (value === undefined || value === '') return null;
+
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+        const error = new Error(`Invalid ${name} value: ${value}`);
+        error.status = 400;
+        throw error;
+    }
+    return number;
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined || value === '') return null;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+
+    const error = new Error(`Invalid ${name} value: ${value} (expected true or false)`);
+    error.status = 400;
+    throw error;
+}
+
+export function parseEventFilter(query = {}) {
+    const filter = {
+        from: parseDate(query.from, 'from'),
+        to: parseDate(query.to, 'to'),
+        models: parseList(query.model),
+        kinds: parseList(query.kind),
+        users: parseList(query.user),
+        maxMode: parseBoolean(query.maxMode, 'maxMode'),
+        minCost: parseNumber(query.minCost, 'minCost')
+    };
+
+    // Дата без времени в параметре to включает весь день
+    if (filter.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        filter.to = new Date(filter.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+
+    return filter;
+}
+
+export function matchesEventFilter(event, filter = {}) {
+    const eventTime = new Date(event.date).getTime();
+
+    if (filter.from && eventTime < filter.from.getTime()) return false;
+    if (filter.to && eventTime > filter.to.getTime()) return false;
+    if (filter.models?.length > 0 && !filter.models.includes(event.model)) return false;
+    if (filter.kinds?.length > 0 && !filter.kinds.includes(event.kind)) return false;
+    if (filter.users?.length > 0 && !filter.users.includes(event.user || 'unknown')) return false;
+    if (filter.maxMode !== null && filter.maxMode !== undefined && isMaxModeEvent(event) !== filter.maxMode) return false;
+    if (filter.minCost !== null && filter.minCost !== undefined && (event.cost || 0) < filter.minCost) return false;
+
+    return true;
+}
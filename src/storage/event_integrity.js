@@ -0,0 +1,244 @@
+import { CONFIG } from '../config/constants.js';
+import { matchesEventFilter, parseEventFilter } from './event_filter.js';
+import { getSourceTimestamp } from './event_record.js';
+
+// Проверка целостности сохраненных событий (cursor-usage verify, GET /api/verify):
+//   duplicateIds        - одно событие сохранено несколько раз
+//   duplicateTimestamps - разные события в одну миллисекунду (такие события слияние сопоставляет только по ID)
+//   malformedDates      - дата не разбирается, вне диапазона или не совпадает с timestamp из API
+//   tokenMismatches     - tokens не равно сумме tokenUsage
+//   costIssues          - противоречия costInfo (включенное в план или бесплатное событие со стоимостью и т.п.)
+//   gaps                - периоды без событий дольше gapDays, с запусками из журнала синхронизаций за это время
+// windows - окна (UTC-дни и пропуски), которые стоит загрузить из API заново и сверить (verify --repair)
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Раньше 2020 года событий Cursor не бывает (та же граница, что при разборе timestamp)
+const MIN_EVENT_TIME = 1577836800000;
+// В отчете - не больше стольких примеров каждой проверки, счетчики считают все
+const MAX_LISTED_ISSUES = 100;
+const COST_EPSILON = 1e-6;
+const HISTORY_STRATEGIES = ['backfill', 'reconcile'];
+
+export const INTEGRITY_CHECKS = ['duplicateIds', 'duplicateTimestamps', 'malformedDates', 'tokenMismatches', 'costIssues'];
+
+// Время события по исходному timestamp из API (дата сохраненного события могла быть подставлена при разборе)
+export function getEventTime(event) {
+    const rawTime = getSourceTimestamp(event);
+    return rawTime > MIN_EVENT_TIME ? rawTime : new Date(event.date).getTime();
+}
+
+function getDayStart(time) {
+    return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+function checkDate(event, now) {
+    const time = new Date(event.date).getTime();
+    if (event.date === undefined || event.date === null || isNaN(time)) return 'invalid';
+    if (time < MIN_EVENT_TIME || time > now + DAY_MS) return 'out-of-range';
+
+    const rawTime = getSourceTimestamp(event);
+    if (rawTime !== null && rawTime !== time) return 'timestamp-mismatch';
+    return null;
+}
+
+function checkTokens(event) {
+    const usage = event.tokenUsage;
+    if (!usage) return null;
+
+    const sum = (usage.inputTokens || 0) + (usage.outputTokens || 0) + (usage.cacheReadTokens || 0) + (usage.cacheWriteTokens || 0);
+    if (event.tokens !== sum || (usage.totalTokens !== undefined && usage.totalTokens !== sum)) {
+        return { tokens: event.tokens, tokenUsageTotal: sum };
+    }
+    return null;
+}
+
+// Противоречия costInfo (события из DOM costInfo не имеют - не проверяются)
+function checkCost(event) {
+    const info = event.costInfo;
+    if (!info) return null;
+
+    if ([event.cost, info.displayCost, info.originalCost, info.totalCents].some(value => typeof value === 'number' && value < 0)) {
+        return 'negative';
+    }
+    if (info.isIncluded && info.isFree) return 'included-and-free';
+    if (info.isIncluded && event.cost !== 0) return 'included-with-cost';
+    if (info.isFree && event.cost !== 0) return 'free-with-cost';
+    if (typeof info.displayCost === 'number' && Math.abs(event.cost - info.displayCost) > COST_EPSILON) return 'cost-mismatch';
+    if (info.totalCents && Math.abs(info.totalCents / 100 - info.originalCost) > COST_EPSILON) return 'cents-mismatch';
+    return null;
+}
+
+function describeEvent(event) {
+    const time = new Date(event.date).getTime();
+    return { id: event.id, date: isNaN(time) ? (event.date ?? null) : new Date(time).toISOString() };
+}
+
+// Пропуски: соседние события (и последнее событие с текущим моментом) дальше gapDays друг от друга.
+// Подозрительный пропуск - по журналу синхронизаций:
+//   runsWithChanges - синхронизации в пропуске добавляли или обновляли события, а событий за это время нет
+//                     (первый час не считается: тогда догружается событие, открывающее пропуск;
+//                     загрузка истории и сверка загружают старые события и тоже не считаются)
+//   failedRuns      - синхронизации в пропуске падали, и после последней неудачи успешной не было
+// Журнал хранит только последние SYNC_RUNS_HISTORY запусков, covered - дотягивается ли он до начала пропуска
+function findGaps(times, runs, gapDays, now) {
+    const gaps = [];
+    const startTimes = runs.map(run => new Date(run.startedAt).getTime());
+    const oldestRun = startTimes.length > 0 ? Math.min(...startTimes) : null;
+    const lastSuccess = Math.max(0, ...runs.filter(run => run.status === 'success').map(run => new Date(run.startedAt).getTime()));
+
+    const bounds = [...times, now];
+    for (let i = 1; i < bounds.length; i++) {
+        const from = bounds[i - 1];
+        const to = bounds[i];
+        if (to - from <= gapDays * DAY_MS) continue;
+
+        const gapRuns = runs.filter(run => {
+            const started = new Date(run.startedAt).getTime();
+            return started > from && started < to;
+        });
+        const failed = gapRuns.filter(run => run.status === 'failed');
+        const lastFailure = Math.max(0, ...failed.map(run => new Date(run.startedAt).getTime()));
+        const runsWithChanges = gapRuns.filter(run => run.status === 'success' &&
+            !HISTORY_STRATEGIES.includes(run.strategy) &&
+            new Date(run.startedAt).getTime() > from + HOUR_MS &&
+            run.eventsAdded + run.eventsUpdated > 0).length;
+        const unrecovered = failed.length > 0 && lastSuccess < lastFailure;
+
+        gaps.push({
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            days: Math.round((to - from) / DAY_MS * 10) / 10,
+            open: to === now,
+            runs: gapRuns.length,
+            failedRuns: failed.length,
+            runsWithChanges,
+            covered: oldestRun !== null && oldestRun <= from,
+            suspicious: runsWithChanges > 0 || unrecovered
+        });
+    }
+    return gaps;
+}
+
+// Пересекающиеся и соседние окна объединяются
+function mergeWindows(windows) {
+    const sorted = [...windows].sort((a, b) => a.startDate - b.startDate);
+    const merged = [];
+    for (const window of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && window.startDate <= last.endDate) {
+            last.endDate = Math.max(last.endDate, window.endDate);
+            window.reasons.forEach(reason => !last.reasons.includes(reason) && last.reasons.push(reason));
+        } else {
+            merged.push({ ...window, reasons: [...window.reasons] });
+        }
+    }
+    return merged;
+}
+
+// Параметры проверки из query (GET /api/verify) или опций CLI: фильтр событий (from, to и т.д.) и gapDays
+export function parseVerifyQuery(query = {}) {
+    const filter = parseEventFilter(query);
+    const gapDays = query.gapDays === undefined ? CONFIG.VERIFY_GAP_DAYS : Number(query.gapDays);
+    if (!(gapDays > 0)) {
+        const error = new Error(`Invalid gapDays value: ${query.gapDays} (expected a positive number of days)`);
+        error.status = 400;
+        throw error;
+    }
+    return { filter, gapDays };
+}
+
+// events - сохраненные события, runs - журнал синхронизаций (SyncJournal.load), filter - см. event_filter.js
+export function verifyEvents(events, runs = [], { filter = {}, gapDays = CONFIG.VERIFY_GAP_DAYS, now = Date.now() } = {}) {
+    const checked = events.filter(event => matchesEventFilter(event, filter));
+    const issues = Object.fromEntries(INTEGRITY_CHECKS.map(check => [check, []]));
+    const counts = Object.fromEntries(INTEGRITY_CHECKS.map(check => [check, 0]));
+    const affectedDays = new Map();
+
+    const report = (check, event, details) => {
+        counts[check]++;
+        if (issues[check].length < MAX_LISTED_ISSUES) {
+            issues[check].push(details);
+        }
+        const time = getEventTime(event);
+        if (!isNaN(time)) {
+            const day = getDayStart(time);
+            if (!affectedDays.has(day)) affectedDays.set(day, new Set());
+            affectedDays.get(day).add(check);
+        }
+    };
+
+    const byId = new Map();
+    const byTime = new Map();
+    for (const event of checked) {
+        if (!byId.has(event.id)) byId.set(event.id, []);
+        byId.get(event.id).push(event);
+
+        const time = getEventTime(event);
+        if (!isNaN(time)) {
+            if (!byTime.has(time)) byTime.set(time, []);
+            byTime.get(time).push(event);
+        }
+
+        const dateProblem = checkDate(event, now);
+        if (dateProblem) {
+            report('malformedDates', event, { ...describeEvent(event), timestamp: getSourceTimestamp(event), reason: dateProblem });
+        }
+
+        const tokenProblem = checkTokens(event);
+        if (tokenProblem) {
+            report('tokenMismatches', event, { ...describeEvent(event), ...tokenProblem });
+        }
+
+        const costProblem = checkCost(event);
+        if (costProblem) {
+            report('costIssues', event, { ...describeEvent(event), cost: event.cost, costInfo: event.costInfo, reason: costProblem });
+        }
+    }
+
+    for (const [id, copies] of byId) {
+        if (copies.length > 1) {
+            report('duplicateIds', copies[0], { id, count: copies.length, date: describeEvent(copies[0]).date });
+        }
+    }
+    for (const [time, group] of byTime) {
+        const ids = new Set(group.map(event => event.id));
+        if (ids.size > 1) {
+            report('duplicateTimestamps', group[0], { date: new Date(time).toISOString(), count: ids.size, ids: [...ids] });
+        }
+    }
+
+    const times = [...byTime.keys()].sort((a, b) => a - b);
+    // Пропуски ищем только внутри проверенного периода
+    const gapNow = filter.to ? Math.min(filter.to.getTime(), now) : now;
+    const gaps = times.length > 0 ? findGaps(times, runs, gapDays, gapNow) : [];
+
+    const windows = mergeWindows([
+        ...[...affectedDays].map(([day, checks]) => ({ startDate: day, endDate: day + DAY_MS, reasons: [...checks] })),
+        ...gaps.map(gap => ({ startDate: new Date(gap.from).getTime(), endDate: new Date(gap.to).getTime(), reasons: ['gap'] }))
+    ]);
+
+    const issueCount = INTEGRITY_CHECKS.reduce((sum, check) => sum + counts[check], 0);
+    const suspiciousGaps = gaps.filter(gap => gap.suspicious).length;
+
+    return {
+        checkedAt: new Date(now).toISOString(),
+        summary: {
+            totalEvents: checked.length,
+            from: times.length > 0 ? new Date(times[0]).toISOString() : null,
+            to: times.length > 0 ? new Date(times[times.length - 1]).toISOString() : null,
+            gapDays,
+            ...counts,
+            gaps: gaps.length,
+            suspiciousGaps,
+            ok: issueCount === 0 && suspiciousGaps === 0
+        },
+        issues,
+        gaps,
+        windows: windows.map(window => ({
+            startDate: new Date(window.startDate).toISOString(),
+            endDate: new Date(window.endDate).toISOString(),
+            reasons: window.reasons
+        }))
+    };
+}
@@ -0,0 +1,121 @@
+import { parseEventFilter } from './event_filter.js';
+
+// Постраничный запрос событий: фильтр, сортировка, курсор и выбор полей.
+// Курсор - позиция последнего события страницы (значение ключа сортировки и ID),
+// поэтому страницы не съезжают, когда в начало истории добавляются новые события
+
+export const DEFAULT_QUERY_LIMIT = 50;
+export const MAX_QUERY_LIMIT = 500;
+
+// Ключ сортировки -> значение из события
+export const SORT_KEYS = {
+    date: event => new Date(event.date).getTime(),
+    cost: event => event.cost || 0,
+    tokens: event => event.tokens || 0,
+    credits: event => event.credits || 0,
+    model: event => event.model || 'unknown',
+    kind: event => event.kind || 'unknown'
+};
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+export function encodeCursor(event, sort) {
+    return Buffer.from(JSON.stringify([SORT_KEYS[sort](event), event.id])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string') throw new Error('Invalid cursor id');
+        return { value, id };
+    } catch (error) {
+        throw badRequest('Invalid cursor');
+    }
+}
+
+export function parseEventQuery(query = {}) {
+    const sort = query.sort || 'date';
+    if (!SORT_KEYS[sort]) {
+        throw badRequest(`Invalid sort key: ${sort} (expected ${Object.keys(SORT_KEYS).join(', ')})`);
+    }
+
+    const order = query.order || 'desc';
+    if (order !== 'asc' && order !== 'desc') {
+        throw badRequest(`Invalid order: ${order} (expected asc or desc)`);
+    }
+
+    let limit = DEFAULT_QUERY_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit);
+        if (isNaN(limit) || limit < 1) {
+            throw badRequest(`Invalid limit: ${query.limit}`);
+        }
+        limit = Math.min(limit, MAX_QUERY_LIMIT);
+    }
+
+    const fields = query.fields
+        ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean)
+        : null;
+
+    return {
+        filter: parseEventFilter(query),
+        sort,
+        order,
+        limit,
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+        fields
+    };
+}
+
+// Сравнение по ключу сортировки, при равенстве - по ID (чтобы порядок был однозначным)
+export function compareEvents(a, b, sort, order) {
+    const valueA = SORT_KEYS[sort](a);
+    const valueB = SORT_KEYS[sort](b);
+    const direction = order === 'asc' ? 1 : -1;
+
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    if (a.id < b.id) return -direction;
+    if (a.id > b.id) return direction;
+    return 0;
+}
+
+export function isAfterCursor(event, cursor, sort, order) {
+    return compareEvents(event, { id: cursor.id, [sort]: cursor.value }, sort, order) > 0;
+}
+
+// Оставляет только запрошенные поля (id всегда включается).
+// Без списка полей отдается все событие, кроме исходного ответа API (rawData)
+export function projectEvent(event, fields) {
+    if (!fields) {
+        const { rawData, ...projected } = event;
+        return projected;
+    }
+
+    const projected = { id: event.id };
+    for (const field of fields) {
+        if (event[field] !== undefined) {
+            projected[field] = event[field];
+        }
+    }
+    return projected;
+}
+
+export function buildQueryResult(events, query, total) {
+    const hasMore = events.length > query.limit;
+    const page = hasMore ? events.slice(0, query.limit) : events;
+
+    return {
+        events: page.map(event => projectEvent(event, query.fields)),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], query.sort) : null,
+        hasMore,
+        total,
+        limit: query.limit,
+        sort: query.sort,
+        order: query.order
+    };
+}
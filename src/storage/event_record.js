@@ -0,0 +1,63 @@
+// Нормализованная запись события. Версии схемы (schemaVersion):
+//   1 - поля нет: maxMode и время из API читаются с приоритетом из rawData (исходного ответа API)
+//   2 - maxMode и sourceTimestamp (timestamp из API, мс) перенесены в запись, rawData для расчетов не нужен
+//       и хранится по RAW_DATA_MODE: inline - в событии, separate - в отдельном хранилище по ID события,
+//       drop - не хранится
+// Старые записи переводит миграция event-records (storage/migrations/event_records.js)
+
+export const EVENT_SCHEMA_VERSION = 2;
+export const RAW_DATA_MODES = ['inline', 'separate', 'drop'];
+
+// maxMode записи; у записей версии 1 приоритет у rawData, как раньше в статистике
+export function isMaxModeEvent(event) {
+    if (event.schemaVersion >= EVENT_SCHEMA_VERSION) {
+        return Boolean(event.maxMode);
+    }
+    if (event.rawData && event.rawData.maxMode !== undefined) {
+        return Boolean(event.rawData.maxMode);
+    }
+    return Boolean(event.maxMode);
+}
+
+// Время события из API (мс) или null (события из DOM)
+export function getSourceTimestamp(event) {
+    const value = event.schemaVersion >= EVENT_SCHEMA_VERSION ? event.sourceTimestamp : event.rawData?.timestamp;
+    if (value === undefined || value === null) return null;
+    return parseInt(value);
+}
+
+export function normalizeEvent(event) {
+    if (event.schemaVersion === EVENT_SCHEMA_VERSION) return event;
+
+    return {
+        ...event,
+        schemaVersion: EVENT_SCHEMA_VERSION,
+        maxMode: isMaxModeEvent(event),
+        sourceTimestamp: getSourceTimestamp(event)
+    };
+}
+
+// Запись нужно перевести на текущую схему или перенести ее rawData по режиму хранения
+export function isEventRecordOutdated(event, rawDataMode) {
+    return event.schemaVersion !== EVENT_SCHEMA_VERSION || (rawDataMode !== 'inline' && event.rawData !== undefined);
+}
+
+// Отделяет rawData от записей по режиму хранения: payloads - { id, rawData } для отдельного хранилища.
+// Перед отделением rawData запись нормализуется - иначе запись версии 1 потеряла бы maxMode и время из API
+export function detachRawData(events, rawDataMode) {
+    if (rawDataMode === 'inline') {
+        return { events, payloads: [] };
+    }
+
+    const payloads = [];
+    const records = events.map(event => {
+        if (event.rawData === undefined) return event;
+
+        const { rawData, ...record } = normalizeEvent(event);
+        if (rawDataMode === 'separate') {
+            payloads.push({ id: event.id, rawData });
+        }
+        return record;
+    });
+    return { events: records, payloads };
+}
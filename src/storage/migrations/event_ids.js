@@ -0,0 +1,82 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from '../../utils/logger.js';
+import { buildEventId, isLegacyEventId } from '../../utils/event_id.js';
+
+const logger = new Logger('EventIdsMigration');
+
+export function needsEventIdMigration(events) {
+    return events.some(event => event.rawData && isLegacyEventId(event.id));
+}
+
+// Переписывает ID сохраненных событий на детерминированные (по rawData).
+// События, которые получают одинаковый ID, не удаляются: им добавляются суффиксы,
+// они помечаются idCollision и попадают в отчет для ручной проверки
+export async function migrateEventIds(storage, reportFile = path.join(storage.paths.DATA_DIR, 'event_id_migration.json')) {
+    const events = await storage.loadEvents();
+
+    const groups = new Map();
+    let skipped = 0;
+
+    for (const event of events) {
+        if (!event.rawData) {
+            // Без исходных данных API (например, события из DOM) ключ не построить
+            skipped++;
+            continue;
+        }
+
+        const newId = buildEventId(event.rawData, event.teamId ? event.user : null);
+        if (!groups.has(newId)) {
+            groups.set(newId, []);
+        }
+        groups.get(newId).push(event);
+    }
+
+    let changed = 0;
+    const collisions = [];
+
+    for (const [newId, group] of groups) {
+        if (group.length > 1) {
+            const rawPayloads = new Set(group.map(event => JSON.stringify(event.rawData)));
+            collisions.push({
+                id: newId,
+                previousIds: group.map(event => event.id),
+                identicalRawData: rawPayloads.size === 1
+            });
+        }
+
+        group.forEach((event, index) => {
+            const id = index === 0 ? newId : `${newId}_${index + 1}`;
+            if (group.length > 1) {
+                event.idCollision = true;
+            }
+            if (event.id !== id) {
+                event.id = id;
+                changed++;
+            }
+        });
+    }
+
+    if (changed > 0) {
+        await storage.replaceEvents(events);
+    }
+
+    const report = {
+        timestamp: new Date().toISOString(),
+        totalEvents: events.length,
+        changed,
+        skipped,
+        collisions
+    };
+
+    if (changed > 0 || collisions.length > 0) {
+        await fs.writeFile(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    }
+
+    logger.info(`Rewrote ${changed} event IDs (${skipped} events without rawData skipped)`);
+    if (collisions.length > 0) {
+        logger.warn(`Found ${collisions.length} ID collisions, see ${reportFile}`);
+    }
+
+    return { changed, skipped, collisions: collisions.length };
+}
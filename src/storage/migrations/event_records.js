@@ -0,0 +1,24 @@
+import { CONFIG } from '../../config/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { EVENT_SCHEMA_VERSION, isEventRecordOutdated, normalizeEvent } from '../event_record.js';
+
+const logger = new Logger('EventRecordsMigration');
+
+export function needsEventRecordMigration(events, rawDataMode = CONFIG.RAW_DATA_MODE) {
+    return events.some(event => isEventRecordOutdated(event, rawDataMode));
+}
+
+// Переводит сохраненные события на текущую схему записи (event_record.js): maxMode и время из API
+// переносятся из rawData в запись, а сам rawData при сохранении уходит по RAW_DATA_MODE
+// (в отдельное хранилище или отбрасывается)
+export async function migrateEventRecords(storage, rawDataMode = CONFIG.RAW_DATA_MODE) {
+    const events = await storage.loadEvents();
+    const outdated = events.filter(event => isEventRecordOutdated(event, rawDataMode)).length;
+
+    if (outdated > 0) {
+        await storage.replaceEvents(events.map(event => normalizeEvent(event)));
+    }
+
+    logger.info(`Normalized ${outdated} of ${events.length} events (schema version ${EVENT_SCHEMA_VERSION}, raw data ${rawDataMode})`);
+    return { normalized: outdated, total: events.length, rawDataMode };
+}
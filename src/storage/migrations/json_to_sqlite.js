@@ -0,0 +1,44 @@
+import { Logger } from '../../utils/logger.js';
+import { DataStorage } from '../data_storage.js';
+
+const logger = new Logger('JsonToSqliteMigration');
+
+// Переносит usage_data.json, stats.json, user_info.json, rollups.json и raw_data.ndjson в SQLite-хранилище.
+// Существующие события с теми же ID перезаписываются, поэтому миграцию можно запускать повторно
+export async function migrateJsonToSqlite(sqliteStorage, jsonStorage = new DataStorage()) {
+    const usageData = await jsonStorage.loadUsageData();
+    if (!usageData || !Array.isArray(usageData.events)) {
+        logger.info('No JSON usage data to import');
+        return { imported: 0 };
+    }
+
+    logger.info(`Importing ${usageData.events.length} events from JSON storage...`);
+
+    const rawData = await jsonStorage.loadRawData();
+    const importAll = sqliteStorage.db.transaction(() => {
+        sqliteStorage.saveRawData([...rawData].map(([id, payload]) => ({ id, rawData: payload })));
+        sqliteStorage.upsertEvents(usageData.events);
+        sqliteStorage.setMeta('sync', {
+            timestamp: usageData.timestamp || new Date().toISOString(),
+            lastSyncDate: usageData.lastSyncDate || null,
+            syncMetadata: usageData.syncMetadata || {}
+        });
+    });
+    importAll();
+
+    const retention = await jsonStorage.getRetentionState();
+    if (retention) {
+        await sqliteStorage.saveRollups(await jsonStorage.loadRollups(), retention);
+    }
+
+    const userInfo = await jsonStorage.loadUserInfo();
+    if (userInfo) {
+        sqliteStorage.setMeta('user_info', userInfo);
+    }
+
+    // Статистику пересчитываем, а не копируем - так она гарантированно совпадает с событиями
+    await sqliteStorage.updateStats(await sqliteStorage.loadEvents());
+
+    logger.info(`Imported ${usageData.events.length} events into SQLite`);
+    return { imported: usageData.events.length };
+}
@@ -0,0 +1,35 @@
+import { Logger } from '../../utils/logger.js';
+
+const logger = new Logger('ListPricesMigration');
+
+export function needsListPriceUpdate(events, priceTable) {
+    return priceTable.enabled && events.some(event => priceTable.isOutdated(event));
+}
+
+// Пересчитывает прейскурантную стоимость сохраненных событий по текущей версии таблицы цен
+// (после ее изменения или для событий, собранных до появления таблицы)
+export async function migrateListPrices(storage, priceTable) {
+    if (!priceTable.enabled) {
+        logger.warn('Pricing table is empty, nothing to recompute');
+        return { changed: 0, mismatches: 0 };
+    }
+
+    const events = await storage.loadEvents();
+    let changed = 0;
+
+    for (const event of events) {
+        if (priceTable.isOutdated(event)) {
+            priceTable.applyTo(event);
+            changed++;
+        }
+    }
+
+    if (changed > 0) {
+        await storage.replaceEvents(events);
+    }
+
+    const mismatches = events.filter(event => event.costInfo?.costMismatch).length;
+    logger.info(`Recomputed list prices of ${changed} events (pricing ${priceTable.version}), ${mismatches} cost mismatches`);
+
+    return { changed, mismatches };
+}
@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { isMaxModeEvent } from './event_record.js';
+
+// Политика хранения (RETENTION_DAYS, cursor-usage retention): события старше N дней сворачиваются
+// в дневные агрегаты (день UTC, модель, тип, участник команды), которые хранятся бессрочно,
+// и удаляются из хранилища; с archive - перед удалением дописываются в помесячные архивы
+// archive/events-YYYY-MM.ndjson.gz.
+// Состояние: rolledUpFrom - самое старое свернутое событие, rolledUpUntil - граница свертки.
+// Агрегаты - единственный источник данных за [rolledUpFrom, rolledUpUntil): события из этого
+// периода (загруженные заново историей или оставшиеся после сбоя) статистика не учитывает,
+// а следующая свертка удаляет, не добавляя в агрегаты повторно. Более старые события
+// (загрузка истории) учитываются как обычно до следующей свертки
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Суммируемые поля агрегата
+export const ROLLUP_FIELDS = [
+    'count',
+    'tokens',
+    'inputTokens',
+    'outputTokens',
+    'cacheReadTokens',
+    'cacheWriteTokens',
+    'cost',
+    'chargedCost',
+    'includedCost',
+    'listCost',
+    'includedListCost',
+    'credits',
+    'requestCredits',
+    'maxMode',
+    'costMismatches',
+    // Для расчетных периодов и симулятора планов: включенные в план и бесплатные события,
+    // стоимость использования платных событий (по таблице цен) и число таких событий без цены в таблице
+    'includedEvents',
+    'freeEvents',
+    'usageCost',
+    'unlistedEvents'
+];
+
+function getEventTime(event) {
+    return new Date(event.date).getTime();
+}
+
+// Граница хранения: начало дня UTC, days дней назад
+export function getRetentionCutoff(days, now = Date.now()) {
+    return Math.floor((now - days * DAY_MS) / DAY_MS) * DAY_MS;
+}
+
+// Сворачивать пора, когда граница перешла на новый день (не чаще раза в сутки)
+export function isRetentionDue(state, days, now = Date.now()) {
+    if (!(days > 0)) return false;
+    if (!state?.rolledUpUntil) return true;
+    return getRetentionCutoff(days, now) > new Date(state.rolledUpUntil).getTime();
+}
+
+// Событие уже учтено в агрегатах
+export function isRolledUp(event, state) {
+    if (!state?.rolledUpFrom) return false;
+    const time = getEventTime(event);
+    return time >= new Date(state.rolledUpFrom).getTime() && time < new Date(state.rolledUpUntil).getTime();
+}
+
+export function getRollupKey(row) {
+    return `${row.date}|${row.model}|${row.kind}|${row.user || ''}`;
+}
+
+// Добавляет события к агрегатам rows (не изменяя их), getChargedCost передается хранилищем
+export function rollupEvents(events, getChargedCost, rows = []) {
+    const createCounters = () => Object.fromEntries(ROLLUP_FIELDS.map(field => [field, 0]));
+    const byKey = new Map(rows.map(row => [getRollupKey(row), { ...createCounters(), ...row }]));
+
+    for (const event of events) {
+        const row = {
+            date: new Date(event.date).toISOString().split('T')[0],
+            model: event.model || 'unknown',
+            kind: event.kind || 'unknown',
+            user: event.user || null
+        };
+        const key = getRollupKey(row);
+        if (!byKey.has(key)) {
+            byKey.set(key, { ...row, ...createCounters(), lastActivity: null });
+        }
+
+        // Те же правила, что в StorageBackend.calculateStats
+        const target = byKey.get(key);
+        const listCost = event.costInfo?.listCost;
+        target.count++;
+        target.tokens += event.tokens || 0;
+        target.inputTokens += event.tokenUsage?.inputTokens || 0;
+        target.outputTokens += event.tokenUsage?.outputTokens || 0;
+        target.cacheReadTokens += event.tokenUsage?.cacheReadTokens || 0;
+        target.cacheWriteTokens += event.tokenUsage?.cacheWriteTokens || 0;
+        target.cost += event.costInfo?.originalCost || event.cost || 0;
+        target.chargedCost += getChargedCost(event);
+        target.includedCost += event.costInfo?.isIncluded ? event.costInfo.originalCost || 0 : 0;
+        target.listCost += typeof listCost === 'number' ? listCost : 0;
+        target.includedListCost += typeof listCost === 'number' && event.costInfo.isIncluded ? listCost : 0;
+        target.credits += event.credits || 0;
+        target.requestCredits += event.costInfo?.requestsCosts || event.credits || 0;
+        target.maxMode += isMaxModeEvent(event) ? 1 : 0;
+        target.costMismatches += event.costInfo?.costMismatch ? 1 : 0;
+
+        // Те же правила, что в summarizeBillingCycles и collectSimulationUsage
+        target.includedEvents += event.costInfo?.isIncluded ? 1 : 0;
+        if (event.costInfo?.isFree) {
+            target.freeEvents++;
+        } else if (typeof listCost === 'number') {
+            target.usageCost += listCost;
+        } else {
+            target.usageCost += event.costInfo?.originalCost || event.cost || 0;
+            target.unlistedEvents++;
+        }
+
+        const eventDate = new Date(event.date).toISOString();
+        if (!target.lastActivity || eventDate > target.lastActivity) {
+            target.lastActivity = eventDate;
+        }
+    }
+
+    return [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date) || getRollupKey(a).localeCompare(getRollupKey(b)));
+}
+
+// Фильтр событий (event_filter.js) для агрегатов: from и to сравниваются по дню.
+// maxMode и minCost относятся к отдельным событиям - с ними агрегаты не подходят
+export function matchesRollupFilter(row, filter = {}) {
+    if (filter.maxMode !== null && filter.maxMode !== undefined) return false;
+    if (filter.minCost !== null && filter.minCost !== undefined) return false;
+    if (filter.from && row.date < filter.from.toISOString().split('T')[0]) return false;
+    if (filter.to && row.date > filter.to.toISOString().split('T')[0]) return false;
+    if (filter.models?.length > 0 && !filter.models.includes(row.model)) return false;
+    if (filter.kinds?.length > 0 && !filter.kinds.includes(row.kind)) return false;
+    if (filter.users?.length > 0 && !filter.users.includes(row.user || 'unknown')) return false;
+    return true;
+}
+
+// Новое состояние после свертки событий events
+export function advanceRetentionState(state, events, cutoff, days) {
+    const previousFrom = state?.rolledUpFrom ? new Date(state.rolledUpFrom).getTime() : Infinity;
+    const previousUntil = state?.rolledUpUntil ? new Date(state.rolledUpUntil).getTime() : 0;
+    const oldest = events.reduce((min, event) => Math.min(min, getEventTime(event)), previousFrom);
+
+    return {
+        rolledUpFrom: oldest === Infinity ? null : new Date(oldest).toISOString(),
+        rolledUpUntil: new Date(Math.max(cutoff, previousUntil)).toISOString(),
+        days,
+        lastRunAt: new Date().toISOString()
+    };
+}
+
+async function readArchive(file) {
+    try {
+        const content = (await gunzip(await fs.readFile(file))).toString('utf8');
+        return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Дописывает события в помесячные архивы (NDJSON в gzip), повторно архивированные события заменяются по ID.
+// Файл пишется во временный и переименовывается - прерванная запись не портит архив
+export async function archiveEvents(dir, events) {
+    const byMonth = new Map();
+    for (const event of events) {
+        const month = new Date(event.date).toISOString().slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(event);
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    const files = [];
+    for (const [month, monthEvents] of byMonth) {
+        const file = path.join(dir, `events-${month}.ndjson.gz`);
+        const byId = new Map((await readArchive(file)).map(event => [event.id, event]));
+        monthEvents.forEach(event => byId.set(event.id, event));
+
+        const sorted = [...byId.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const content = sorted.map(event => JSON.stringify(event)).join('\n') + '\n';
+        await fs.writeFile(`${file}.tmp`, await gzip(content));
+        await fs.rename(`${file}.tmp`, file);
+        files.push(path.basename(file));
+    }
+    return { files: files.sort(), events: events.length };
+}
@@ -0,0 +1,684 @@
+import fs from 'fs/promises';
+import { CONFIG, getDataPaths } from '../config/constants.js';
+import { Logger } from '../utils/logger.js';
+import { StorageBackend } from './storage_backend.js';
+import { DataStorage } from './data_storage.js';
+import { migrateJsonToSqlite } from './migrations/json_to_sqlite.js';
+import { buildQueryResult } from './event_query.js';
+import { matchesRollupFilter } from './retention.js';
+import { detachRawData, isMaxModeEvent } from './event_record.js';
+
+const SCHEMA_VERSION = 5;
+const ITERATE_BATCH_SIZE = 500;
+
+// Ключ сортировки запроса -> колонка таблицы
+const SORT_COLUMNS = {
+    date: 'timestamp',
+    cost: 'cost',
+    tokens: 'tokens',
+    credits: 'credits',
+    model: 'model',
+    kind: 'kind'
+};
+
+// Шаги миграции схемы, по одному на каждое повышение SCHEMA_VERSION
+const SCHEMA_MIGRATIONS = [
+    {
+        // Участник команды в отдельной колонке
+        version: 2,
+        sql: `
+            ALTER TABLE events ADD COLUMN user TEXT;
+            UPDATE events SET user = json_extract(data, '$.user');
+            CREATE INDEX IF NOT EXISTS idx_events_user ON events (user);
+        `
+    },
+    {
+        // Дневная аналитика
+        version: 3,
+        sql: `
+            CREATE TABLE IF NOT EXISTS analytics (
+                date TEXT NOT NULL,
+                user TEXT NOT NULL DEFAULT '',
+                data TEXT NOT NULL,
+                PRIMARY KEY (date, user)
+            );
+        `
+    },
+    {
+        // Дневные агрегаты свернутых событий (retention.js)
+        version: 4,
+        sql: `
+            CREATE TABLE IF NOT EXISTS rollups (
+                date TEXT NOT NULL,
+                model TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                user TEXT NOT NULL DEFAULT '',
+                data TEXT NOT NULL,
+                PRIMARY KEY (date, model, kind, user)
+            );
+        `
+    },
+    {
+        // Исходные ответы API при RAW_DATA_MODE=separate (event_record.js)
+        version: 5,
+        sql: `
+            CREATE TABLE IF NOT EXISTS raw_events (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+        `
+    }
+];
+
+// Хранилище в SQLite: события лежат построчно с индексами по дате, модели и типу,
+// поэтому слияние и обновление метаданных не переписывают всю историю
+export class SqliteStorage extends StorageBackend {
+    constructor(dataDir = CONFIG.OUTPUT_DIR) {
+        super();
+        this.paths = getDataPaths(dataDir);
+        this.dbFile = this.paths.SQLITE_FILE;
+        this.db = null;
+        this.logger = new Logger('SqliteStorage');
+    }
+
+    async initialize() {
+        try {
+            await fs.mkdir(this.paths.DATA_DIR, { recursive: true });
+
+            if (!this.db) {
+                // better-sqlite3 - опциональная зависимость, подгружаем только для этого бэкенда
+                const { default: Database } = await import('better-sqlite3');
+                this.db = new Database(this.dbFile);
+                this.db.pragma('journal_mode = WAL');
+                this.createSchema();
+            }
+
+            this.logger.info(`SQLite storage initialized: ${this.dbFile}`);
+
+            // При первом запуске переносим данные из JSON-файлов
+            if (this.countEvents() === 0) {
+                await migrateJsonToSqlite(this, new DataStorage(this.paths.DATA_DIR));
+            }
+        } catch (error) {
+            this.logger.error('Failed to initialize SQLite storage:', error);
+            throw error;
+        }
+    }
+
+    // Схема версии 1 и шаги миграции до SCHEMA_VERSION: новая база проходит те же шаги, что и старая
+    createSchema() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS events (
+                id TEXT PRIMARY KEY,
+                timestamp INTEGER NOT NULL,
+                date TEXT NOT NULL,
+                model TEXT,
+                kind TEXT,
+                tokens INTEGER NOT NULL DEFAULT 0,
+                cost REAL NOT NULL DEFAULT 0,
+                credits REAL NOT NULL DEFAULT 0,
+                max_mode INTEGER NOT NULL DEFAULT 0,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events (timestamp);
+            CREATE INDEX IF NOT EXISTS idx_events_date ON events (date);
+            CREATE INDEX IF NOT EXISTS idx_events_model ON events (model);
+            CREATE INDEX IF NOT EXISTS idx_events_kind ON events (kind);
+
+            CREATE TABLE IF NOT EXISTS metadata (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+
+        const migrate = this.db.transaction(() => {
+            for (const step of SCHEMA_MIGRATIONS) {
+                if (version < step.version) {
+                    this.db.exec(step.sql);
+                }
+            }
+            this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+        });
+        migrate();
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Метаданные (синхронизация, пользователь, статистика) храним как JSON по ключу
+
+    getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM metadata WHERE key = ?').get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare(`
+            INSERT INTO metadata (key, value) VALUES (?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value
+        `).run(key, JSON.stringify(value));
+    }
+
+    // События
+
+    toRow(event) {
+        const eventTime = new Date(event.date);
+        return {
+            id: event.id,
+            timestamp: eventTime.getTime(),
+            date: eventTime.toISOString().split('T')[0],
+            model: event.model || 'unknown',
+            kind: event.kind || 'unknown',
+            tokens: event.tokens || 0,
+            cost: event.cost || 0,
+            credits: event.credits || 0,
+            max_mode: isMaxModeEvent(event) ? 1 : 0,
+            user: event.user || null,
+            data: JSON.stringify(event)
+        };
+    }
+
+    fromRow(row) {
+        return JSON.parse(row.data);
+    }
+
+    // Исходные ответы API (RAW_DATA_MODE=separate) - в таблице raw_events по ID события
+
+    saveRawData(payloads) {
+        const statement = this.db.prepare(`
+            INSERT INTO raw_events (id, data) VALUES (?, ?)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data
+        `);
+        for (const payload of payloads) {
+            statement.run(payload.id, JSON.stringify(payload.rawData));
+        }
+    }
+
+    // Ответы удаленных событий
+    pruneRawData() {
+        this.db.prepare('DELETE FROM raw_events WHERE id NOT IN (SELECT id FROM events)').run();
+    }
+
+    async loadRawData(ids = null) {
+        const rows = ids
+            ? [...ids].map(id => this.db.prepare('SELECT id, data FROM raw_events WHERE id = ?').get(id)).filter(Boolean)
+            : this.db.prepare('SELECT id, data FROM raw_events').all();
+        return new Map(rows.map(row => [row.id, JSON.parse(row.data)]));
+    }
+
+    async findEvent(id) {
+        const row = this.db.prepare('SELECT data FROM events WHERE id = ?').get(id);
+        return row ? this.fromRow(row) : null;
+    }
+
+    countEvents() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM events').get().count;
+    }
+
+    upsertEvents(allEvents) {
+        const { events, payloads } = detachRawData(allEvents, CONFIG.RAW_DATA_MODE);
+        const statement = this.db.prepare(`
+            INSERT INTO events (id, timestamp, date, model, kind, tokens, cost, credits, max_mode, user, data)
+            VALUES (@id, @timestamp, @date, @model, @kind, @tokens, @cost, @credits, @max_mode, @user, @data)
+            ON CONFLICT(id) DO UPDATE SET
+                timestamp = excluded.timestamp,
+                date = excluded.date,
+                model = excluded.model,
+                kind = excluded.kind,
+                tokens = excluded.tokens,
+                cost = excluded.cost,
+                credits = excluded.credits,
+                max_mode = excluded.max_mode,
+                user = excluded.user,
+                data = excluded.data
+        `);
+
+        const upsertMany = this.db.transaction(rows => {
+            for (const row of rows) {
+                statement.run(row);
+            }
+            this.saveRawData(payloads);
+        });
+
+        upsertMany(events.map(event => this.toRow(event)));
+    }
+
+    async loadEvents() {
+        return this.db.prepare('SELECT data FROM events ORDER BY timestamp DESC')
+            .all()
+            .map(row => this.fromRow(row));
+    }
+
+    buildWhereClause(filter = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filter.from) {
+            conditions.push('timestamp >= ?');
+            params.push(filter.from.getTime());
+        }
+        if (filter.to) {
+            conditions.push('timestamp <= ?');
+            params.push(filter.to.getTime());
+        }
+        if (filter.models?.length > 0) {
+            conditions.push(`model IN (${filter.models.map(() => '?').join(', ')})`);
+            params.push(...filter.models);
+        }
+        if (filter.kinds?.length > 0) {
+            conditions.push(`kind IN (${filter.kinds.map(() => '?').join(', ')})`);
+            params.push(...filter.kinds);
+        }
+        if (filter.users?.length > 0) {
+            conditions.push(`COALESCE(user, 'unknown') IN (${filter.users.map(() => '?').join(', ')})`);
+            params.push(...filter.users);
+        }
+        if (filter.maxMode !== null && filter.maxMode !== undefined) {
+            conditions.push('max_mode = ?');
+            params.push(filter.maxMode ? 1 : 0);
+        }
+        if (filter.minCost !== null && filter.minCost !== undefined) {
+            conditions.push('cost >= ?');
+            params.push(filter.minCost);
+        }
+
+        return { conditions, params };
+    }
+
+    async *iterateEvents(filter = {}, order = 'asc') {
+        const { conditions, params } = this.buildWhereClause(filter);
+        const descending = order === 'desc';
+
+        // Читаем порциями по ключу (timestamp, id), а не одним курсором:
+        // открытый курсор блокировал бы соединение для слияния данных во время выгрузки
+        let lastKey = null;
+        while (true) {
+            const batchConditions = [...conditions];
+            const batchParams = [...params];
+            if (lastKey) {
+                batchConditions.push(`(timestamp, id) ${descending ? '<' : '>'} (?, ?)`);
+                batchParams.push(lastKey.timestamp, lastKey.id);
+            }
+
+            const where = batchConditions.length > 0 ? `WHERE ${batchConditions.join(' AND ')}` : '';
+            const direction = descending ? 'DESC' : 'ASC';
+            const rows = this.db.prepare(`
+                SELECT id, timestamp, data FROM events ${where}
+                ORDER BY timestamp ${direction}, id ${direction}
+                LIMIT ?
+            `).all(...batchParams, ITERATE_BATCH_SIZE);
+
+            for (const row of rows) {
+                yield this.fromRow(row);
+            }
+
+            if (rows.length < ITERATE_BATCH_SIZE) break;
+            lastKey = rows[rows.length - 1];
+        }
+    }
+
+    async queryEvents(query) {
+        const { conditions, params } = this.buildWhereClause(query.filter);
+        const filterWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM events ${filterWhere}`).get(...params).count;
+
+        const column = SORT_COLUMNS[query.sort];
+        const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+        const pageConditions = [...conditions];
+        const pageParams = [...params];
+
+        if (query.cursor) {
+            pageConditions.push(`(${column}, id) ${query.order === 'asc' ? '>' : '<'} (?, ?)`);
+            pageParams.push(query.cursor.value, query.cursor.id);
+        }
+
+        const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+        const events = this.db.prepare(`
+            SELECT data FROM events ${pageWhere}
+            ORDER BY ${column} ${direction}, id ${direction}
+            LIMIT ?
+        `).all(...pageParams, query.limit + 1).map(row => this.fromRow(row));
+
+        return buildQueryResult(events, query, total);
+    }
+
+    async saveUsageData(data, isIncremental = false, lastSyncDate = null) {
+        try {
+            this.logger.info(`Saving ${data.length} usage events (incremental: ${isIncremental})...`);
+
+            const replaceAll = this.db.transaction(events => {
+                this.db.prepare('DELETE FROM events').run();
+                this.upsertEvents(events);
+                this.pruneRawData();
+            });
+            replaceAll(data);
+
+            this.saveSyncState(data, isIncremental, lastSyncDate);
+            this.logger.info(`Usage data saved to: ${this.dbFile}`);
+
+            // Обновляем статистику
+            await this.updateStats(await this.loadEvents());
+
+        } catch (error) {
+            this.logger.error('Failed to save usage data:', error);
+            throw error;
+        }
+    }
+
+    async replaceEvents(events) {
+        try {
+            const replaceAll = this.db.transaction(() => {
+                this.db.prepare('DELETE FROM events').run();
+                this.upsertEvents(events);
+                this.pruneRawData();
+            });
+            replaceAll();
+
+            this.logger.info(`Replaced events in: ${this.dbFile}`);
+            await this.updateStats(await this.loadEvents());
+        } catch (error) {
+            this.logger.error('Failed to replace events:', error);
+            throw error;
+        }
+    }
+
+    async deleteEventsBefore(time) {
+        try {
+            const { changes } = this.db.prepare('DELETE FROM events WHERE timestamp < ?').run(time);
+            this.pruneRawData();
+            await this.updateStats(await this.loadEvents());
+            return changes;
+        } catch (error) {
+            this.logger.error('Failed to delete old events:', error);
+            throw error;
+        }
+    }
+
+    saveSyncState(events, isIncremental, lastSyncDate = null) {
+        const previousState = this.getMeta('sync');
+
+        // Определяем lastSyncDate так же, как JSON-хранилище
+        let syncDate;
+        if (lastSyncDate) {
+            syncDate = lastSyncDate;
+        } else if (isIncremental || events.length === 0) {
+            syncDate = Date.now().toString();
+        } else {
+            const newestTime = events.reduce((max, event) => Math.max(max, new Date(event.date).getTime()), 0);
+            syncDate = newestTime.toString();
+        }
+
+        this.setMeta('sync', {
+            timestamp: new Date().toISOString(),
+            lastSyncDate: syncDate,
+            syncMetadata: {
+                lastSuccessfulSync: new Date().toISOString(),
+                adaptivePageSize: previousState?.syncMetadata?.adaptivePageSize || 500,
+                syncStrategy: isIncremental ? 'incremental' : 'full'
+            }
+        });
+    }
+
+    async loadUsageData() {
+        try {
+            const syncState = this.getMeta('sync');
+            if (!syncState) {
+                this.logger.info('No existing usage data found');
+                return null;
+            }
+
+            const events = await this.loadEvents();
+            return {
+                ...syncState,
+                totalEvents: events.length,
+                events
+            };
+        } catch (error) {
+            this.logger.error('Failed to load usage data:', error);
+            throw error;
+        }
+    }
+
+    async mergeUsageData(newData, isIncremental = false, { lastSyncDate = null } = {}) {
+        try {
+            const syncState = this.getMeta('sync');
+
+            if (!syncState || !isIncremental) {
+                // Если нет существующих данных или полная синхронизация, сохраняем новые.
+                // Полная синхронизация заменяет все события: новые и изменившиеся - по сравнению с сохраненными
+                const existingEvents = syncState ? await this.loadEvents() : [];
+                const { added, updated } = this.diffEvents(existingEvents, existingEvents, newData);
+                await this.saveUsageData(newData, isIncremental, lastSyncDate);
+                return { added, updated: updated.map(([, updatedEvent]) => updatedEvent) };
+            }
+
+            // Для сравнения достаточно событий в диапазоне дат новых данных и активных событий
+            const activeEvents = this.getActiveEvents(await this.loadRecentEvents());
+            const existingEvents = this.loadEventsInRange(newData);
+            const { added, updated } = this.diffEvents(existingEvents, activeEvents, newData);
+
+            if (added.length === 0 && updated.length === 0) {
+                this.logger.info('No new or updated events to merge');
+                return { added: [], updated: [] };
+            }
+
+            this.logger.info(`Merging ${added.length} new events and ${updated.length} updated events`);
+
+            const applyMerge = this.db.transaction(() => {
+                const deleteStatement = this.db.prepare('DELETE FROM events WHERE id = ?');
+                const deleteRawStatement = this.db.prepare('DELETE FROM raw_events WHERE id = ?');
+                for (const [activeEvent] of updated) {
+                    deleteStatement.run(activeEvent.id);
+                    deleteRawStatement.run(activeEvent.id);
+                }
+                this.upsertEvents([...added, ...updated.map(([, updatedEvent]) => updatedEvent)]);
+                this.saveSyncState(added, true, lastSyncDate);
+            });
+            applyMerge();
+
+            await this.applyStatsChanges(added, updated);
+
+            return { added, updated: updated.map(([, updatedEvent]) => updatedEvent) };
+
+        } catch (error) {
+            this.logger.error('Failed to merge usage data:', error);
+            throw error;
+        }
+    }
+
+    async loadRecentEvents() {
+        return this.db.prepare('SELECT data FROM events ORDER BY timestamp DESC LIMIT ?')
+            .all(CONFIG.ACTIVE_EVENTS_MAX_COUNT)
+            .map(row => this.fromRow(row));
+    }
+
+    loadEventsInRange(events) {
+        if (events.length === 0) return [];
+
+        const times = events.map(event => new Date(event.date).getTime());
+        const minTime = times.reduce((min, time) => Math.min(min, time), Infinity);
+        const maxTime = times.reduce((max, time) => Math.max(max, time), -Infinity);
+        return this.db.prepare('SELECT data FROM events WHERE timestamp BETWEEN ? AND ?')
+            .all(minTime, maxTime)
+            .map(row => this.fromRow(row));
+    }
+
+    // Метаданные синхронизации
+
+    async getSyncMetadata() {
+        try {
+            const syncState = this.getMeta('sync');
+            if (!syncState) {
+                return this.getDefaultSyncMetadata();
+            }
+
+            return {
+                lastSyncDate: syncState.lastSyncDate,
+                adaptivePageSize: syncState.syncMetadata?.adaptivePageSize || 500,
+                syncStrategy: syncState.syncMetadata?.syncStrategy || 'full',
+                lastSuccessfulSync: syncState.syncMetadata?.lastSuccessfulSync
+            };
+        } catch (error) {
+            this.logger.error('Failed to get sync metadata:', error);
+            return this.getDefaultSyncMetadata();
+        }
+    }
+
+    async updateAdaptivePageSize(responseTime, eventsCount) {
+        try {
+            const syncState = this.getMeta('sync');
+            if (!syncState || !syncState.syncMetadata) return;
+
+            const currentPageSize = syncState.syncMetadata.adaptivePageSize || 500;
+            const newPageSize = this.calculateAdaptivePageSize(currentPageSize, responseTime, eventsCount);
+
+            if (newPageSize !== currentPageSize) {
+                syncState.syncMetadata.adaptivePageSize = newPageSize;
+                this.setMeta('sync', syncState);
+                this.logger.info(`Updated adaptive page size: ${currentPageSize} → ${newPageSize}`);
+            }
+        } catch (error) {
+            this.logger.error('Failed to update adaptive page size:', error);
+        }
+    }
+
+    // Данные пользователя
+
+    async saveUserInfo(userInfo) {
+        try {
+            if (!userInfo || typeof userInfo !== 'object') {
+                this.logger.warn('Invalid user info provided:', userInfo);
+                return;
+            }
+
+            this.setMeta('user_info', {
+                timestamp: new Date().toISOString(),
+                ...userInfo
+            });
+            this.logger.info('User info saved successfully');
+        } catch (error) {
+            this.logger.error('Failed to save user info:', error);
+        }
+    }
+
+    async loadUserInfo() {
+        try {
+            return this.getMeta('user_info');
+        } catch (error) {
+            this.logger.error('Failed to load user info:', error);
+            return null;
+        }
+    }
+
+    // Аналитика
+
+    async saveAnalytics(days, lastSyncDate) {
+        const statement = this.db.prepare(`
+            INSERT INTO analytics (date, user, data) VALUES (?, ?, ?)
+            ON CONFLICT(date, user) DO UPDATE SET data = excluded.data
+        `);
+
+        const saveAll = this.db.transaction(() => {
+            for (const day of days) {
+                statement.run(day.date, day.user || '', JSON.stringify(day));
+            }
+            this.setMeta('analytics_sync', {
+                timestamp: new Date().toISOString(),
+                lastSyncDate
+            });
+        });
+        saveAll();
+
+        this.logger.info(`Saved ${days.length} analytics days`);
+    }
+
+    async loadAnalytics(filter = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filter.from) {
+            conditions.push('date >= ?');
+            params.push(filter.from.toISOString().split('T')[0]);
+        }
+        if (filter.to) {
+            conditions.push('date <= ?');
+            params.push(filter.to.toISOString().split('T')[0]);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db.prepare(`SELECT data FROM analytics ${where} ORDER BY date, user`)
+            .all(...params)
+            .map(row => JSON.parse(row.data))
+            .filter(day => this.matchesAnalyticsFilter(day, filter));
+    }
+
+    async getAnalyticsSyncMetadata() {
+        return this.getMeta('analytics_sync');
+    }
+
+    // Хранение
+
+    async loadRollups(filter = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filter.from) {
+            conditions.push('date >= ?');
+            params.push(filter.from.toISOString().split('T')[0]);
+        }
+        if (filter.to) {
+            conditions.push('date <= ?');
+            params.push(filter.to.toISOString().split('T')[0]);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db.prepare(`SELECT data FROM rollups ${where} ORDER BY date, model, kind, user`)
+            .all(...params)
+            .map(row => JSON.parse(row.data))
+            .filter(row => matchesRollupFilter(row, filter));
+    }
+
+    async saveRollups(rows, state) {
+        const statement = this.db.prepare('INSERT INTO rollups (date, model, kind, user, data) VALUES (?, ?, ?, ?, ?)');
+
+        const replaceAll = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM rollups').run();
+            for (const row of rows) {
+                statement.run(row.date, row.model, row.kind, row.user || '', JSON.stringify(row));
+            }
+            this.setMeta('retention', state);
+        });
+        replaceAll();
+
+        this.logger.info(`Saved ${rows.length} rollup rows`);
+    }
+
+    async getRetentionState() {
+        return this.getMeta('retention');
+    }
+
+    // Статистика
+
+    async saveStats(stats) {
+        this.setMeta('stats', stats);
+    }
+
+    async loadStats() {
+        try {
+            const stats = this.getMeta('stats');
+            if (!stats) {
+                this.logger.info('No existing stats found');
+            }
+            return stats;
+        } catch (error) {
+            this.logger.error('Failed to load stats:', error);
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,783 @@
+import { CONFIG } from '../config/constants.js';
+import { matchesEventFilter } from './event_filter.js';
+import { buildQueryResult, compareEvents, isAfterCursor } from './event_query.js';
+import { isMaxModeEvent } from './event_record.js';
+import {
+    advanceRetentionState,
+    archiveEvents,
+    getRetentionCutoff,
+    isRolledUp,
+    rollupEvents
+} from './retention.js';
+
+// Версия формата stats.json: при изменении набора полей статистика пересчитывается при запуске
+export const STATS_VERSION = 6;
+
+function isChargedKind(kind) {
+    return kind !== 'errored_not_charged' && kind !== 'USAGE_EVENT_KIND_ERRORED_NOT_CHARGED';
+}
+
+function createModelStats() {
+    return {
+        count: 0,
+        tokens: 0,
+        cost: 0,
+        credits: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        maxMode: 0,
+        listCost: 0
+    };
+}
+
+function createKindStats() {
+    return {
+        count: 0,
+        tokens: 0,
+        cost: 0,
+        credits: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        maxMode: 0
+    };
+}
+
+function createDateStats() {
+    return { count: 0, tokens: 0, cost: 0, chargedCost: 0, includedCost: 0, credits: 0, maxMode: 0 };
+}
+
+function createUserStats() {
+    return {
+        count: 0,
+        tokens: 0,
+        cost: 0,
+        chargedCost: 0,
+        includedCost: 0,
+        credits: 0,
+        maxMode: 0,
+        lastActivity: null
+    };
+}
+
+// Поля статистики, которые не являются счетчиками событий
+const STATS_META_FIELDS = ['version', 'timestamp', 'recentEvents'];
+
+// Прибавляет счетчики статистики source к target (sign = -1 - вычитает). Группы (модель, тип,
+// дата, участник) без событий удаляются, время последней активности только растет
+function addStatsCounters(target, source, sign) {
+    for (const [key, value] of Object.entries(source)) {
+        if (typeof value === 'number') {
+            target[key] = (target[key] || 0) + sign * value;
+        } else if (typeof value === 'string') {
+            if (sign > 0 && (!target[key] || value > target[key])) {
+                target[key] = value;
+            }
+        } else if (value && typeof value === 'object') {
+            addStatsCounters(target[key] || (target[key] = {}), value, sign);
+            if (target[key].count === 0) {
+                delete target[key];
+            }
+        }
+    }
+}
+
+// Базовый класс хранилища: общая логика (статистика, поиск обновлений событий),
+// а чтение и запись реализуют конкретные бэкенды (JSON-файлы, SQLite)
+export class StorageBackend {
+    async initialize() {
+        throw new Error(`${this.constructor.name}.initialize() is not implemented`);
+    }
+
+    // События
+
+    async saveUsageData(data, isIncremental = false, lastSyncDate = null) {
+        throw new Error(`${this.constructor.name}.saveUsageData() is not implemented`);
+    }
+
+    async loadUsageData() {
+        throw new Error(`${this.constructor.name}.loadUsageData() is not implemented`);
+    }
+
+    // options.lastSyncDate - сохранить эту дату последней синхронизации вместо вычисленной (загрузка истории)
+    async mergeUsageData(newData, isIncremental = false, options = {}) {
+        throw new Error(`${this.constructor.name}.mergeUsageData() is not implemented`);
+    }
+
+    // Перезаписывает список событий, не трогая метаданные синхронизации
+    async replaceEvents(events) {
+        throw new Error(`${this.constructor.name}.replaceEvents() is not implemented`);
+    }
+
+    async loadEvents() {
+        const data = await this.loadUsageData();
+        return data?.events || [];
+    }
+
+    // Последовательно отдает события, подходящие под фильтр (см. event_filter.js),
+    // в хронологическом порядке (order = 'asc') или от новых к старым ('desc')
+    async *iterateEvents(filter = {}, order = 'asc') {
+        const events = (await this.loadEvents()).filter(event => matchesEventFilter(event, filter));
+        const direction = order === 'desc' ? -1 : 1;
+        events.sort((a, b) => direction * (new Date(a.date) - new Date(b.date)));
+
+        yield* events;
+    }
+
+    // Страница событий по запросу из parseEventQuery (event_query.js)
+    async queryEvents(query) {
+        const events = (await this.loadEvents()).filter(event => matchesEventFilter(event, query.filter));
+        events.sort((a, b) => compareEvents(a, b, query.sort, query.order));
+
+        const startIndex = query.cursor
+            ? events.findIndex(event => isAfterCursor(event, query.cursor, query.sort, query.order))
+            : 0;
+        const page = startIndex === -1 ? [] : events.slice(startIndex, startIndex + query.limit + 1);
+
+        return buildQueryResult(page, query, events.length);
+    }
+
+    // Удаляет события раньше time (мс), не трогая метаданные синхронизации, и пересчитывает статистику.
+    // Возвращает число удаленных событий
+    async deleteEventsBefore(time) {
+        throw new Error(`${this.constructor.name}.deleteEventsBefore() is not implemented`);
+    }
+
+    async findEvent(id) {
+        return (await this.loadEvents()).find(event => event.id === id) || null;
+    }
+
+    // Исходные ответы API из отдельного хранилища (RAW_DATA_MODE=separate): Map ID события -> rawData.
+    // Без ids - все сохраненные
+    async loadRawData(ids = null) {
+        throw new Error(`${this.constructor.name}.loadRawData() is not implemented`);
+    }
+
+    // Исходный ответ API события: из записи или из отдельного хранилища.
+    // undefined - события нет, null - ответ не сохранен (события из DOM, RAW_DATA_MODE=drop)
+    async getRawData(id) {
+        const event = await this.findEvent(id);
+        if (!event) return undefined;
+        if (event.rawData !== undefined) return event.rawData;
+        return (await this.loadRawData([id])).get(id) ?? null;
+    }
+
+    async appendUsageData(newData) {
+        // Перенаправляем на метод mergeUsageData
+        return this.mergeUsageData(newData, false);
+    }
+
+    // Метаданные синхронизации
+
+    async getSyncMetadata() {
+        throw new Error(`${this.constructor.name}.getSyncMetadata() is not implemented`);
+    }
+
+    async updateAdaptivePageSize(responseTime, eventsCount) {
+        throw new Error(`${this.constructor.name}.updateAdaptivePageSize() is not implemented`);
+    }
+
+    getDefaultSyncMetadata() {
+        return {
+            lastSyncDate: null,
+            adaptivePageSize: 500,
+            syncStrategy: 'full'
+        };
+    }
+
+    calculateAdaptivePageSize(currentPageSize, responseTime, eventsCount) {
+        // Адаптивная логика: если ответ быстрый - увеличиваем, если медленный - уменьшаем
+        let newPageSize = currentPageSize;
+
+        if (responseTime < 1000 && eventsCount === currentPageSize) {
+            // Быстрый ответ и полная страница - увеличиваем
+            newPageSize = Math.min(currentPageSize * 1.5, 1000);
+        } else if (responseTime > 3000) {
+            // Медленный ответ - уменьшаем
+            newPageSize = Math.max(currentPageSize * 0.7, 100);
+        }
+
+        return Math.round(newPageSize);
+    }
+
+    // Аналитика (дневные метрики get-user-analytics): записи { date, user, ...метрики },
+    // ключ записи - день и участник команды
+
+    async saveAnalytics(days, lastSyncDate) {
+        throw new Error(`${this.constructor.name}.saveAnalytics() is not implemented`);
+    }
+
+    async loadAnalytics(filter = {}) {
+        throw new Error(`${this.constructor.name}.loadAnalytics() is not implemented`);
+    }
+
+    async getAnalyticsSyncMetadata() {
+        throw new Error(`${this.constructor.name}.getAnalyticsSyncMetadata() is not implemented`);
+    }
+
+    getAnalyticsKey(day) {
+        return `${day.date}|${day.user || ''}`;
+    }
+
+    // Фильтр аналитики: from и to сравниваются по дню (YYYY-MM-DD), users - как у событий
+    matchesAnalyticsFilter(day, filter = {}) {
+        if (filter.from && day.date < filter.from.toISOString().split('T')[0]) return false;
+        if (filter.to && day.date > filter.to.toISOString().split('T')[0]) return false;
+        if (filter.users?.length > 0 && !filter.users.includes(day.user || 'unknown')) return false;
+        return true;
+    }
+
+    // Хранение: дневные агрегаты свернутых событий и состояние свертки (см. retention.js)
+
+    async loadRollups(filter = {}) {
+        throw new Error(`${this.constructor.name}.loadRollups() is not implemented`);
+    }
+
+    // Заменяет все агрегаты и состояние свертки
+    async saveRollups(rows, state) {
+        throw new Error(`${this.constructor.name}.saveRollups() is not implemented`);
+    }
+
+    async getRetentionState() {
+        throw new Error(`${this.constructor.name}.getRetentionState() is not implemented`);
+    }
+
+    // Сворачивает события старше days дней в агрегаты и удаляет их (archive - сначала дописать в архив).
+    // Сначала сохраняются агрегаты и граница, потом удаляются события: прерванная свертка не учтет события дважды.
+    // dryRun - только посчитать, что будет сделано
+    async applyRetention({ days = CONFIG.RETENTION_DAYS, archive = CONFIG.RETENTION_ARCHIVE, dryRun = false, now = Date.now() } = {}) {
+        if (!Number.isInteger(days) || days < 1) {
+            const error = new Error(`Invalid retention days: ${days} (set RETENTION_DAYS or pass a positive number of days)`);
+            error.status = 400;
+            throw error;
+        }
+
+        const cutoff = getRetentionCutoff(days, now);
+        const state = await this.getRetentionState();
+        const expired = [];
+        for await (const event of this.iterateEvents({ to: new Date(cutoff - 1) })) {
+            if (new Date(event.date).getTime() < cutoff) {
+                expired.push(event);
+            }
+        }
+        const pending = expired.filter(event => !isRolledUp(event, state));
+
+        const result = {
+            days,
+            cutoff: new Date(cutoff).toISOString(),
+            expiredEvents: expired.length,
+            rolledUpEvents: pending.length,
+            // Уже учтены в агрегатах (загружены заново после свертки) - удаляются без повторного учета
+            skippedEvents: expired.length - pending.length,
+            removedEvents: 0,
+            archived: null,
+            dryRun
+        };
+        if (dryRun) return result;
+
+        if (archive && expired.length > 0) {
+            // В архив события попадают вместе с исходными ответами API из отдельного хранилища
+            const payloads = await this.loadRawData(expired.filter(event => event.rawData === undefined).map(event => event.id));
+            result.archived = await archiveEvents(
+                this.paths.ARCHIVE_DIR,
+                expired.map(event => payloads.has(event.id) ? { ...event, rawData: payloads.get(event.id) } : event)
+            );
+        }
+
+        const rows = rollupEvents(pending, event => this.getChargedCost(event), await this.loadRollups());
+        await this.saveRollups(rows, advanceRetentionState(state, pending, cutoff, days));
+        result.removedEvents = await this.deleteEventsBefore(cutoff);
+
+        this.logger.info(`Retention: ${pending.length} events before ${result.cutoff} rolled up, ${result.removedEvents} removed`);
+        return result;
+    }
+
+    // Данные пользователя
+
+    async saveUserInfo(userInfo) {
+        throw new Error(`${this.constructor.name}.saveUserInfo() is not implemented`);
+    }
+
+    async loadUserInfo() {
+        throw new Error(`${this.constructor.name}.loadUserInfo() is not implemented`);
+    }
+
+    // Статистика
+
+    async saveStats(stats) {
+        throw new Error(`${this.constructor.name}.saveStats() is not implemented`);
+    }
+
+    async loadStats() {
+        throw new Error(`${this.constructor.name}.loadStats() is not implemented`);
+    }
+
+    // События из свернутого периода уже учтены в агрегатах (см. retention.js)
+    async updateStats(events) {
+        try {
+            const retention = await this.getRetentionState();
+            const rollups = retention ? await this.loadRollups() : [];
+            const stats = this.calculateStats(events.filter(event => !isRolledUp(event, retention)), rollups, retention);
+            await this.saveStats(stats);
+
+            this.logger.info('Statistics updated');
+            return stats;
+
+        } catch (error) {
+            this.logger.error('Failed to update stats:', error);
+            return null;
+        }
+    }
+
+    // Обновляет сохраненную статистику результатом diffEvents, не читая все события: вычитает
+    // счетчики прежних версий изменившихся событий и прибавляет счетчики новых событий и версий.
+    // Время последней активности не вычитается, поэтому если у события сменились дата или участник,
+    // как и без статистики текущего формата, она пересчитывается полностью
+    async applyStatsChanges(added, updated) {
+        try {
+            const stats = await this.loadStats();
+            const movesActivity = updated.some(([existingEvent, updatedEvent]) =>
+                existingEvent.user !== updatedEvent.user ||
+                new Date(existingEvent.date).getTime() !== new Date(updatedEvent.date).getTime());
+            if (!stats || stats.version !== STATS_VERSION || movesActivity) {
+                return this.updateStats(await this.loadEvents());
+            }
+
+            const retention = await this.getRetentionState();
+            const isCounted = event => !isRolledUp(event, retention);
+            const removedEvents = updated.map(([existingEvent]) => existingEvent).filter(isCounted);
+            const addedEvents = [...added, ...updated.map(([, updatedEvent]) => updatedEvent)].filter(isCounted);
+
+            for (const [events, sign] of [[removedEvents, -1], [addedEvents, 1]]) {
+                const delta = this.calculateStats(events);
+                STATS_META_FIELDS.forEach(field => delete delta[field]);
+                addStatsCounters(stats, delta, sign);
+            }
+
+            // Последние события - из прежних, кроме замененных, и новых
+            const replacedIds = new Set(removedEvents.map(event => event.id));
+            stats.recentEvents = this.calculateStats([
+                ...stats.recentEvents.filter(event => !replacedIds.has(event.id)),
+                ...addedEvents
+            ]).recentEvents;
+            stats.timestamp = new Date().toISOString();
+            await this.saveStats(stats);
+
+            this.logger.info('Statistics updated');
+            return stats;
+
+        } catch (error) {
+            this.logger.error('Failed to update stats:', error);
+            return null;
+        }
+    }
+
+    // Пересчитывает статистику, если она сохранена в устаревшем формате
+    async refreshStatsIfOutdated() {
+        const stats = await this.loadStats();
+        if (stats && stats.version === STATS_VERSION) return;
+
+        const events = await this.loadEvents();
+        if (events.length > 0 || await this.getRetentionState()) {
+            this.logger.info(`Recalculating statistics (format version ${stats?.version || 1} → ${STATS_VERSION})`);
+            await this.updateStats(events);
+        }
+    }
+
+    // rollups - дневные агрегаты свернутых событий, retention - состояние свертки
+    calculateStats(data, rollups = [], retention = null) {
+        const stats = {
+            version: STATS_VERSION,
+            timestamp: new Date().toISOString(),
+            totalEvents: data.length,
+            totalTokens: 0,
+            totalCost: 0,
+            estimatedCost: 0,
+            totalMaxMode: 0,
+            chargedCost: 0,
+            includedCost: 0,
+            listCost: 0,
+            includedListCost: 0,
+            costMismatches: 0,
+            totalCredits: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            cacheReadTokens: 0,
+            cacheWriteTokens: 0,
+            byModel: {},
+            byKind: {},
+            byDate: {},
+            byUser: {},
+            rolledUpEvents: 0,
+            rolledUpFrom: retention?.rolledUpFrom || null,
+            rolledUpUntil: retention?.rolledUpUntil || null,
+            recentEvents: []
+        };
+
+        // Обрабатываем каждое событие
+        data.forEach(event => {
+            // Общие счетчики
+            stats.totalTokens += event.tokens || 0;
+
+            // maxMode нормализованной записи (у записей версии 1 - с приоритетом rawData)
+            const maxMode = isMaxModeEvent(event);
+            if (maxMode) {
+                stats.totalMaxMode++;
+            }
+
+            // Используем правильную стоимость из costInfo
+            let eventCost = 0;
+            if (event.costInfo && event.costInfo.originalCost) {
+                eventCost = event.costInfo.originalCost;
+            } else {
+                eventCost = event.cost || 0;
+            }
+
+            // Добавляем к общей стоимости только если событие было оплачено
+            if (isChargedKind(event.kind)) {
+                stats.totalCost += eventCost;
+            }
+
+            // Списанная стоимость и стоимость, покрытая планом (как на дашборде)
+            stats.chargedCost += this.getChargedCost(event);
+            if (event.costInfo && event.costInfo.isIncluded) {
+                stats.includedCost += event.costInfo.originalCost || 0;
+            }
+            stats.totalCredits += event.costInfo?.requestsCosts || event.credits || 0;
+
+            // Стоимость по таблице цен: для включенных в план событий это сэкономленная сумма
+            const listCost = event.costInfo?.listCost;
+            if (typeof listCost === 'number') {
+                stats.listCost += listCost;
+                if (event.costInfo.isIncluded) {
+                    stats.includedListCost += listCost;
+                }
+            }
+            if (event.costInfo?.costMismatch) {
+                stats.costMismatches++;
+            }
+
+            if (event.tokenUsage) {
+                stats.inputTokens += event.tokenUsage.inputTokens || 0;
+                stats.outputTokens += event.tokenUsage.outputTokens || 0;
+                stats.cacheReadTokens += event.tokenUsage.cacheReadTokens || 0;
+                stats.cacheWriteTokens += event.tokenUsage.cacheWriteTokens || 0;
+            }
+
+            // Estimated Cost включает все события (включая errored)
+            stats.estimatedCost += eventCost;
+
+            // По моделям
+            const model = event.model || 'unknown';
+            if (!stats.byModel[model]) {
+                stats.byModel[model] = createModelStats();
+            }
+            stats.byModel[model].count++;
+            stats.byModel[model].tokens += event.tokens || 0;
+            // Добавляем стоимость только если событие было оплачено
+            if (isChargedKind(event.kind)) {
+                stats.byModel[model].cost += eventCost;
+            }
+            stats.byModel[model].credits += event.credits || 0;
+            stats.byModel[model].listCost += listCost || 0;
+            if (maxMode) {
+                stats.byModel[model].maxMode++;
+            }
+
+            // Детальные токены
+            if (event.tokenUsage) {
+                stats.byModel[model].inputTokens += event.tokenUsage.inputTokens || 0;
+                stats.byModel[model].outputTokens += event.tokenUsage.outputTokens || 0;
+                stats.byModel[model].cacheReadTokens += event.tokenUsage.cacheReadTokens || 0;
+                stats.byModel[model].cacheWriteTokens += event.tokenUsage.cacheWriteTokens || 0;
+            }
+
+            // По типам
+            const kind = event.kind || 'unknown';
+            if (!stats.byKind[kind]) {
+                stats.byKind[kind] = createKindStats();
+            }
+            stats.byKind[kind].count++;
+            stats.byKind[kind].tokens += event.tokens || 0;
+            // Всегда добавляем стоимость для отображения по типам
+            stats.byKind[kind].cost += eventCost;
+            stats.byKind[kind].credits += event.credits || 0;
+            if (maxMode) {
+                stats.byKind[kind].maxMode++;
+            }
+
+            // Детальные токены
+            if (event.tokenUsage) {
+                stats.byKind[kind].inputTokens += event.tokenUsage.inputTokens || 0;
+                stats.byKind[kind].outputTokens += event.tokenUsage.outputTokens || 0;
+                stats.byKind[kind].cacheReadTokens += event.tokenUsage.cacheReadTokens || 0;
+                stats.byKind[kind].cacheWriteTokens += event.tokenUsage.cacheWriteTokens || 0;
+            }
+
+            // По датам
+            const date = new Date(event.date).toISOString().split('T')[0];
+            if (!stats.byDate[date]) {
+                stats.byDate[date] = createDateStats();
+            }
+            stats.byDate[date].count++;
+            stats.byDate[date].tokens += event.tokens || 0;
+            stats.byDate[date].cost += eventCost;
+            stats.byDate[date].chargedCost += this.getChargedCost(event);
+            if (event.costInfo && event.costInfo.isIncluded) {
+                stats.byDate[date].includedCost += event.costInfo.originalCost || 0;
+            }
+            stats.byDate[date].credits += event.credits || 0;
+            if (maxMode) {
+                stats.byDate[date].maxMode++;
+            }
+
+            // По участникам команды: кто расходует включенную в план квоту
+            const user = event.user || 'unknown';
+            if (!stats.byUser[user]) {
+                stats.byUser[user] = createUserStats();
+            }
+            const userStats = stats.byUser[user];
+            userStats.count++;
+            userStats.tokens += event.tokens || 0;
+            userStats.cost += eventCost;
+            userStats.chargedCost += this.getChargedCost(event);
+            if (event.costInfo && event.costInfo.isIncluded) {
+                userStats.includedCost += event.costInfo.originalCost || 0;
+            }
+            userStats.credits += event.credits || 0;
+            if (maxMode) {
+                userStats.maxMode++;
+            }
+            const eventDate = new Date(event.date).toISOString();
+            if (!userStats.lastActivity || eventDate > userStats.lastActivity) {
+                userStats.lastActivity = eventDate;
+            }
+        });
+
+        rollups.forEach(row => this.addRollupToStats(stats, row));
+
+        // Сортируем по дате и берем последние 10 событий
+        stats.recentEvents = data
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, 10)
+            .map(event => ({
+                id: event.id,
+                date: event.date,
+                model: event.model,
+                kind: event.kind,
+                kindDisplay: event.kindDisplay,
+                tokens: event.tokens,
+                cost: event.cost,
+                tokenUsage: event.tokenUsage,
+                costInfo: event.costInfo,
+                credits: event.credits,
+                maxMode: isMaxModeEvent(event),
+                user: event.user
+            }));
+
+        return stats;
+    }
+
+    // Агрегат дня (retention.js) добавляется к тем же счетчикам, что и события
+    addRollupToStats(stats, row) {
+        const charged = isChargedKind(row.kind);
+        stats.totalEvents += row.count;
+        stats.rolledUpEvents += row.count;
+        stats.totalTokens += row.tokens;
+        stats.totalMaxMode += row.maxMode;
+        stats.totalCost += charged ? row.cost : 0;
+        stats.estimatedCost += row.cost;
+        stats.chargedCost += row.chargedCost;
+        stats.includedCost += row.includedCost;
+        stats.listCost += row.listCost;
+        stats.includedListCost += row.includedListCost;
+        stats.costMismatches += row.costMismatches;
+        stats.totalCredits += row.requestCredits;
+        stats.inputTokens += row.inputTokens;
+        stats.outputTokens += row.outputTokens;
+        stats.cacheReadTokens += row.cacheReadTokens;
+        stats.cacheWriteTokens += row.cacheWriteTokens;
+
+        const model = stats.byModel[row.model] || (stats.byModel[row.model] = createModelStats());
+        const kind = stats.byKind[row.kind] || (stats.byKind[row.kind] = createKindStats());
+        for (const target of [model, kind]) {
+            target.count += row.count;
+            target.tokens += row.tokens;
+            target.credits += row.credits;
+            target.inputTokens += row.inputTokens;
+            target.outputTokens += row.outputTokens;
+            target.cacheReadTokens += row.cacheReadTokens;
+            target.cacheWriteTokens += row.cacheWriteTokens;
+            target.maxMode += row.maxMode;
+        }
+        model.cost += charged ? row.cost : 0;
+        model.listCost += row.listCost;
+        kind.cost += row.cost;
+
+        const userName = row.user || 'unknown';
+        const date = stats.byDate[row.date] || (stats.byDate[row.date] = createDateStats());
+        const user = stats.byUser[userName] || (stats.byUser[userName] = createUserStats());
+        for (const target of [date, user]) {
+            target.count += row.count;
+            target.tokens += row.tokens;
+            target.cost += row.cost;
+            target.chargedCost += row.chargedCost;
+            target.includedCost += row.includedCost;
+            target.credits += row.credits;
+            target.maxMode += row.maxMode;
+        }
+        if (row.lastActivity && (!user.lastActivity || row.lastActivity > user.lastActivity)) {
+            user.lastActivity = row.lastActivity;
+        }
+    }
+
+    // Фактически списанная стоимость: события, включенные в план или бесплатные, не учитываются
+    getChargedCost(event) {
+        if (event.costInfo && (event.costInfo.isIncluded || event.costInfo.isFree)) {
+            return 0;
+        }
+        return event.cost || 0;
+    }
+
+    getActiveEvents(events) {
+        if (!events || events.length === 0) return [];
+
+        const now = Date.now();
+        const checkHours = CONFIG.ACTIVE_EVENTS_CHECK_HOURS;
+        const checkMs = checkHours * 60 * 60 * 1000;
+        const cutoffTime = now - checkMs;
+
+        // this.logger.info(`Filtering events: now=${now}, cutoffTime=${cutoffTime}, checkHours=${checkHours}`);
+        // this.logger.info(`Cutoff time as date: ${new Date(cutoffTime).toISOString()}`);
+
+        // Фильтруем события по времени
+        const timeFilteredEvents = events.filter(event => {
+            try {
+                const eventTime = new Date(event.date).getTime();
+                const isRecent = eventTime >= cutoffTime;
+                // if (!isRecent) {
+                //     this.logger.debug(`Event ${event.id} too old: ${event.date} (${eventTime}) < ${cutoffTime}`);
+                // } else {
+                //     this.logger.debug(`Event ${event.id} is recent: ${event.date} (${eventTime}) >= ${cutoffTime}`);
+                // }
+                return isRecent;
+            } catch (error) {
+                this.logger.error(`Failed to parse event date: ${event.date}`, error);
+                return false;
+            }
+        });
+
+        // this.logger.info(`Time filtered events: ${timeFilteredEvents.length} out of ${events.length}`);
+
+        // Берем последние N событий (что больше)
+        const maxCount = CONFIG.ACTIVE_EVENTS_MAX_COUNT;
+        const activeEvents = timeFilteredEvents.length > maxCount
+            ? timeFilteredEvents.slice(0, maxCount)
+            : timeFilteredEvents;
+
+        // this.logger.info(`Active events: ${activeEvents.length} (maxCount=${maxCount})`);
+
+        return activeEvents;
+    }
+
+    isEventUpdated(existingEvent, newEvent) {
+        // Сравниваем ключевые поля
+        const fieldsToCompare = [
+            'credits',
+            'tokens',
+            'cost',
+            'kind',
+            'model'
+        ];
+
+        for (const field of fieldsToCompare) {
+            if (existingEvent[field] !== newEvent[field]) {
+                this.logger.info(`Field ${field} changed: ${existingEvent[field]} → ${newEvent[field]}`);
+                return true;
+            }
+        }
+
+        // Дополнительное логирование для отладки (отключено)
+        // this.logger.debug(`Comparing events: existing=${existingEvent.id}, new=${newEvent.id}`);
+        // this.logger.debug(`Existing credits: ${existingEvent.credits}, new credits: ${newEvent.credits}`);
+        // this.logger.debug(`Existing tokens: ${existingEvent.tokens}, new tokens: ${newEvent.tokens}`);
+
+        // Проверяем tokenUsage
+        if (existingEvent.tokenUsage && newEvent.tokenUsage) {
+            const tokenFields = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+            for (const field of tokenFields) {
+                if (existingEvent.tokenUsage[field] !== newEvent.tokenUsage[field]) {
+                    this.logger.info(`Token field ${field} changed: ${existingEvent.tokenUsage[field]} → ${newEvent.tokenUsage[field]}`);
+                    return true;
+                }
+            }
+        }
+
+        // Проверяем costInfo
+        if (existingEvent.costInfo && newEvent.costInfo) {
+            const costFields = ['originalCost', 'discountedCost', 'discount'];
+            for (const field of costFields) {
+                if (existingEvent.costInfo[field] !== newEvent.costInfo[field]) {
+                    this.logger.info(`Cost field ${field} changed: ${existingEvent.costInfo[field]} → ${newEvent.costInfo[field]}`);
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    // Сравнивает свежие события с сохраненными: возвращает новые события
+    // и пары [старое, новое] для изменившихся событий.
+    // События сопоставляются по стабильному ID; если у активного события изменились токены
+    // (а значит и ID), оно находится по времени - но только когда в эту миллисекунду
+    // ровно одно событие и среди сохраненных, и среди новых
+    diffEvents(existingEvents, activeEvents, newData) {
+        const existingById = new Map(existingEvents.map(event => [event.id, event]));
+        activeEvents.forEach(event => existingById.set(event.id, event));
+
+        const matchedIds = new Set(newData.filter(event => existingById.has(event.id)).map(event => event.id));
+        const unmatchedActiveByTime = this.groupByTime(activeEvents.filter(event => !matchedIds.has(event.id)));
+        const unmatchedNewByTime = this.groupByTime(newData.filter(event => !existingById.has(event.id)));
+
+        const added = [];
+        const updated = [];
+
+        for (const newEvent of newData) {
+            let existingEvent = existingById.get(newEvent.id);
+
+            if (!existingEvent) {
+                const time = new Date(newEvent.date).getTime();
+                const candidates = unmatchedActiveByTime.get(time) || [];
+                const siblings = unmatchedNewByTime.get(time) || [];
+                if (candidates.length === 1 && siblings.length === 1) {
+                    existingEvent = candidates[0];
+                }
+            }
+
+            if (!existingEvent) {
+                added.push(newEvent);
+            } else if (this.isEventUpdated(existingEvent, newEvent)) {
+                this.logger.info(`Event ${existingEvent.id} updated: credits ${existingEvent.credits} → ${newEvent.credits}`);
+                updated.push([existingEvent, newEvent]);
+            }
+        }
+
+        return { added, updated };
+    }
+
+    groupByTime(events) {
+        const groups = new Map();
+        for (const event of events) {
+            const time = new Date(event.date).getTime();
+            if (!groups.has(time)) {
+                groups.set(time, []);
+            }
+            groups.get(time).push(event);
+        }
+        return groups;
+    }
+}
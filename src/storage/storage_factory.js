@@ -0,0 +1,20 @@
+import { CONFIG } from '../config/constants.js';
+import { DataStorage } from './data_storage.js';
+import { SqliteStorage } from './sqlite_storage.js';
+import { RAW_DATA_MODES } from './event_record.js';
+
+// Создает хранилище выбранного бэкенда (CONFIG.STORAGE_BACKEND) в каталоге dataDir
+export function createStorage(backend = CONFIG.STORAGE_BACKEND, dataDir = CONFIG.OUTPUT_DIR) {
+    if (!RAW_DATA_MODES.includes(CONFIG.RAW_DATA_MODE)) {
+        throw new Error(`Unknown RAW_DATA_MODE: ${CONFIG.RAW_DATA_MODE} (expected ${RAW_DATA_MODES.join(', ')})`);
+    }
+
+    switch (backend) {
+        case 'json':
+            return new DataStorage(dataDir);
+        case 'sqlite':
+            return new SqliteStorage(dataDir);
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
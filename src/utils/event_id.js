@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+
+// Поля API, в которых может прийти идентификатор запроса
+const REQUEST_ID_FIELDS = ['requestId', 'request_id', 'usageEventId', 'eventId'];
+
+export function getRequestId(rawEvent) {
+    for (const field of REQUEST_ID_FIELDS) {
+        if (rawEvent[field]) {
+            return String(rawEvent[field]);
+        }
+    }
+    return null;
+}
+
+// Поля API с идентификатором участника команды (в командной выборке)
+const USER_FIELDS = ['userEmail', 'owningUser', 'userId'];
+
+export function getEventUser(rawEvent) {
+    for (const field of USER_FIELDS) {
+        if (rawEvent[field]) {
+            return String(rawEvent[field]);
+        }
+    }
+    return null;
+}
+
+// Детерминированный ключ события из исходных полей API.
+// Если API отдает ID запроса, ключ строится по нему (и не меняется при обновлении токенов),
+// иначе - по времени, модели, типу и количеству токенов.
+// В командной выборке в ключ входит участник: одинаковые запросы двух людей - разные события
+export function buildEventKey(rawEvent, user = null) {
+    const requestId = getRequestId(rawEvent);
+    const tokenUsage = rawEvent.tokenUsage || {};
+
+    const parts = requestId
+        ? [String(rawEvent.timestamp), requestId]
+        : [
+            String(rawEvent.timestamp),
+            rawEvent.model || '',
+            rawEvent.kind || '',
+            tokenUsage.inputTokens || 0,
+            tokenUsage.outputTokens || 0,
+            tokenUsage.cacheReadTokens || 0,
+            tokenUsage.cacheWriteTokens || 0
+        ];
+    if (user) {
+        parts.push(user);
+    }
+
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+}
+
+// ID вида <timestamp>_<первые 12 символов ключа>: сортируется по времени и читается в логах
+export function buildEventId(rawEvent, user = null) {
+    return `${rawEvent.timestamp}_${buildEventKey(rawEvent, user).slice(0, 12)}`;
+}
+
+// Полностью одинаковые события в одной выборке получают суффиксы _2, _3... по порядку.
+// Возвращает ID, которые встретились больше одного раза
+export function disambiguateEventIds(events) {
+    const seen = new Map();
+    const collisions = new Set();
+
+    for (const event of events) {
+        const count = (seen.get(event.id) || 0) + 1;
+        seen.set(event.id, count);
+
+        if (count > 1) {
+            collisions.add(event.id);
+            event.id = `${event.id}_${count}`;
+        }
+    }
+
+    return [...collisions];
+}
+
+// Старые ID: <timestamp>_<9 случайных символов base36>
+export function isLegacyEventId(id) {
+    return typeof id === 'string' && /^\d+_[0-9a-z]{1,9}$/.test(id);
+}
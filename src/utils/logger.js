@@ -1,8 +1,28 @@
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Общие для всех модулей настройки вывода: CLI поднимает уровень и уводит логи в stderr,
+// чтобы в stdout оставались только таблицы и JSON
+const settings = {
+    level: 'info',
+    stderr: false
+};
+
 export class Logger {
     constructor(module = 'App') {
         this.module = module;
     }
 
+    static configure(options = {}) {
+        if (options.level !== undefined && !LEVELS.includes(options.level)) {
+            throw new Error(`Unknown log level: ${options.level}`);
+        }
+        Object.assign(settings, options);
+    }
+
+    isEnabled(level) {
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(settings.level);
+    }
+
     formatMessage(level, message, ...args) {
         const timestamp = new Date().toISOString();
         const moduleTag = `[${this.module}]`;
@@ -18,10 +38,12 @@ export class Logger {
     }
 
     info(message, ...args) {
-        console.log(this.formatMessage('info', message, ...args));
+        if (!this.isEnabled('info')) return;
+        (settings.stderr ? console.error : console.log)(this.formatMessage('info', message, ...args));
     }
 
     warn(message, ...args) {
+        if (!this.isEnabled('warn')) return;
         console.warn(this.formatMessage('warn', message, ...args));
     }
 
@@ -31,7 +53,7 @@ export class Logger {
 
     debug(message, ...args) {
         if (process.env.NODE_ENV === 'development') {
-            console.debug(this.formatMessage('debug', message, ...args));
+            (settings.stderr ? console.error : console.debug)(this.formatMessage('debug', message, ...args));
         }
     }
 }
@@ -0,0 +1,134 @@
+import { Logger } from '../utils/logger.js';
+
+// Канал Server-Sent Events: типизированные сообщения с последовательными ID,
+// буфер последних сообщений для докачки по Last-Event-ID и heartbeat для прокси.
+// ID имеет вид <streamId>-<seq>: streamId меняется при перезапуске сервера,
+// поэтому ID из прошлого запуска не принимается за позицию в текущем буфере
+export class SseChannel {
+    constructor({ bufferSize = 100, heartbeatInterval = 15000, retryInterval = 5000 } = {}) {
+        this.bufferSize = bufferSize;
+        this.heartbeatInterval = heartbeatInterval;
+        this.retryInterval = retryInterval;
+        this.streamId = Date.now().toString(36);
+        this.seq = 0;
+        this.buffer = [];
+        this.clients = new Set();
+        this.heartbeatTimer = null;
+        this.logger = new Logger('SseChannel');
+    }
+
+    get clientCount() {
+        return this.clients.size;
+    }
+
+    get lastEventId() {
+        return `${this.streamId}-${this.seq}`;
+    }
+
+    formatMessage(type, payload, id = null) {
+        const idLine = id ? `id: ${id}\n` : '';
+        return `${idLine}event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+    }
+
+    // Сообщения после lastEventId или null, если докачать нельзя
+    // (другой запуск сервера или сообщения уже вытеснены из буфера)
+    getMissedMessages(lastEventId) {
+        const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId || '');
+        if (!match || match[1] !== this.streamId) return null;
+
+        const seq = parseInt(match[2]);
+        if (seq > this.seq) return null;
+
+        const oldestSeq = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+        if (seq < oldestSeq - 1) return null;
+
+        return this.buffer.filter(message => message.seq > seq);
+    }
+
+    // Подключает клиента. Возвращает true, если пропущенные сообщения докачаны,
+    // и false, если клиенту нужен полный снимок состояния
+    addClient(res, lastEventId = null) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
+        });
+        res.write(`retry: ${this.retryInterval}\n\n`);
+
+        const missed = lastEventId ? this.getMissedMessages(lastEventId) : null;
+        if (missed) {
+            missed.forEach(message => res.write(message.text));
+            this.logger.info(`Client resumed from ${lastEventId}, replayed ${missed.length} messages`);
+        }
+
+        this.clients.add(res);
+        res.on('close', () => this.removeClient(res));
+        this.startHeartbeat();
+
+        return Boolean(missed);
+    }
+
+    removeClient(res) {
+        this.clients.delete(res);
+        if (this.clients.size === 0) {
+            this.stopHeartbeat();
+        }
+    }
+
+    // Отправка одному клиенту без записи в буфер (снимок состояния при подключении)
+    send(res, type, payload) {
+        res.write(this.formatMessage(type, payload, this.lastEventId));
+    }
+
+    // Рассылка всем клиентам; сообщение сохраняется в буфере для докачки
+    publish(type, payload) {
+        this.seq++;
+        const message = {
+            seq: this.seq,
+            text: this.formatMessage(type, payload, this.lastEventId)
+        };
+
+        this.buffer.push(message);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.writeAll(message.text);
+    }
+
+    writeAll(text) {
+        for (const client of this.clients) {
+            try {
+                client.write(text);
+            } catch (error) {
+                // Убираем отключившихся клиентов
+                this.removeClient(client);
+            }
+        }
+    }
+
+    startHeartbeat() {
+        if (this.heartbeatTimer || this.heartbeatInterval <= 0) return;
+
+        // Комментарий SSE не вызывает событий у клиента, но не дает прокси закрыть соединение
+        this.heartbeatTimer = setInterval(() => this.writeAll(`: heartbeat ${Date.now()}\n\n`), this.heartbeatInterval);
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    close() {
+        this.stopHeartbeat();
+        for (const client of this.clients) {
+            client.end();
+        }
+        this.clients.clear();
+    }
+}
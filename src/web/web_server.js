@@ -2,34 +2,148 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { CONFIG } from '../config/constants.js';
-import { DataStorage } from '../storage/data_storage.js';
+import { loadAccountConfigs } from '../accounts/account_config.js';
+import { createStorage } from '../storage/storage_factory.js';
+import { parseEventFilter } from '../storage/event_filter.js';
+import { parseEventQuery, projectEvent } from '../storage/event_query.js';
+import { parseVerifyQuery, verifyEvents } from '../storage/event_integrity.js';
+import { EXPORT_FORMATS, writeEvents } from '../export/event_export.js';
+import { collectDailyCosts, summarizeAnalytics } from '../analytics/analytics_summary.js';
+import { buildTimeSeries, parseTimeSeriesQuery } from '../stats/time_series.js';
+import {
+    buildBillingReport,
+    getBillingCycle,
+    getCycleAnchor,
+    getPlanAllowance,
+    listBillingCycles,
+    summarizeBillingCycles
+} from '../billing/billing_cycle.js';
+import { buildForecast } from '../billing/forecast.js';
+import { collectSimulationUsage, loadPlans, simulatePlans } from '../billing/plan_simulator.js';
+import { importCookies } from '../cookies/cookie_import.js';
+import { BackfillState, parseBackfillOptions, summarizeBackfillPlan } from '../collectors/backfill_state.js';
+import { isAuthError } from '../collectors/session_state.js';
+import { SyncJournal } from '../collectors/sync_journal.js';
 import { Logger } from '../utils/logger.js';
+import { SseChannel } from './sse_channel.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const MAX_BILLING_HISTORY_CYCLES = 24;
+const DEFAULT_SIMULATION_CYCLES = 3;
+const MAX_COOKIES_UPLOAD_SIZE = '1mb';
+// Экспорты cookies (cookies.txt, JSON, заголовок Cookie) - текст
+const COOKIES_UPLOAD_TYPES = ['text/plain', 'application/json'];
+const DEFAULT_SYNC_RUNS_LIMIT = 50;
+const SYNC_RUN_STATUSES = ['running', 'success', 'failed'];
+// Худшее состояние аккаунтов определяет общее состояние /api/health
+const HEALTH_LEVELS = ['healthy', 'degraded', 'unhealthy'];
+
+// stats и userInfo получают новый timestamp при каждом сохранении,
+// поэтому изменения определяем по содержимому без него
+function contentJson(value) {
+    const { timestamp, ...content } = value || {};
+    return JSON.stringify(content);
+}
+
+// Дневные агрегаты свернутых событий (RETENTION_DAYS) для расчетов по событиям фильтра, null - свертки не было
+async function loadFilterRollups(storage, filter) {
+    const state = await storage.getRetentionState();
+    return state ? { rows: await storage.loadRollups(filter), state } : null;
+}
+
 export class WebServer {
-    constructor() {
+    constructor(accounts = []) {
         this.app = express();
-        this.storage = new DataStorage();
+        this.accounts = new Map();
+        this.defaultAccountId = null;
         this.logger = new Logger('WebServer');
-        this.clients = []; // Store SSE clients
+        accounts.forEach(account => this.addAccount(account));
         this.setupRoutes();
     }
 
+    // Регистрирует аккаунт ({ id, name, storage, config }). Первый добавленный аккаунт
+    // обслуживает маршруты /api/... без идентификатора аккаунта.
+    // Account трекера дополнительно дает состояние сессии, журнал синхронизаций, загрузку новых cookies
+    // и запуск синхронизации
+    addAccount(account) {
+        const { id, name, storage, config = {} } = account;
+        this.accounts.set(id, {
+            id,
+            name,
+            storage,
+            config,
+            session: account.session || null,
+            // В режиме только дашборда журнал читается из каталога данных аккаунта
+            syncJournal: account.syncJournal || new SyncJournal(storage.paths.SYNC_RUNS_FILE),
+            backfillState: new BackfillState(storage.paths.BACKFILL_STATE_FILE),
+            updateCookies: typeof account.updateCookies === 'function'
+                ? cookies => account.updateCookies(cookies)
+                : null,
+            startSync: typeof account.startCollection === 'function'
+                ? options => account.startCollection('manual', options)
+                : null,
+            getSyncState: typeof account.getSyncState === 'function'
+                ? () => account.getSyncState()
+                : null,
+            verifyData: typeof account.verifyData === 'function'
+                ? options => account.verifyData(options)
+                : null,
+            sse: new SseChannel({
+                bufferSize: CONFIG.SSE_BUFFER_SIZE,
+                heartbeatInterval: CONFIG.SSE_HEARTBEAT_INTERVAL
+            }),
+            // Последние отправленные stats и userInfo: рассылаем только изменения
+            lastStatsJson: null,
+            lastUserInfoJson: null
+        });
+
+        if (!this.defaultAccountId) {
+            this.defaultAccountId = id;
+        }
+    }
+
     setupRoutes() {
         // Статические файлы
         this.app.use(express.static(path.join(__dirname, 'public')));
 
-        // API маршруты
-        this.app.get('/api/stats', this.getStats.bind(this));
-        this.app.get('/api/data', this.getData.bind(this));
-        this.app.get('/api/all-events', this.getAllEvents.bind(this));
-        this.app.get('/api/user-info', this.getUserInfo.bind(this));
-        this.app.get('/api/health', this.getHealth.bind(this));
+        // Маршруты данных одного аккаунта
+        const router = express.Router();
+        router.get('/stats', this.getStats.bind(this));
+        router.get('/data', this.getData.bind(this));
+        router.get('/all-events', this.getAllEvents.bind(this));
+        router.get('/events/query', this.queryEvents.bind(this));
+        router.get('/events/:id/raw', this.getEventRawData.bind(this));
+        router.get('/user-info', this.getUserInfo.bind(this));
+        router.get('/analytics', this.getAnalytics.bind(this));
+        router.get('/timeseries', this.getTimeSeries.bind(this));
+        router.get('/billing/current', this.getCurrentBilling.bind(this));
+        router.get('/forecast', this.getForecast.bind(this));
+        router.get('/simulate', this.simulatePlans.bind(this));
+        router.get('/export', this.exportEvents.bind(this));
+        router.get('/session', this.getSession.bind(this));
+        router.get('/sync', this.getSyncState.bind(this));
+        router.post('/sync', express.json(), this.triggerSync.bind(this));
+        router.get('/sync/runs', this.getSyncRuns.bind(this));
+        router.get('/backfill', this.getBackfill.bind(this));
+        router.get('/verify', this.verifyData.bind(this));
+        router.post('/verify', this.repairData.bind(this));
+        router.post('/backfill', express.json(), this.triggerBackfill.bind(this));
+        router.post(
+            '/session/cookies',
+            express.text({ type: COOKIES_UPLOAD_TYPES, limit: MAX_COOKIES_UPLOAD_SIZE }),
+            this.uploadCookies.bind(this)
+        );
 
         // Server-Sent Events endpoint for real-time updates
-        this.app.get('/api/events', this.handleSSE.bind(this));
+        router.get('/events', this.handleSSE.bind(this));
+
+        // API маршруты
+        this.app.get('/api/health', this.getHealth.bind(this));
+        this.app.get('/api/accounts', this.getAccounts.bind(this));
+        this.app.use('/api/accounts/:accountId', this.resolveAccount.bind(this), router);
+        this.app.use('/api', this.resolveAccount.bind(this), router);
 
         // Главная страница
         this.app.get('/', (req, res) => {
@@ -37,9 +151,30 @@ export class WebServer {
         });
     }
 
+    // Определяет аккаунт запроса: из пути /api/accounts/:accountId или аккаунт по умолчанию
+    resolveAccount(req, res, next) {
+        const accountId = req.params.accountId || this.defaultAccountId;
+        const account = this.accounts.get(accountId);
+        if (!account) {
+            return res.status(404).json({ error: `Unknown account: ${accountId}` });
+        }
+
+        req.account = account;
+        req.storage = account.storage;
+        next();
+    }
+
+    getAccounts(req, res) {
+        res.json([...this.accounts.values()].map(account => ({
+            id: account.id,
+            name: account.name,
+            default: account.id === this.defaultAccountId
+        })));
+    }
+
     async getStats(req, res) {
         try {
-            const stats = await this.storage.loadStats();
+            const stats = await req.storage.loadStats();
             if (!stats) {
                 return res.status(404).json({ error: 'No statistics available' });
             }
@@ -53,12 +188,13 @@ export class WebServer {
 
     async getData(req, res) {
         try {
-            const data = await this.storage.loadUsageData();
+            const data = await req.storage.loadUsageData();
             if (!data) {
                 return res.status(404).json({ error: 'No data available' });
             }
 
-            res.json(data);
+            // Исходные ответы API - только через /api/events/:id/raw
+            res.json({ ...data, events: (data.events || []).map(event => projectEvent(event, null)) });
         } catch (error) {
             this.logger.error('Failed to get data:', error);
             res.status(500).json({ error: 'Internal server error' });
@@ -67,22 +203,319 @@ export class WebServer {
 
     async getAllEvents(req, res) {
         try {
-            const data = await this.storage.loadUsageData();
-            if (!data || !data.events) {
+            const events = await req.storage.loadEvents();
+            if (events.length === 0) {
                 return res.status(404).json({ error: 'No events available' });
             }
 
-            res.json(data.events);
+            res.json(events.map(event => projectEvent(event, null)));
         } catch (error) {
             this.logger.error('Failed to get all events:', error);
             res.status(500).json({ error: 'Internal server error' });
         }
     }
 
+    // Исходный ответ API события (rawData) - из записи или из отдельного хранилища по RAW_DATA_MODE
+    async getEventRawData(req, res) {
+        try {
+            const rawData = await req.storage.getRawData(req.params.id);
+            if (rawData === undefined) {
+                return res.status(404).json({ error: 'Event not found' });
+            }
+            if (rawData === null) {
+                return res.status(404).json({ error: 'Raw data is not stored for this event' });
+            }
+
+            res.json({ id: req.params.id, rawData });
+        } catch (error) {
+            this.logger.error('Failed to get raw event data:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    async queryEvents(req, res) {
+        let query;
+        try {
+            query = parseEventQuery(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            res.json(await req.storage.queryEvents(query));
+        } catch (error) {
+            this.logger.error('Failed to query events:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    async exportEvents(req, res) {
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ error: `Unsupported format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+        }
+
+        let filter;
+        try {
+            filter = parseEventFilter(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            const { contentType, extension } = EXPORT_FORMATS[format];
+            const filename = `cursor-usage-${new Date().toISOString().split('T')[0]}.${extension}`;
+
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+            const count = await writeEvents(res, req.storage.iterateEvents(filter), format);
+            res.end();
+
+            this.logger.info(`Exported ${count} events (${format})`);
+        } catch (error) {
+            this.logger.error('Failed to export events:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Internal server error' });
+            } else {
+                res.destroy(error);
+            }
+        }
+    }
+
+    // Аналитика продуктивности вместе с расходами за те же дни.
+    // Параметры: from, to, user (как у фильтра событий)
+    async getAnalytics(req, res) {
+        let filter;
+        try {
+            filter = parseEventFilter(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            const [days, syncMetadata] = await Promise.all([
+                req.storage.loadAnalytics(filter),
+                req.storage.getAnalyticsSyncMetadata()
+            ]);
+
+            // Без from сводка начинается с первого дня аналитики, иначе расходы
+            // за всю историю смешались бы с метриками за последние месяцы
+            const from = filter.from ? filter.from.toISOString().split('T')[0] : days[0]?.date;
+            const to = filter.to ? filter.to.toISOString().split('T')[0] : null;
+
+            let costsByDate;
+            if (filter.users.length > 0) {
+                costsByDate = await collectDailyCosts(
+                    req.storage.iterateEvents(filter),
+                    event => req.storage.getChargedCost(event),
+                    await loadFilterRollups(req.storage, filter)
+                );
+            } else {
+                costsByDate = (await req.storage.loadStats())?.byDate || {};
+            }
+            costsByDate = Object.fromEntries(Object.entries(costsByDate)
+                .filter(([date]) => (!from || date >= from) && (!to || date <= to)));
+
+            res.json({
+                from: from || null,
+                to,
+                lastSync: syncMetadata?.timestamp || null,
+                ...summarizeAnalytics(days, costsByDate),
+                records: days.map(({ rawData, ...day }) => day)
+            });
+        } catch (error) {
+            this.logger.error('Failed to get analytics:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Временной ряд для графиков. Параметры: granularity, metric, split, tz и фильтры событий
+    async getTimeSeries(req, res) {
+        let query;
+        try {
+            query = parseTimeSeriesQuery(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            res.json(await buildTimeSeries(
+                req.storage.iterateEvents(query.filter),
+                query,
+                event => req.storage.getChargedCost(event),
+                await loadFilterRollups(req.storage, query.filter)
+            ));
+        } catch (error) {
+            this.logger.error('Failed to build time series:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Текущий расчетный период и предыдущие для сравнения.
+    // Параметры: cycles (число предыдущих периодов) и фильтры событий, кроме from/to
+    async getCurrentBilling(req, res) {
+        const historyCycles = req.query.cycles === undefined
+            ? CONFIG.BILLING_HISTORY_CYCLES
+            : parseInt(req.query.cycles);
+        if (isNaN(historyCycles) || historyCycles < 0 || historyCycles > MAX_BILLING_HISTORY_CYCLES) {
+            return res.status(400).json({ error: `Invalid cycles value: ${req.query.cycles} (expected 0-${MAX_BILLING_HISTORY_CYCLES})` });
+        }
+
+        let filter;
+        try {
+            filter = parseEventFilter({ ...req.query, from: undefined, to: undefined });
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            const now = new Date();
+            const userInfo = await req.storage.loadUserInfo();
+            const { config } = req.account;
+            const anchor = getCycleAnchor(userInfo, config.billingCycleStart, now);
+
+            const cycles = [];
+            for (let offset = 0; offset >= -historyCycles; offset--) {
+                cycles.push(getBillingCycle(anchor.date, now, offset));
+            }
+
+            filter.from = cycles[cycles.length - 1].start;
+            filter.to = new Date(cycles[0].end.getTime() - 1);
+
+            const cycleTotals = await summarizeBillingCycles(
+                req.storage.iterateEvents(filter),
+                cycles,
+                event => req.storage.getChargedCost(event),
+                await loadFilterRollups(req.storage, filter)
+            );
+
+            res.json(buildBillingReport({
+                anchor,
+                allowance: getPlanAllowance(userInfo, {
+                    includedUsage: config.includedUsage,
+                    includedRequests: config.includedRequests
+                }),
+                cycleTotals,
+                now
+            }));
+        } catch (error) {
+            this.logger.error('Failed to get billing cycle:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Прогноз до конца текущего расчетного периода и дата исчерпания включенного лимита
+    async getForecast(req, res) {
+        try {
+            const now = new Date();
+            const [userInfo, stats] = await Promise.all([
+                req.storage.loadUserInfo(),
+                req.storage.loadStats()
+            ]);
+            const { config } = req.account;
+            const anchor = getCycleAnchor(userInfo, config.billingCycleStart, now);
+            const cycle = getBillingCycle(anchor.date, now);
+
+            const filter = parseEventFilter();
+            filter.from = cycle.start;
+            filter.to = now;
+            const [current] = await summarizeBillingCycles(
+                req.storage.iterateEvents(filter),
+                [cycle],
+                event => req.storage.getChargedCost(event),
+                await loadFilterRollups(req.storage, filter)
+            );
+
+            res.json({
+                source: anchor.source,
+                balance: userInfo?.customerBalance ?? null,
+                ...buildForecast({
+                    cycle,
+                    current,
+                    byDate: stats?.byDate,
+                    allowance: getPlanAllowance(userInfo, {
+                        includedUsage: config.includedUsage,
+                        includedRequests: config.includedRequests
+                    }),
+                    now
+                })
+            });
+        } catch (error) {
+            this.logger.error('Failed to build forecast:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Сколько стоили бы события диапазона на других планах (plans.json).
+    // Параметры: from, to (по умолчанию - последние cycles полных периодов), seats, plans и фильтры событий
+    async simulatePlans(req, res) {
+        let filter;
+        try {
+            filter = parseEventFilter(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        const cyclesCount = req.query.cycles === undefined ? DEFAULT_SIMULATION_CYCLES : parseInt(req.query.cycles);
+        if (isNaN(cyclesCount) || cyclesCount < 1 || cyclesCount > MAX_BILLING_HISTORY_CYCLES) {
+            return res.status(400).json({ error: `Invalid cycles value: ${req.query.cycles} (expected 1-${MAX_BILLING_HISTORY_CYCLES})` });
+        }
+
+        const seats = req.query.seats === undefined ? null : parseInt(req.query.seats);
+        if (seats !== null && (isNaN(seats) || seats < 1)) {
+            return res.status(400).json({ error: `Invalid seats value: ${req.query.seats}` });
+        }
+
+        try {
+            const { version, plans } = await loadPlans();
+            const planIds = req.query.plans ? String(req.query.plans).split(',').map(id => id.trim()) : null;
+            const unknownPlan = planIds?.find(id => !plans.some(plan => plan.id === id));
+            if (unknownPlan) {
+                return res.status(400).json({ error: `Unknown plan: ${unknownPlan} (expected ${plans.map(plan => plan.id).join(', ')})` });
+            }
+
+            const now = new Date();
+            const userInfo = await req.storage.loadUserInfo();
+            const anchor = getCycleAnchor(userInfo, req.account.config.billingCycleStart, now);
+
+            // Без диапазона - последние полные периоды: текущий еще не закончился.
+            // Конец диапазона исключается, а to фильтра включает последнюю миллисекунду
+            const to = filter.to
+                ? new Date(filter.to.getTime() + 1)
+                : (filter.from ? now : getBillingCycle(anchor.date, now).start);
+            const from = filter.from || getBillingCycle(anchor.date, now, -cyclesCount).start;
+            if (from >= to) {
+                return res.status(400).json({ error: 'from must be before to' });
+            }
+
+            filter.from = from;
+            filter.to = new Date(to.getTime() - 1);
+            const cycles = listBillingCycles(anchor.date, from, to);
+            const usage = await collectSimulationUsage(
+                req.storage.iterateEvents(filter),
+                cycles,
+                await loadFilterRollups(req.storage, filter)
+            );
+
+            res.json({
+                from: from.toISOString(),
+                to: to.toISOString(),
+                source: anchor.source,
+                plansVersion: version,
+                currentPlan: getPlanAllowance(userInfo).plan,
+                ...simulatePlans(planIds ? plans.filter(plan => planIds.includes(plan.id)) : plans, cycles, usage, seats)
+            });
+        } catch (error) {
+            this.logger.error('Failed to simulate plans:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
     async getUserInfo(req, res) {
         try {
             // Load user info from saved file
-            const userInfo = await this.storage.loadUserInfo();
+            const userInfo = await req.storage.loadUserInfo();
 
             if (!userInfo) {
                 return res.status(404).json({ error: 'User info not available' });
@@ -95,94 +528,362 @@ export class WebServer {
         }
     }
 
-    getHealth(req, res) {
+    // Состояние сбора по журналу синхронизаций (SyncJournal.getHealth) и сессии каждого аккаунта, общее - худшее из них:
+    //   healthy   - синхронизации проходят
+    //   degraded  - последние синхронизации падают или давно не было успешной,
+    //               либо синхронизация приостановлена из-за сессии
+    //   unhealthy - HEALTH_MAX_FAILURES и больше неудачных синхронизаций подряд, отдается с кодом 503,
+    //               чтобы его видели внешние проверки
+    async getHealth(req, res) {
+        try {
+            const accounts = await Promise.all([...this.accounts.values()].map(async account => {
+                const session = account.session ? account.session.toJSON() : null;
+                // Только дашборд (без сессии): синхронизации запускает CLI, давность успешной не проверяем
+                const interval = account.session ? account.config.collectionInterval : null;
+                const sync = await account.syncJournal.getHealth({ interval });
+
+                let status = sync.status;
+                if (session?.paused && status === 'healthy') {
+                    status = 'degraded';
+                }
+                return { id: account.id, name: account.name, status, session, sync };
+            }));
+
+            const status = HEALTH_LEVELS[Math.max(0, ...accounts.map(account => HEALTH_LEVELS.indexOf(account.status)))];
+            res.status(status === 'unhealthy' ? 503 : 200).json({
+                status,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                accounts
+            });
+        } catch (error) {
+            this.logger.error('Failed to check health:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Идущая синхронизация и расписание (null в режиме только дашборда)
+    getSyncState(req, res) {
+        const state = req.account.getSyncState ? req.account.getSyncState() : null;
         res.json({
-            status: 'healthy',
-            timestamp: new Date().toISOString(),
-            uptime: process.uptime()
+            running: state ? state.running : false,
+            kind: state ? state.kind : null,
+            run: state ? state.run : null,
+            schedule: state ? state.schedule : null,
+            canSync: Boolean(req.account.startSync)
         });
     }
 
-    async handleSSE(req, res) {
-        res.writeHead(200, {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Cache-Control'
-        });
+    // Синхронизация по запросу (кнопка Refresh дашборда). full=true (в query или JSON) - полная.
+    // Ответ приходит после завершения: { run, joined }, joined - запрос присоединился к уже идущей синхронизации
+    async triggerSync(req, res) {
+        if (!req.account.startSync) {
+            return res.status(409).json({ error: 'Sync is not available in dashboard-only mode' });
+        }
+
+        const fullValue = req.query.full ?? req.body?.full;
+        if (fullValue !== undefined && !['true', 'false'].includes(String(fullValue))) {
+            return res.status(400).json({ error: `Invalid full value: ${fullValue} (expected true or false)` });
+        }
+
+        let collection;
+        try {
+            collection = req.account.startSync({ full: String(fullValue) === 'true' });
+        } catch (error) {
+            // Синхронизация уже идет или сессия приостановлена
+            const status = error.status === 409 || isAuthError(error) ? 409 : 500;
+            return res.status(status).json({ error: error.message });
+        }
 
-        // Send initial data
-        await this.sendUpdate(res);
+        try {
+            await collection.promise;
+            res.json({ run: collection.run, joined: collection.joined });
+        } catch (error) {
+            // Ошибка API Cursor или сессии - запись журнала содержит подробности
+            res.status(502).json({ error: error.message, run: collection.run, joined: collection.joined });
+        }
+    }
 
-        // Store client connection
-        this.clients.push(res);
+    // Состояние последней загрузки истории (окна и их статусы), null - загрузок еще не было
+    async getBackfill(req, res) {
+        try {
+            const state = req.account.getSyncState ? req.account.getSyncState() : null;
+            const plan = await req.account.backfillState.load();
+            res.json({
+                running: Boolean(state && state.kind === 'backfill'),
+                backfill: summarizeBackfillPlan(plan),
+                canBackfill: Boolean(req.account.startSync)
+            });
+        } catch (error) {
+            this.logger.error('Failed to load backfill state:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Загрузка истории за период: from, to, windowDays (в query или JSON), без from - продолжение незавершенной.
+    // Загрузка может идти долго, поэтому ответ 202 { run, joined } приходит сразу, результат - в журнале синхронизаций
+    triggerBackfill(req, res) {
+        if (!req.account.startSync) {
+            return res.status(409).json({ error: 'Backfill is not available in dashboard-only mode' });
+        }
 
-        // Remove client when connection closes
-        req.on('close', () => {
-            this.clients = this.clients.filter(client => client !== res);
+        let collection;
+        try {
+            const backfill = parseBackfillOptions({
+                from: req.query.from ?? req.body?.from,
+                to: req.query.to ?? req.body?.to,
+                windowDays: req.query.windowDays ?? req.body?.windowDays
+            });
+            collection = req.account.startSync({ backfill });
+        } catch (error) {
+            // Неверный период, идет другая синхронизация или сессия приостановлена
+            const status = error.status === 400 || error.status === 409 ? error.status : (isAuthError(error) ? 409 : 500);
+            return res.status(status).json({ error: error.message });
+        }
+
+        collection.promise.catch(error => {
+            this.logger.error(`Backfill for ${req.account.id} failed:`, error.message);
         });
+        res.status(202).json({ run: collection.run, joined: collection.joined });
     }
 
-    async sendUpdate(res) {
+    // Проверка целостности сохраненных событий (см. verifyEvents) - только чтение, доступна и без сбора
+    async verifyData(req, res) {
+        let options;
         try {
-            const [stats, data, userInfo] = await Promise.all([
-                this.storage.loadStats(),
-                this.storage.loadUsageData(),
-                this.storage.loadUserInfo()
+            options = parseVerifyQuery(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            const [events, runs] = await Promise.all([req.storage.loadEvents(), req.account.syncJournal.load()]);
+            res.json(verifyEvents(events, runs, options));
+        } catch (error) {
+            this.logger.error('Failed to verify events:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Проверка и сверка окон с проблемами с API. Ответ - после сверки: отчет с repair { run, error, windows, summary }
+    async repairData(req, res) {
+        if (!req.account.verifyData) {
+            return res.status(409).json({ error: 'Repair is not available in dashboard-only mode' });
+        }
+
+        let options;
+        try {
+            options = parseVerifyQuery(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            const report = await req.account.verifyData({ ...options, repair: true });
+            res.status(report.repair.error ? 502 : 200).json(report);
+        } catch (error) {
+            // Идет другая синхронизация или сессия приостановлена
+            if (error.status === 409 || isAuthError(error)) {
+                return res.status(409).json({ error: error.message });
+            }
+            this.logger.error('Failed to repair events:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Журнал синхронизаций аккаунта (новые сверху) и состояние сбора.
+    // Параметры: limit (по умолчанию 50), status - running, success или failed
+    async getSyncRuns(req, res) {
+        const limit = req.query.limit === undefined ? DEFAULT_SYNC_RUNS_LIMIT : parseInt(req.query.limit);
+        if (isNaN(limit) || limit < 1 || limit > CONFIG.SYNC_RUNS_HISTORY) {
+            return res.status(400).json({ error: `Invalid limit value: ${req.query.limit} (expected 1-${CONFIG.SYNC_RUNS_HISTORY})` });
+        }
+        const status = req.query.status || null;
+        if (status && !SYNC_RUN_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status: ${status} (expected ${SYNC_RUN_STATUSES.join(', ')})` });
+        }
+
+        try {
+            const { syncJournal, config } = req.account;
+            const [runs, health] = await Promise.all([
+                syncJournal.list({ limit, status }),
+                syncJournal.getHealth({ interval: config.collectionInterval })
             ]);
+            res.json({ health, runs });
+        } catch (error) {
+            this.logger.error('Failed to get sync runs:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
 
-            const update = {
-                stats,
-                data,
-                userInfo,
-                timestamp: new Date().toISOString()
-            };
+    // Состояние сессии Cursor (null в режиме только дашборда - сбор не идет)
+    getSession(req, res) {
+        res.json({
+            session: req.account.session ? req.account.session.toJSON() : null,
+            canUpdateCookies: Boolean(req.account.updateCookies)
+        });
+    }
+
+    // Новые cookies без перезапуска. Тело - выгрузка в любом формате extract_cookies.js
+    // (cookies.txt, JSON, заголовок Cookie), параметр format - если не определять автоматически
+    async uploadCookies(req, res) {
+        if (!req.account.updateCookies) {
+            return res.status(409).json({ error: 'Cookies can only be updated while the tracker is collecting data' });
+        }
+        if (!req.is(COOKIES_UPLOAD_TYPES)) {
+            return res.status(415).json({ error: `Unsupported content type: ${req.get('Content-Type') || 'none'} (expected ${COOKIES_UPLOAD_TYPES.join(' or ')})` });
+        }
 
-            res.write(`data: ${JSON.stringify(update)}\n\n`);
+        let result;
+        try {
+            result = importCookies(typeof req.body === 'string' ? req.body : '', req.query.format || null);
         } catch (error) {
-            this.logger.error('Failed to send update:', error);
-            res.write(`data: ${JSON.stringify({ error: 'Failed to load data' })}\n\n`);
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+        if (result.expiresAt && result.expiresAt <= new Date()) {
+            return res.status(400).json({ error: `Session token expired on ${result.expiresAt.toISOString()}` });
+        }
+
+        try {
+            const session = await req.account.updateCookies(result.cookies);
+            this.logger.info(`Cookies updated for ${req.account.id} (${result.cookies.length} cookies, ${result.format})`);
+            res.json({
+                format: result.format,
+                cookies: result.cookies.length,
+                skipped: result.skipped,
+                session
+            });
+        } catch (error) {
+            if (error.status === 409) {
+                return res.status(409).json({ error: error.message });
+            }
+            this.logger.error('Failed to update cookies:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
     }
 
-    async broadcastUpdate() {
-        if (this.clients.length === 0) return;
+    // Протокол SSE: типизированные сообщения
+    //   stats.changed  { stats, timestamp, snapshot? }
+    //   user.changed   { userInfo, timestamp, snapshot? }
+    //   events.added   { count, events, truncated, timestamp }
+    //   events.updated { count, events, truncated, timestamp }
+    //   analytics.changed { count, from, to, timestamp }
+    //   session.changed { session, timestamp, snapshot? }
+    //   sync.finished  { run, timestamp }
+    // При переподключении с Last-Event-ID пропущенные сообщения докачиваются из буфера,
+    // иначе клиент получает снимок (stats.changed и user.changed с snapshot: true)
+    async handleSSE(req, res) {
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+        const resumed = req.account.sse.addClient(res, lastEventId);
+
+        if (!resumed) {
+            await this.sendSnapshot(req.account, res);
+        }
+    }
 
-        this.logger.info(`Broadcasting update to ${this.clients.length} clients`);
+    async sendSnapshot(account, res) {
+        try {
+            const [stats, userInfo] = await Promise.all([
+                account.storage.loadStats(),
+                account.storage.loadUserInfo()
+            ]);
+            const timestamp = new Date().toISOString();
 
-        const [stats, data, userInfo] = await Promise.all([
-            this.storage.loadStats(),
-            this.storage.loadUsageData(),
-            this.storage.loadUserInfo()
-        ]);
+            account.sse.send(res, 'stats.changed', { stats, timestamp, snapshot: true });
+            account.sse.send(res, 'user.changed', { userInfo, timestamp, snapshot: true });
+            if (account.session) {
+                account.sse.send(res, 'session.changed', { session: account.session.toJSON(), timestamp, snapshot: true });
+            }
+        } catch (error) {
+            // Клиент загрузит данные через REST API
+            this.logger.error('Failed to send snapshot:', error);
+        }
+    }
 
-        const update = {
-            stats,
-            data,
-            userInfo,
-            timestamp: new Date().toISOString()
+    // Сообщение о новых или обновленных событиях. Большие пачки (полная синхронизация)
+    // не отправляются целиком - клиент перезагружает нужную страницу сам
+    buildEventsMessage(events, timestamp) {
+        const limit = CONFIG.SSE_MAX_EVENTS_PER_MESSAGE;
+        const truncated = events.length > limit;
+
+        return {
+            count: events.length,
+            events: truncated ? [] : events.map(event => projectEvent(event, null)),
+            truncated,
+            timestamp
         };
+    }
+
+    // Вызывается после слияния данных аккаунта: рассылает только то, что изменилось
+    async broadcastUpdate({ added = [], updated = [], analytics = [] } = {}, accountId = null) {
+        const account = this.accounts.get(accountId || this.defaultAccountId);
+        if (!account) return;
 
-        const message = `data: ${JSON.stringify(update)}\n\n`;
+        try {
+            const timestamp = new Date().toISOString();
 
-        // Send to all connected clients
-        this.clients.forEach(client => {
-            try {
-                client.write(message);
-            } catch (error) {
-                // Remove dead clients
-                this.clients = this.clients.filter(c => c !== client);
+            if (added.length > 0) {
+                account.sse.publish('events.added', this.buildEventsMessage(added, timestamp));
             }
-        });
+            if (updated.length > 0) {
+                account.sse.publish('events.updated', this.buildEventsMessage(updated, timestamp));
+            }
+            if (analytics.length > 0) {
+                const dates = analytics.map(day => day.date).sort();
+                account.sse.publish('analytics.changed', {
+                    count: analytics.length,
+                    from: dates[0],
+                    to: dates[dates.length - 1],
+                    timestamp
+                });
+            }
+
+            const [stats, userInfo] = await Promise.all([
+                account.storage.loadStats(),
+                account.storage.loadUserInfo()
+            ]);
+
+            const statsJson = contentJson(stats);
+            if (stats && statsJson !== account.lastStatsJson) {
+                account.lastStatsJson = statsJson;
+                account.sse.publish('stats.changed', { stats, timestamp });
+            }
+
+            const userInfoJson = contentJson(userInfo);
+            if (userInfo && userInfoJson !== account.lastUserInfoJson) {
+                account.lastUserInfoJson = userInfoJson;
+                account.sse.publish('user.changed', { userInfo, timestamp });
+            }
+
+            if (account.sse.clientCount > 0) {
+                this.logger.info(`Broadcast update for ${account.id} to ${account.sse.clientCount} clients (added: ${added.length}, updated: ${updated.length})`);
+            }
+        } catch (error) {
+            this.logger.error('Failed to broadcast update:', error);
+        }
+    }
+
+    // Сессия аккаунта изменилась (Account.publishSession): баннер дашборда и /api/health
+    publishSession(session, accountId = null) {
+        const account = this.accounts.get(accountId || this.defaultAccountId);
+        if (!account) return;
+
+        account.sse.publish('session.changed', { session, timestamp: new Date().toISOString() });
+    }
+
+    // Синхронизация аккаунта завершилась (успешно или с ошибкой) - запись журнала для вкладки Sync
+    publishSyncRun(run, accountId = null) {
+        const account = this.accounts.get(accountId || this.defaultAccountId);
+        if (!account) return;
+
+        account.sse.publish('sync.finished', { run, timestamp: new Date().toISOString() });
     }
 
+    // Хранилища аккаунтов к этому моменту инициализированы (CursorUsageTracker)
     async start() {
         try {
-            await this.storage.initialize();
-
-            this.server = this.app.listen(CONFIG.WEB_PORT, () => {
-                this.logger.info(`Web server started on port ${CONFIG.WEB_PORT}`);
+            this.server = this.app.listen(CONFIG.WEB_PORT, CONFIG.WEB_HOST, () => {
+                this.logger.info(`Web server started on ${CONFIG.WEB_HOST}:${CONFIG.WEB_PORT}`);
                 this.logger.info(`Dashboard available at: http://localhost:${CONFIG.WEB_PORT}`);
             });
 
@@ -192,12 +893,27 @@ export class WebServer {
         }
     }
 
+    // Только дашборд без сбора данных: аккаунты и их хранилища берутся из accounts.json
     async startStandalone() {
         try {
-            await this.storage.initialize();
+            if (this.accounts.size === 0) {
+                for (const config of await loadAccountConfigs()) {
+                    this.addAccount({
+                        id: config.id,
+                        name: config.name,
+                        storage: createStorage(CONFIG.STORAGE_BACKEND, config.dataDir),
+                        config
+                    });
+                }
+            }
 
-            this.server = this.app.listen(CONFIG.WEB_PORT, () => {
-                console.log(`Web server started on port ${CONFIG.WEB_PORT}`);
+            for (const account of this.accounts.values()) {
+                await account.storage.initialize();
+                await account.storage.refreshStatsIfOutdated();
+            }
+
+            this.server = this.app.listen(CONFIG.WEB_PORT, CONFIG.WEB_HOST, () => {
+                console.log(`Web server started on ${CONFIG.WEB_HOST}:${CONFIG.WEB_PORT}`);
                 console.log(`Dashboard available at: http://localhost:${CONFIG.WEB_PORT}`);
             });
 
@@ -208,6 +924,8 @@ export class WebServer {
     }
 
     async stop() {
+        this.accounts.forEach(account => account.sse.close());
+
         if (this.server) {
             this.server.close();
             this.logger.info('Web server stopped');
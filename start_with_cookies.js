@@ -1,20 +1,20 @@
 #!/usr/bin/env node
 
 import { CursorUsageTracker } from './src/app.js';
-import { CONFIG } from './src/config/constants.js';
+import { CONFIG, PATHS } from './src/config/constants.js';
 import fs from 'fs/promises';
 
 async function main() {
     try {
-        // Пытаемся загрузить cookies из файла
+        // Пытаемся загрузить cookies из файла (аккаунты из accounts.json используют свои cookiesFile)
         let cookies = null;
         try {
-            const cookiesData = await fs.readFile('cookies.json', 'utf8');
+            const cookiesData = await fs.readFile(PATHS.COOKIES_FILE, 'utf8');
             const parsed = JSON.parse(cookiesData);
             cookies = parsed.cookies;
-            console.log(`Loaded ${cookies.length} cookies from cookies.json`);
+            console.log(`Loaded ${cookies.length} cookies from ${PATHS.COOKIES_FILE}`);
         } catch (error) {
-            console.log('No cookies.json found, using browser profile');
+            console.log(`No ${PATHS.COOKIES_FILE} found, using browser profile`);
         }
 
         const tracker = new CursorUsageTracker();
@@ -23,6 +23,7 @@ async function main() {
         console.log('Starting Cursor Usage Tracker with cookies...');
         console.log(`Dashboard will be available at: http://localhost:${CONFIG.WEB_PORT}`);
         console.log(`Collection interval: ${CONFIG.COLLECTION_INTERVAL / 1000} seconds`);
+        console.log(`Collector mode: ${CONFIG.COLLECTOR_MODE}`);
         console.log(`Headless mode: ${CONFIG.HEADLESS ? 'enabled' : 'disabled'}`);
         console.log('');
 
@@ -35,7 +36,7 @@ async function main() {
     } catch (error) {
         console.error('Failed to start tracker:', error.message);
         console.log('\nTips:');
-        console.log('1. Run "node extract_cookies.js" to extract cookies from browser');
+        console.log('1. Run "npm run extract:cookies -- <exported cookies file>" to import cookies from browser');
         console.log('2. Or set CHROME_USER_DATA_DIR in config.example.env');
         process.exit(1);
     }